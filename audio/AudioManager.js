@@ -1,3 +1,5 @@
+import { TileRegistry } from '../world/TileRegistry.js';
+
 export class AudioManager {
     constructor() {
         this.audioContext = null;
@@ -106,6 +108,25 @@ export class AudioManager {
         }
     }
 
+    /**
+     * Play the footstep sound defined for a tile type in the TileRegistry
+     */
+    playTileFootstep(tileTypeName) {
+        const tileType = TileRegistry.get(tileTypeName);
+        if (!tileType || !tileType.footstepSound) return;
+
+        switch (tileType.footstepSound) {
+            case 'water':
+                this.playWaterSound();
+                break;
+            case 'footstep':
+                this.playFootstepSound();
+                break;
+            default:
+                console.warn(`Unknown footstep sound: ${tileType.footstepSound}`);
+        }
+    }
+
     setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
     }
@@ -175,6 +175,14 @@ export class Camera {
         this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, newZoom));
     }
 
+    // Snap to the player on the next update (e.g. after travelling to another map), keeping zoom
+    recenter() {
+        this.initialized = false;
+        this.isDragging = false;
+        this.isDragged = false;
+        this.dragOffset = { x: 0, y: 0 };
+    }
+
     getViewport() {
         return {
             x: this.x,
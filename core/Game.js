@@ -4,9 +4,11 @@
 import { Player } from '../player/Player.js';
 import { Input } from '../input/Input.js';
 import { World } from '../world/World.js';
+import { DungeonGenerator } from '../world/DungeonGenerator.js';
 import { Camera } from '../camera/Camera.js';
 import { UI } from '../ui/UI.js';
 import { GameLoop } from './GameLoop.js';
+import { WorldClock } from './WorldClock.js';
 import PauseMenu from '../ui/PauseMenu.js';
 import { AudioManager } from '../audio/AudioManager.js';
 import { SaveSystem } from './SaveSystem.js';
@@ -15,9 +17,24 @@ import { SecurityUtils } from '../utils/SecurityUtils.js';
 import { NetworkManager } from './NetworkManager.js';
 // NPC system imports - comment out if not using NPCs
 import { NPC, NPCManager } from '../npc/NPC.js';
+import { Factions } from '../npc/Factions.js';
 import { NPCFactory } from '../npc/NPCConfig.js';
+import { NPCDefinitions } from '../npc/NPCDefinitions.js';
+import { NPCSpawner } from '../npc/NPCSpawner.js';
+import { GameplaySettings } from '../ui/GameplaySettings.js';
+import { QuestManager } from '../quests/QuestManager.js';
+import { QuestLog } from '../ui/QuestLog.js';
+import { DialogueManager } from '../dialogue/DialogueManager.js';
+import { DialogueBox } from '../ui/DialogueBox.js';
+import { Shop } from '../items/Shop.js';
+import { ShopPanel } from '../ui/ShopPanel.js';
+import { DeathScreen } from '../ui/DeathScreen.js';
+import { CharacterPanel } from '../ui/CharacterPanel.js';
+import { ItemDatabase } from '../items/ItemDatabase.js';
 
 export class Game {
+    static DEATH_DROP_TIME = 300000; // Items dropped on death stay on the ground for 5 minutes
+    
     constructor(worldConfig = null, saveData = null, customWorldData = null) {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
@@ -34,6 +51,12 @@ export class Game {
         this.playtime = 0;
         this.playStartTime = Date.now();
 
+        // Quest progress, dialogue flags, the time of day and reputation are restored along with the rest of a save
+        this.questManager = new QuestManager(this);
+        this.dialogueManager = new DialogueManager(this);
+        this.worldClock = new WorldClock();
+        this.factions = new Factions();
+
         // Initialize game systems
         if (saveData) {
             // Load from save data
@@ -42,6 +65,7 @@ export class Game {
             // Load from custom world file
             console.log('🎮 Game: Loading from custom world data');
             this.world = new World(null, customWorldData);
+            this.currentMap = customWorldData.mapRef || null;
             this.player = new Player(this.world.width, this.world.height, this.world);
             this.player.game = this; // Give player reference to game instance
             this.camera = new Camera(this.width, this.height);
@@ -54,6 +78,14 @@ export class Game {
             this.camera = new Camera(this.width, this.height);
         }
 
+        // Map the player is on - portals change it and saves remember it.
+        // Custom worlds carry the reference World.loadFromFile derived from their folder.
+        if (this.currentMap === undefined) {
+            this.currentMap = this.world.isProcedural ? { type: 'generated', config: this.world.config } : null;
+        }
+        this.isTraveling = false;
+        this.lastOutsidePosition = null; // Last position off an entrance tile - dungeon exits return here
+
         // Default to maximum zoom on touch devices (mobile)
         try {
             const isTouch = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
@@ -68,6 +100,17 @@ export class Game {
         this.ui = new UI();
         this.audioManager = new AudioManager();
         this.inventory = new Inventory(this);
+        if (this.pendingInventoryState) {
+            this.inventory.restoreState(this.pendingInventoryState);
+            this.pendingInventoryState = null;
+        }
+        this.player.recalculateStats(); // Equipment counts now the inventory exists
+        this.questLog = new QuestLog(this);
+        this.characterPanel = new CharacterPanel(this);
+        this.dialogueBox = new DialogueBox(this);
+        this.shopPanel = new ShopPanel(this);
+        this.shops = new Map(); // Merchant NPC id -> Shop, kept so stock restocks between visits
+        this.deathScreen = new DeathScreen(this);
         
         // Initialize multiplayer system
         this.networkManager = new NetworkManager(this);
@@ -78,7 +121,7 @@ export class Game {
         this.npcManager = null;
         this.npcFactory = null;
         if (typeof NPCManager !== 'undefined' && NPCManager) {
-            this.npcManager = new NPCManager();
+            this.npcManager = new NPCManager(this.factions);
             this.npcFactory = new NPCFactory(this.npcManager);
         }
         
@@ -94,8 +137,13 @@ export class Game {
         // Initialize health bar
         this.initializeHealthBar();
         
-        // Inject inventory styles
+        // Inject inventory, quest log, character panel, dialogue, shop and death screen styles
         this.injectInventoryStyles();
+        this.injectQuestLogStyles();
+        this.injectCharacterStyles();
+        this.injectDialogueStyles();
+        this.injectShopStyles();
+        this.injectDeathStyles();
         
         // Initialize NPCs
         this.initializeNPCs();
@@ -116,12 +164,19 @@ export class Game {
         if (showGrid !== null) {
             this.world.setGridVisibility(showGrid === 'true');
         }
+        
+        // Read once here - the world no longer touches localStorage while rendering
+        this.world.setRenderSettings(
+            localStorage.getItem('renderDistance') ?? 32,
+            localStorage.getItem('fogIntensity') ?? 75
+        );
     }
 
     // Sync VideoSettings with World
     syncVideoSettings(videoSettings) {
         if (videoSettings && this.world) {
             this.world.setGridVisibility(videoSettings.getShowGrid());
+            this.world.setRenderSettings(videoSettings.getRenderDistance(), videoSettings.getFogIntensity());
         }
     }
 
@@ -153,6 +208,16 @@ export class Game {
     setupEventListeners() {
         // Use the enhanced input system for keybind handling
         document.addEventListener('keydown', (e) => {
+            // An open conversation gets first pick of the keys (choices, Escape to leave)
+            if (this.dialogueBox.handleKey(e)) {
+                return;
+            }
+            
+            // The dead can only respawn (or pause)
+            if (this.deathScreen.handleKey(e)) {
+                return;
+            }
+            
             // Handle keybind actions first, then update if needed
             if (this.input.isPausePressed() || e.code === 'Escape') {
                 e.preventDefault();
@@ -166,6 +231,16 @@ export class Game {
                     this.inventory.toggle();
                 }
                 return;
+            } else if (this.input.isQuestsPressed() || e.code === 'KeyJ') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.questLog.toggle();
+                return;
+            } else if (this.input.isCharacterPressed() || e.code === 'KeyP') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.characterPanel.toggle();
+                return;
             } else if (this.input.isDebugPressed()) {
                 e.preventDefault();
                 e.stopPropagation();
@@ -245,6 +320,13 @@ export class Game {
         window.location.href = '../index.html';
     }
 
+    /**
+     * Hour of the day (0-24, fractional) from the world clock
+     */
+    getTimeOfDay() {
+        return this.worldClock.getHour();
+    }
+    
     pause() {
         console.log('Game: pause() method called, current paused state:', this.isPaused);
         if (!this.isPaused) {
@@ -269,15 +351,27 @@ export class Game {
 
     update(deltaTime) {
         if (this.isPaused) return;
+        
+        // Time of day moves on with the game (NPC schedules, AI and spawners read it)
+        this.worldClock.update(deltaTime);
 
-        // Update player with input, world collision, and audio
-        this.player.update(this.input, this.world, this.audioManager);
+        // Update player with input, world collision, audio and the frame time
+        this.player.update(this.input, this.world, this.audioManager, deltaTime);
 
         // Update camera to follow player with mouse controls
         const playerPos = this.player.getPosition();
+        
+        // Stream world chunks in around the player and evict distant ones
+        this.world.update(playerPos.x, playerPos.y);
         const worldDims = this.world.getDimensions();
         this.camera.update(playerPos.x, playerPos.y, worldDims.width, worldDims.height, this.input);
 
+        // Caves and other entrance tiles lead to generated dungeons
+        this.checkTileEntrance();
+        
+        // Walking up to a checkpoint binds it as the respawn point
+        this.checkCheckpoints();
+
         // Send position update to multiplayer server
         this.sendPositionUpdate();
 
@@ -286,6 +380,18 @@ export class Game {
             this.npcManager.update(deltaTime, this);
         }
         
+        // Uncollected loot despawns over time
+        this.world.updateGroundItems(deltaTime);
+        
+        // Reach and collect quest objectives
+        this.questManager.update();
+        
+        // Walking away ends a conversation
+        this.dialogueManager.update();
+        
+        // Merchants restock over time
+        this.shops.forEach(shop => shop.update(deltaTime));
+        
         // Update UI with camera zoom info and debug data (if available)
         const cameraDebug = this.camera.getDebugInfo(playerPos.x, playerPos.y);
         this.ui.update(playerPos.x, playerPos.y, deltaTime, this.camera.getZoomLevel(), cameraDebug);
@@ -452,6 +558,22 @@ export class Game {
                 this.otherPlayers[playerId].y = y;
             }
         };
+        
+        // Other players dying and respawning
+        this.networkManager.onPlayerDied = (playerId) => {
+            if (this.otherPlayers[playerId]) {
+                this.otherPlayers[playerId].isDead = true;
+                console.log(`💀 ${this.otherPlayers[playerId].name} has died!`);
+            }
+        };
+        this.networkManager.onPlayerRespawned = (playerId, x, y) => {
+            if (this.otherPlayers[playerId]) {
+                this.otherPlayers[playerId].isDead = false;
+                this.otherPlayers[playerId].x = x;
+                this.otherPlayers[playerId].y = y;
+                console.log(`✨ ${this.otherPlayers[playerId].name} has respawned`);
+            }
+        };
 
         // Error handling
         this.networkManager.onError = (errorMessage) => {
@@ -579,6 +701,14 @@ export class Game {
                 // Render other player using the same character sprite as local player
                 this.ctx.save();
                 
+                // Dead players lie on their side, faded, until they respawn
+                if (playerData.isDead) {
+                    this.ctx.globalAlpha = 0.5;
+                    this.ctx.translate(worldX, worldY);
+                    this.ctx.rotate(Math.PI / 2);
+                    this.ctx.translate(-worldX, -worldY);
+                }
+                
                 // Use the same character image as the local player
                 const characterImage = this.player.characterImage;
                 const size = this.player.size;
@@ -684,8 +814,8 @@ export class Game {
     }
 
     initializeHealthBar() {
-        // Initialize health bar with full health
-        this.ui.updateHealth(10, 10);
+        // Initialize health bar with the player's (stat-derived) health
+        this.ui.updateHealth(this.player.health, this.player.maxHealth);
         
         // ✅ SECURITY FIX (VULN-014): Only expose debug functions in development mode
         if (window.DEBUG_MODE === true) {
@@ -737,6 +867,41 @@ export class Game {
             console.log('- testAudio.setVolume(0.5) - Set volume (0-1)');
             console.log('- testAudio.toggleAudio() - Toggle audio on/off');
             
+            // Map travel round trip: into the dungeon of the cave underfoot and back out through its Cave Exit
+            window.testDungeon = {
+                roundTrip: async () => {
+                    if (!this.currentMap || this.currentMap.type === 'dungeon') {
+                        console.error('❌ testDungeon: Start from an overworld map');
+                        return false;
+                    }
+                    const startMap = JSON.stringify(this.currentMap);
+                    const start = { x: this.player.x, y: this.player.y };
+                    const dungeon = this.getCaveDungeon(start.x, start.y, start);
+                    
+                    if (!await this.travelTo(dungeon, DungeonGenerator.ENTRANCE_SPAWN) || this.currentMap.type !== 'dungeon') {
+                        console.error('❌ testDungeon: Could not enter the dungeon');
+                        return false;
+                    }
+                    
+                    const exit = this.world.entities.find(entity => entity.name === 'Cave Exit');
+                    this.player.setPosition(exit.x, exit.y);
+                    const portal = this.world.getPortalAt(this.player.x, this.player.y, this.player.size);
+                    const target = portal && portal.getPortalTarget();
+                    if (!target || !await this.travelTo(target.map, target.spawn)) {
+                        console.error('❌ testDungeon: Could not leave through the Cave Exit');
+                        return false;
+                    }
+                    
+                    const passed = JSON.stringify(this.currentMap) === startMap &&
+                        this.player.x === start.x && this.player.y === start.y;
+                    console.log(passed ? '✅ testDungeon: Round trip passed' : '❌ testDungeon: Returned to the wrong place');
+                    return passed;
+                }
+            };
+            
+            console.log('Map travel test available:');
+            console.log('- testDungeon.roundTrip() - Enter a cave dungeon and leave through its exit');
+            
             console.log('🔧 DEBUG MODE ENABLED - Debug functions available');
         } else {
             console.log('✅ Production mode - Debug functions disabled for security');
@@ -760,7 +925,13 @@ export class Game {
         // Load NPCs from world data first
         if (this.world.npcData && this.world.npcData.length > 0) {
             console.log('🐭 Creating NPCs from world data...');
-            this.world.npcData.forEach(async npcConfig => {
+            this.world.npcData.forEach(async worldNPC => {
+                // Entries can reference an NPC definition and override only placement and a few fields
+                const npcConfig = worldNPC.definition ? NPCDefinitions.resolve(worldNPC) : worldNPC;
+                if (!npcConfig) {
+                    return;
+                }
+                
                 // Load custom image if NPC is marked as custom
                 if (npcConfig.isCustom || npcConfig.type === 'custom') {
                     await this.loadCustomNPCImage(npcConfig);
@@ -788,8 +959,8 @@ export class Game {
             console.log('❌ Bob NPC not spawned (world generator setting: disabled)');
         }
         
-        // Future NPC spawning based on density setting
-        // const npcDensity = parseFloat(localStorage.getItem('npcDensity') || '1');
+        // Spawners repopulate their areas over time, scaled by the density setting
+        this.initializeSpawners();
         
         // Create townies
         // this.npcFactory.createTownies(200, 200, 100);
@@ -803,6 +974,33 @@ export class Game {
         console.log(`Initialized ${this.npcManager.getAllNPCs().length} NPCs`);
     }
     
+    /**
+     * Create spawners for the current map, restoring their state from a loaded save
+     */
+    initializeSpawners() {
+        const spawnerData = this.world.spawnerData || [];
+        if (spawnerData.length === 0) {
+            this.pendingSpawnerState = null;
+            return;
+        }
+        
+        const gameplaySettings = new GameplaySettings();
+        gameplaySettings.load();
+        const density = Math.max(0, Math.min(2, gameplaySettings.getNpcDensity() || 0));
+        
+        spawnerData.forEach(data => {
+            this.npcManager.addSpawner(new NPCSpawner(data, density));
+        });
+        
+        // Saved state only applies to the map it was saved on - travel clears it
+        if (this.pendingSpawnerState) {
+            this.npcManager.restoreSpawnerState(this.pendingSpawnerState);
+            this.pendingSpawnerState = null;
+        }
+        
+        console.log(`🐣 Initialized ${spawnerData.length} NPC spawners (density ${density})`);
+    }
+    
     /**
      * Load custom NPC image from persistent folder
      */
@@ -846,101 +1044,473 @@ export class Game {
     }
     
     handleInteraction() {
+        // Portals and doors take priority over talking to NPCs
+        if (this.tryEnterPortal()) {
+            return;
+        }
+        
+        if (this.tryPickUpItem()) {
+            return;
+        }
+        
         if (!this.npcManager) {
             return;
         }
         
         const interaction = this.npcManager.checkInteractions(this.player);
         if (interaction) {
-            this.handleNPCInteraction(interaction);
+            const npc = this.npcManager.getNPC(interaction.npcId);
+            if (npc) {
+                this.questManager.onNPCTalkedTo(npc);
+            }
+            this.handleNPCInteraction(interaction, npc);
         }
     }
     
-    handleNPCInteraction(interaction) {
+    handleNPCInteraction(interaction, npc = null) {
         switch (interaction.type) {
             case "dialogue":
-                this.showDialogue(interaction.npc, interaction.message);
+                if (npc) {
+                    this.dialogueManager.startWithNPC(npc);
+                } else {
+                    this.showDialogue(interaction.npc, interaction.message);
+                }
                 break;
             case "shop":
-                this.openShop(interaction.npc, interaction.items);
+                if (npc) {
+                    this.openShop(npc);
+                }
                 break;
             case "quest":
-                this.showQuest(interaction.npc, interaction.quest);
+                this.showQuest(interaction.npc, interaction.quests);
                 break;
         }
     }
     
+    /**
+     * Pick up the nearest dropped item into the inventory
+     */
+    tryPickUpItem() {
+        const groundItem = this.world.getGroundItemAt(this.player.x, this.player.y, this.player.size);
+        if (!groundItem) {
+            return false;
+        }
+        
+        // Inventory.addItem checks the item against the item database; it stays on the ground if rejected or full
+        if (!this.inventory.addItem(groundItem.item)) {
+            this.ui.showMessage('Your inventory is full');
+            return true;
+        }
+        
+        this.world.removeGroundItem(groundItem);
+        this.questManager.onItemCollected();
+        return true;
+    }
+    
+    /**
+     * Travel through a portal or door the player is standing at
+     */
+    tryEnterPortal() {
+        const portal = this.world.getPortalAt(this.player.x, this.player.y, this.player.size);
+        if (!portal) {
+            return false;
+        }
+        
+        const target = portal.getPortalTarget();
+        if (!target) {
+            console.warn(`⚠️ Portal "${portal.name}" has no valid targetMap`);
+            return false;
+        }
+        
+        this.travelTo(target.map, target.spawn);
+        return true;
+    }
+    
+    /**
+     * Bind the checkpoint (a spawn point of type "checkpoint") the player is standing at
+     */
+    checkCheckpoints() {
+        if (this.player.isDead || !Array.isArray(this.world.spawnPoints)) {
+            return;
+        }
+        
+        const reach = this.world.tileSize * 1.5;
+        const checkpoint = this.world.getSpawnPointsByType('checkpoint').find(point =>
+            Math.hypot(point.x - this.player.x, point.y - this.player.y) <= reach);
+        if (!checkpoint) {
+            return;
+        }
+        
+        const bound = this.player.checkpoint;
+        if (bound && bound.x === checkpoint.x && bound.y === checkpoint.y && this.isCurrentMap(bound.map)) {
+            return;
+        }
+        
+        this.player.bindCheckpoint(checkpoint, this.currentMap);
+        this.ui.showMessage(`Checkpoint bound: ${this.player.checkpoint.name}`);
+    }
+    
+    /**
+     * Whether a map reference is the map the player is on
+     */
+    isCurrentMap(mapRef) {
+        return JSON.stringify(mapRef || null) === JSON.stringify(this.currentMap || null);
+    }
+    
+    /**
+     * The player has died: close any conversation, take the death penalty,
+     * tell other players and put up the respawn prompt
+     */
+    handlePlayerDeath() {
+        if (this.dialogueManager.isActive()) {
+            this.dialogueManager.end();
+        }
+        
+        const gameplaySettings = new GameplaySettings();
+        gameplaySettings.load();
+        const penalties = this.applyDeathPenalty(gameplaySettings.getDeathPenalty());
+        
+        if (this.isMultiplayer && this.networkManager) {
+            this.networkManager.sendPlayerDeath(this.player.x, this.player.y);
+        }
+        
+        this.deathScreen.show(penalties);
+    }
+    
+    /**
+     * Lose gold, drop random items where the player fell and wear down equipment -
+     * returns a line describing each loss for the death screen
+     */
+    applyDeathPenalty(penalty) {
+        const lines = [];
+        
+        const goldLost = Math.floor(this.player.gold * penalty.goldLoss);
+        if (goldLost > 0 && this.player.spendGold(goldLost)) {
+            lines.push(`You lost ${goldLost.toLocaleString()} gold`);
+        }
+        
+        const slots = [];
+        this.inventory.items.forEach((item, index) => {
+            if (item) slots.push(index);
+        });
+        for (let i = 0; i < penalty.itemDrops && slots.length > 0; i++) {
+            const [index] = slots.splice(Math.floor(Math.random() * slots.length), 1);
+            const item = this.inventory.items[index];
+            this.inventory.removeItem(index);
+            
+            const x = this.player.x + (Math.random() - 0.5) * 24;
+            const y = this.player.y + (Math.random() - 0.5) * 24;
+            this.world.addGroundItem(item, x, y, Game.DEATH_DROP_TIME);
+            lines.push(`You dropped ${item.quantity > 1 ? `${item.quantity}x ` : ''}${ItemDatabase.get(item.id).name} where you fell`);
+        }
+        
+        let damaged = 0;
+        Object.values(this.inventory.equipment).forEach(item => {
+            const maxDurability = item ? ItemDatabase.get(item.id).maxDurability : undefined;
+            if (Number.isFinite(maxDurability) && Number.isFinite(item.durability) && item.durability > 0) {
+                item.durability = Math.max(0, item.durability - Math.ceil(maxDurability * penalty.durabilityLoss));
+                damaged++;
+            }
+        });
+        if (damaged > 0 && penalty.durabilityLoss > 0) {
+            lines.push(`Your equipment lost ${Math.round(penalty.durabilityLoss * 100)}% durability`);
+            this.inventory.onEquipmentChanged(); // Broken gear stops counting
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Bring the player back: at their checkpoint (travelling back to its map if
+     * needed), else at the player spawn point nearest to where they fell
+     */
+    async respawnPlayer() {
+        if (!this.player.isDead) {
+            return;
+        }
+        
+        const checkpoint = this.player.checkpoint;
+        if (checkpoint && checkpoint.map && !this.isCurrentMap(checkpoint.map) && !this.isMultiplayer) {
+            if (!await this.travelTo(checkpoint.map, { x: checkpoint.x, y: checkpoint.y })) {
+                console.warn('⚠️ Could not return to checkpoint map - respawning here');
+            }
+        }
+        
+        const point = this.getRespawnPoint();
+        this.player.respawn(point.x, point.y);
+        this.camera.recenter();
+        this.deathScreen.hide();
+        
+        if (this.isMultiplayer && this.networkManager) {
+            this.networkManager.sendPlayerRespawn(this.player.x, this.player.y);
+        }
+    }
+    
+    /**
+     * Where to respawn on the current map
+     */
+    getRespawnPoint() {
+        const checkpoint = this.player.checkpoint;
+        if (checkpoint && this.isCurrentMap(checkpoint.map)) {
+            return { x: checkpoint.x, y: checkpoint.y };
+        }
+        
+        const spawns = Array.isArray(this.world.spawnPoints) ? this.world.getSpawnPointsByType('player') : [];
+        if (spawns.length > 0) {
+            const distance = point => Math.hypot(point.x - this.player.x, point.y - this.player.y);
+            return spawns.reduce((nearest, point) => distance(point) < distance(nearest) ? point : nearest);
+        }
+        
+        return { x: this.world.width / 2, y: this.world.height / 2 };
+    }
+    
+    /**
+     * Walk into a dungeon entrance tile (caves). The dungeon is seeded from this
+     * map and the cave's anchor tile, so the same cave always leads to the same dungeon.
+     */
+    checkTileEntrance() {
+        if (this.isTraveling || this.isMultiplayer || !this.currentMap || this.currentMap.type === 'dungeon') {
+            return;
+        }
+        
+        const centerX = this.player.x + this.player.size / 2;
+        const centerY = this.player.y + this.player.size / 2;
+        const tileType = this.world.getTileDefinitionAt(centerX, centerY);
+        if (tileType.entrance !== 'dungeon') {
+            // Where the player returns to when they leave the dungeon
+            this.lastOutsidePosition = { x: this.player.x, y: this.player.y };
+            return;
+        }
+        
+        // Arrived standing on an entrance - step off it before it triggers
+        if (!this.lastOutsidePosition) {
+            return;
+        }
+        
+        // Stepping off is needed again before the next attempt, so a failed trip isn't retried every frame
+        const returnPosition = this.lastOutsidePosition;
+        this.lastOutsidePosition = null;
+        this.travelTo(this.getCaveDungeon(centerX, centerY, returnPosition), DungeonGenerator.ENTRANCE_SPAWN);
+    }
+    
+    /**
+     * Dungeon reference for the cave at a pixel position on the current overworld map.
+     * Leaving the dungeon returns the player to returnPosition.
+     */
+    getCaveDungeon(x, y, returnPosition) {
+        const cave = this.world.getRegionAnchor(
+            Math.floor(x / this.world.tileSize),
+            Math.floor(y / this.world.tileSize)
+        );
+        // Folder names are matched case-insensitively, so a portal spelling the id differently finds the same caves
+        const mapSeed = this.currentMap.type === 'custom' ? this.currentMap.id.toLowerCase() : (this.currentMap.config.seed || 'DEFAULT');
+        
+        return {
+            type: 'dungeon',
+            seed: `${mapSeed}-cave-${cave.x}-${cave.y}`,
+            returnMap: this.currentMap,
+            returnPosition: returnPosition
+        };
+    }
+    
+    /**
+     * Short name of a map reference for log messages
+     */
+    describeMap(mapRef) {
+        if (mapRef.type === 'custom') return mapRef.id;
+        if (mapRef.type === 'dungeon') return `dungeon (${mapRef.seed})`;
+        return `generated world (${mapRef.config.seed || 'DEFAULT'})`;
+    }
+    
+    /**
+     * Unload the current world and move the player to another map, arriving at a
+     * named spawn point or a { x, y } pixel position.
+     * The player, inventory and camera carry across; NPCs are rebuilt for the new map.
+     * Never rejects - resolves to false if the trip failed.
+     */
+    async travelTo(mapRef, destination = null) {
+        if (this.isTraveling) {
+            return false;
+        }
+        
+        // The multiplayer server owns a single shared world
+        if (this.isMultiplayer) {
+            console.warn('⚠️ Map travel is not available in multiplayer');
+            return false;
+        }
+        
+        if (!SecurityUtils.validateMapReference(mapRef)) {
+            return false;
+        }
+        
+        this.isTraveling = true;
+        try {
+            console.log(`🌀 Travelling to ${this.describeMap(mapRef)}...`);
+            const world = await World.loadMap(mapRef);
+            if (!world) {
+                console.error('❌ Could not load destination map - staying here');
+                return false;
+            }
+            
+            this.world = world;
+            this.currentMap = mapRef;
+            this.loadVideoSettings();
+            
+            // Exact position, else named spawn point, else any player spawn, else the world centre
+            let spawn = null;
+            if (destination && typeof destination === 'object' &&
+                Number.isFinite(destination.x) && Number.isFinite(destination.y)) {
+                spawn = {
+                    x: Math.max(0, Math.min(world.width - this.player.size, destination.x)),
+                    y: Math.max(0, Math.min(world.height - this.player.size, destination.y))
+                };
+            } else {
+                spawn = world.getSpawnPointByName(destination) || world.getRandomSpawnPoint('player');
+                if (destination && (!spawn || spawn.name !== destination)) {
+                    console.warn(`⚠️ Spawn point "${destination}" not found on destination map`);
+                }
+            }
+            this.player.setPosition(
+                spawn ? spawn.x : world.width / 2,
+                spawn ? spawn.y : world.height / 2
+            );
+            this.lastOutsidePosition = null;
+            this.player.vx = 0;
+            this.player.vy = 0;
+            this.camera.recenter();
+            
+            if (this.npcManager) {
+                this.npcManager.clear();
+                this.initializeNPCs();
+            }
+            
+            console.log(`✅ Arrived at (${this.player.x}, ${this.player.y})`);
+            this.autoSave();
+            return true;
+        } catch (error) {
+            console.error('❌ Travel failed - staying here:', error);
+            return false;
+        } finally {
+            this.isTraveling = false;
+        }
+    }
+    
     showDialogue(npcName, message) {
-        // Simple dialogue display - can be enhanced with proper UI
         console.log(`${npcName}: ${message}`);
+        this.dialogueManager.showMessage(npcName, message);
+    }
+    
+    /**
+     * Trade with a merchant - each merchant keeps one Shop so its stock persists
+     */
+    openShop(npc) {
+        if (!this.shops.has(npc.id)) {
+            this.shops.set(npc.id, new Shop(npc));
+        }
+        
+        this.shopPanel.show(this.shops.get(npc.id));
+    }
+    
+    /**
+     * Talk to a quest giver: turn in a finished quest, hand out the next new
+     * one, or report on one in progress
+     */
+    showQuest(npcName, quests) {
+        const statusOf = quest => this.questManager.getStatus(quest.id);
         
-        // Create temporary dialogue display
-        const dialogueDiv = document.createElement('div');
-        dialogueDiv.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(0, 0, 0, 0.9);
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            border: 2px solid #8A2BE2;
-            max-width: 400px;
-            text-align: center;
-            z-index: 10000;
-            font-family: Arial, sans-serif;
-        `;
-        
-        // ✅ SECURITY FIX (VULN-002, VULN-015): Use DOM creation instead of innerHTML
-        // Create title element
-        const titleElement = document.createElement('h3');
-        titleElement.style.cssText = 'color: #8A2BE2; margin: 0 0 10px 0;';
-        titleElement.textContent = SecurityUtils.sanitizeText(npcName); // Sanitized
-        
-        // Create message element
-        const messageElement = document.createElement('p');
-        messageElement.style.cssText = 'margin: 0 0 15px 0;';
-        messageElement.textContent = SecurityUtils.sanitizeText(message); // Sanitized
-        
-        // Create close button (no inline onclick)
-        const closeButton = document.createElement('button');
-        closeButton.textContent = 'Close';
-        closeButton.style.cssText = `
-            background: #8A2BE2;
-            color: white;
-            border: none;
-            padding: 8px 16px;
-            border-radius: 5px;
-            cursor: pointer;
-        `;
-        closeButton.addEventListener('click', () => dialogueDiv.remove());
-        
-        // Assemble dialogue
-        dialogueDiv.appendChild(titleElement);
-        dialogueDiv.appendChild(messageElement);
-        dialogueDiv.appendChild(closeButton);
-        
-        document.body.appendChild(dialogueDiv);
-        
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (dialogueDiv.parentElement) {
-                dialogueDiv.remove();
+        const complete = quests.find(quest => statusOf(quest) === QuestManager.STATUS.COMPLETE);
+        if (complete) {
+            if (this.questManager.turnIn(complete.id)) {
+                this.showDialogue(npcName, `Well done! ${complete.title} is complete. ${this.describeReward(complete.reward)}`);
+            } else {
+                this.showDialogue(npcName, 'You have done the work, but your pack is too full for your reward.');
             }
-        }, 5000);
+            return;
+        }
+        
+        const available = quests.find(quest => statusOf(quest) === 'available');
+        if (available && this.questManager.accept(available)) {
+            this.showDialogue(npcName, `New quest: ${available.title} - ${available.description || ''}`);
+            return;
+        }
+        
+        const active = quests.find(quest => statusOf(quest) === QuestManager.STATUS.ACTIVE);
+        if (active) {
+            this.showDialogue(npcName, `${active.title} is not done yet. Check your quest log (J).`);
+            return;
+        }
+        
+        this.showDialogue(npcName, 'Thank you for your help. I have nothing more for you.');
     }
     
-    openShop(npcName, items) {
-        console.log(`Opening shop with ${npcName}:`, items);
-        // TODO: Implement shop UI
-        this.showDialogue(npcName, "Welcome to my shop! (Shop UI coming soon)");
+    describeReward(reward = {}) {
+        const parts = [];
+        if (reward.gold) parts.push(`${reward.gold} gold`);
+        if (reward.exp) parts.push(`${reward.exp} XP`);
+        if (Array.isArray(reward.items)) {
+            reward.items.forEach(item => {
+                const definition = ItemDatabase.get(item.id);
+                if (definition) {
+                    parts.push(item.quantity > 1 ? `${item.quantity}x ${definition.name}` : definition.name);
+                }
+            });
+        }
+        return parts.length > 0 ? `Reward: ${parts.join(', ')}` : '';
+    }
+    
+    injectQuestLogStyles() {
+        if (document.getElementById('quest-log-styles')) {
+            return;
+        }
+        
+        const styleElement = document.createElement('style');
+        styleElement.id = 'quest-log-styles';
+        styleElement.textContent = this.questLog.getStyles();
+        document.head.appendChild(styleElement);
     }
     
-    showQuest(npcName, quest) {
-        console.log(`Quest from ${npcName}:`, quest);
-        // TODO: Implement quest UI
-        this.showDialogue(npcName, `Quest: ${quest.title} - ${quest.description}`);
+    injectShopStyles() {
+        if (document.getElementById('shop-styles')) {
+            return;
+        }
+        
+        const styleElement = document.createElement('style');
+        styleElement.id = 'shop-styles';
+        styleElement.textContent = this.shopPanel.getStyles();
+        document.head.appendChild(styleElement);
+    }
+    
+    injectCharacterStyles() {
+        if (document.getElementById('character-styles')) {
+            return;
+        }
+        
+        const styleElement = document.createElement('style');
+        styleElement.id = 'character-styles';
+        styleElement.textContent = this.characterPanel.getStyles();
+        document.head.appendChild(styleElement);
+    }
+    
+    injectDeathStyles() {
+        if (document.getElementById('death-styles')) {
+            return;
+        }
+        
+        const styleElement = document.createElement('style');
+        styleElement.id = 'death-styles';
+        styleElement.textContent = this.deathScreen.getStyles();
+        document.head.appendChild(styleElement);
+    }
+    
+    injectDialogueStyles() {
+        if (document.getElementById('dialogue-styles')) {
+            return;
+        }
+        
+        const styleElement = document.createElement('style');
+        styleElement.id = 'dialogue-styles';
+        styleElement.textContent = this.dialogueBox.getStyles();
+        document.head.appendChild(styleElement);
     }
 
     injectInventoryStyles() {
@@ -996,15 +1566,14 @@ export class Game {
         
         return {
             config: this.world.config,
-            worldData: {
-                tiles: this.world.tiles,
-                width: this.world.width,
-                height: this.world.height
-            },
+            worldData: this.world.serialize(),
             playerState: {
                 position: { x: this.player.x, y: this.player.y },
                 health: this.ui.healthBar.getCurrentHealth(),
-                name: this.player.nameTag ? this.player.nameTag.name : 'Player'
+                name: this.player.nameTag ? this.player.nameTag.name : 'Player',
+                gold: this.player.gold,
+                experience: this.player.experience,
+                checkpoint: this.player.checkpoint
             },
             cameraState: {
                 zoom: this.camera.zoom
@@ -1013,15 +1582,26 @@ export class Game {
                 playtime: currentPlaytime,
                 lastSaved: Date.now(),
                 version: '1.0.0'
-            }
+            },
+            currentMap: this.currentMap,
+            spawners: this.npcManager ? this.npcManager.getSpawnerState() : [],
+            quests: this.questManager.getState(),
+            dialogueFlags: this.dialogueManager.getState(),
+            clock: this.worldClock.getState(),
+            factions: this.factions.getState(),
+            inventory: this.inventory.getState()
         };
     }
 
     // Load game state from save data
     loadFromSaveData(saveData) {
-        // Restore world
-        this.world = new World(saveData.config);
-        this.world.tiles = saveData.worldData.tiles;
+        // Restore world - dungeons are regenerated from their seed so their NPCs come back
+        if (saveData.currentMap && saveData.currentMap.type === 'dungeon') {
+            this.world = World.createDungeon(saveData.currentMap);
+        } else {
+            this.world = new World(saveData.config);
+        }
+        this.world.restoreTiles(saveData.worldData);
         
         // Restore player
         this.player = new Player(this.width, this.height, this.world);
@@ -1030,6 +1610,23 @@ export class Game {
             this.player.x = saveData.playerState.position.x;
             this.player.y = saveData.playerState.position.y;
         }
+        this.player.gold = saveData.playerState.gold || 0;
+        this.player.setExperience(saveData.playerState.experience || 0);
+        this.player.checkpoint = saveData.playerState.checkpoint || null;
+        
+        // Restore quest progress
+        if (saveData.quests) {
+            this.questManager.restoreState(saveData.quests);
+        }
+        if (saveData.dialogueFlags) {
+            this.dialogueManager.restoreState(saveData.dialogueFlags);
+        }
+        if (saveData.clock) {
+            this.worldClock.restoreState(saveData.clock);
+        }
+        if (saveData.factions) {
+            this.factions.restoreState(saveData.factions);
+        }
         
         // Restore camera
         this.camera = new Camera(this.width, this.height);
@@ -1037,6 +1634,17 @@ export class Game {
             this.camera.zoom = saveData.cameraState.zoom;
         }
         
+        // Restore which map the player was on (validated with the rest of the save)
+        if (saveData.currentMap) {
+            this.currentMap = saveData.currentMap;
+        }
+        
+        // Spawner state is applied once the NPC system and spawners exist
+        this.pendingSpawnerState = Array.isArray(saveData.spawners) ? saveData.spawners : null;
+        
+        // Carried and equipped items are applied once the inventory exists
+        this.pendingInventoryState = saveData.inventory || null;
+        
         // Restore metadata
         this.playtime = saveData.metadata?.playtime || 0;
         this.playStartTime = Date.now();
@@ -22,6 +22,8 @@ export class NetworkManager {
         this.onPlayerJoined = null;
         this.onPlayerLeft = null;
         this.onPlayerPositionUpdate = null;
+        this.onPlayerDied = null;
+        this.onPlayerRespawned = null;
         this.onError = null;
         
         // NPC callbacks
@@ -162,6 +164,12 @@ export class NetworkManager {
             case 'player_position':
                 this.handlePlayerPosition(data);
                 break;
+            case 'player_died':
+                this.handlePlayerDied(data);
+                break;
+            case 'player_respawned':
+                this.handlePlayerRespawned(data);
+                break;
             case 'pong':
                 this.handlePong(data);
                 break;
@@ -286,6 +294,48 @@ export class NetworkManager {
         }
     }
     
+    /**
+     * Handle another player dying
+     */
+    handlePlayerDied(data) {
+        const playerId = data.player_id;
+        
+        if (this.otherPlayers[playerId]) {
+            this.otherPlayers[playerId].isDead = true;
+        }
+        
+        if (this.onPlayerDied) {
+            this.onPlayerDied(playerId);
+        }
+    }
+    
+    /**
+     * Handle another player respawning - they reappear at their respawn point
+     */
+    handlePlayerRespawned(data) {
+        const playerId = data.player_id;
+        const x = data.x;
+        const y = data.y;
+        
+        if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+            console.warn(`Invalid respawn position for player ${playerId}:`, { x, y });
+            return;
+        }
+        
+        const clampedX = Math.max(0, Math.min(2000, x));
+        const clampedY = Math.max(0, Math.min(2000, y));
+        
+        if (this.otherPlayers[playerId]) {
+            this.otherPlayers[playerId].isDead = false;
+            this.otherPlayers[playerId].x = clampedX;
+            this.otherPlayers[playerId].y = clampedY;
+        }
+        
+        if (this.onPlayerRespawned) {
+            this.onPlayerRespawned(playerId, clampedX, clampedY);
+        }
+    }
+    
     /**
      * Handle pong response
      */
@@ -357,6 +407,32 @@ export class NetworkManager {
         this.sendMessage(positionData);
     }
     
+    /**
+     * Tell the server (and through it the other players) that this player died
+     */
+    sendPlayerDeath(x, y) {
+        const deathData = {
+            type: 'player_death',
+            x: x,
+            y: y
+        };
+        
+        this.sendMessage(deathData);
+    }
+    
+    /**
+     * Tell the server (and through it the other players) where this player respawned
+     */
+    sendPlayerRespawn(x, y) {
+        const respawnData = {
+            type: 'player_respawn',
+            x: x,
+            y: y
+        };
+        
+        this.sendMessage(respawnData);
+    }
+    
     /**
      * Send ping to server
      */
@@ -0,0 +1,77 @@
+/**
+ * World Clock - Runes of Tir na nÓg
+ * In-game time of day. Advances with the game loop's update (so it stops while
+ * the game is paused) and can also be paused on its own. NPC schedules, AI
+ * `timeOfDay` conditions and spawners read the hour from it.
+ */
+
+export class WorldClock {
+    static MINUTES_PER_DAY = 1440;
+    static DEFAULT_DAY_LENGTH = 1440000; // Real ms per in-game day - one game hour per real minute
+    static DEFAULT_START_HOUR = 8;
+
+    constructor(dayLength = WorldClock.DEFAULT_DAY_LENGTH, startHour = WorldClock.DEFAULT_START_HOUR) {
+        this.dayLength = dayLength;
+        this.day = 1;
+        this.minutes = startHour * 60; // Minutes since midnight, fractional
+        this.paused = false;
+    }
+
+    update(deltaTime) {
+        if (this.paused) return;
+
+        this.minutes += deltaTime / this.dayLength * WorldClock.MINUTES_PER_DAY;
+        while (this.minutes >= WorldClock.MINUTES_PER_DAY) {
+            this.minutes -= WorldClock.MINUTES_PER_DAY;
+            this.day++;
+            if (window.DEBUG_MODE === true) {
+                console.log(`🌅 Day ${this.day} begins`);
+            }
+        }
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Hour of the day, 0-24 and fractional (6.5 is 06:30)
+     */
+    getHour() {
+        return this.minutes / 60;
+    }
+
+    setHour(hour) {
+        this.minutes = (((hour % 24) + 24) % 24) * 60;
+    }
+
+    /**
+     * "HH:MM" for display
+     */
+    getTimeString() {
+        const hours = Math.floor(this.minutes / 60);
+        const minutes = Math.floor(this.minutes % 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Hour for an "HH:MM" string, or null if it isn't one
+     */
+    static parseTime(time) {
+        const match = typeof time === 'string' ? /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time) : null;
+        return match ? Number(match[1]) + Number(match[2]) / 60 : null;
+    }
+
+    getState() {
+        return { day: this.day, minutes: this.minutes };
+    }
+
+    restoreState(state) {
+        this.day = state.day;
+        this.minutes = state.minutes;
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Dialogue Manager - Runes of Tir na nÓg
+ * Runs conversations with NPCs. A conversation is a graph of nodes; each node
+ * has the NPC's line, optional actions run when it is reached and the player's
+ * choices, which can be hidden behind conditions:
+ *
+ *   dialogueTree: {
+ *       start: "greeting",
+ *       nodes: {
+ *           greeting: {
+ *               text: "Rats again! Can you help?",
+ *               choices: [
+ *                   { text: "I'll deal with them.", next: "accepted", conditions: { questStatus: { cave_vermin: "available" } } },
+ *                   { text: "Here are the tails.", next: "thanks", conditions: { questStatus: { cave_vermin: "complete" } } },
+ *                   { text: "Goodbye." }
+ *               ]
+ *           },
+ *           accepted: { text: "Good luck.", actions: [{ type: "startQuest", quest: "cave_vermin" }] },
+ *           thanks: { text: "Much obliged!", actions: [{ type: "turnInQuest", quest: "cave_vermin" }, { type: "setFlag", flag: "helped_marcus" }] }
+ *       }
+ *   }
+ *
+ * A choice without `next` ends the conversation; a node without choices offers
+ * "Continue" to its `next` node, or ends. Flat `dialogue` line arrays become a
+ * linear conversation. Flags set by dialogue are saved with the game.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class DialogueManager {
+    static END = null; // `next` value that ends the conversation
+    static MAX_TALK_DISTANCE = 100; // Pixels - walking further away ends the conversation
+
+    // Condition name -> test. All conditions on a choice must hold.
+    static CONDITIONS = {
+        questStatus: (manager, expected) => Object.entries(expected).every(([questId, status]) => {
+            const current = manager.game.questManager.getStatus(questId);
+            return Array.isArray(status) ? status.includes(current) : current === status;
+        }),
+        hasItem: (manager, expected) => Object.entries(expected).every(([itemId, count]) =>
+            manager.game.inventory.countItem(itemId) >= count
+        ),
+        flags: (manager, expected) => Object.entries(expected).every(([flag, value]) =>
+            (manager.flags[flag] || false) === value
+        )
+    };
+
+    // Action type -> effect, run in order when a node is reached
+    static ACTIONS = {
+        openShop: (manager) => {
+            const npc = manager.npc;
+            manager.end();
+            if (npc) {
+                manager.game.openShop(npc);
+            }
+        },
+        startQuest: (manager, action) => {
+            const quests = manager.npc ? manager.npc.quests : [];
+            const quest = quests.find(candidate => candidate.id === action.quest);
+            if (!quest) {
+                console.warn(`⚠️ DialogueManager: ${manager.speaker} has no quest "${action.quest}"`);
+                return;
+            }
+            manager.game.questManager.accept(quest);
+        },
+        turnInQuest: (manager, action) => manager.game.questManager.turnIn(action.quest),
+        giveItem: (manager, action) => manager.game.inventory.addItem({ id: action.item, quantity: action.count || 1 }),
+        takeItem: (manager, action) => manager.game.inventory.removeItemsById(action.item, action.count || 1),
+        setFlag: (manager, action) => {
+            manager.flags[action.flag] = action.value !== undefined ? action.value : true;
+        }
+    };
+
+    constructor(game) {
+        this.game = game;
+        this.flags = {}; // Dialogue flags - saved with the game
+        this.listeners = []; // Called with the current view whenever it changes (dialogue box)
+
+        this.tree = null;
+        this.nodeId = null;
+        this.speaker = null;
+        this.npc = null; // NPC being talked to, if any
+    }
+
+    isActive() {
+        return this.tree !== null;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Talk to an NPC - through its dialogue tree, or its flat lines
+     */
+    startWithNPC(npc) {
+        if (npc.dialogueTree) {
+            this.start(npc.name, npc.dialogueTree, npc);
+        } else {
+            const lines = npc.dialogue.length > 0 ? npc.dialogue : ["Hello there! I don't have much to say right now."];
+            this.start(npc.name, DialogueManager.fromLines(lines), npc);
+        }
+    }
+
+    /**
+     * A one-off message (quest updates, notices) shown as a conversation
+     */
+    showMessage(speaker, message) {
+        this.start(speaker, DialogueManager.fromLines([String(message).substring(0, 500)]), null);
+    }
+
+    start(speaker, tree, npc = null) {
+        if (!SecurityUtils.validateDialogueTree(tree)) {
+            console.error(`❌ DialogueManager: Invalid dialogue tree for ${speaker}`);
+            return false;
+        }
+
+        this.tree = tree;
+        this.speaker = speaker;
+        this.npc = npc;
+        console.log(`💬 Talking to ${speaker}`);
+        this.goTo(tree.start);
+        return true;
+    }
+
+    /**
+     * Current node and the choices the player can pick, or null when idle
+     */
+    getView() {
+        if (!this.isActive()) return null;
+
+        const node = this.tree.nodes[this.nodeId];
+        return {
+            speaker: this.speaker,
+            text: node.text,
+            choices: this.getChoices(node)
+        };
+    }
+
+    /**
+     * Choices whose conditions hold. Nodes without choices continue or end.
+     */
+    getChoices(node) {
+        if (!Array.isArray(node.choices)) {
+            const hasNext = node.next !== undefined && node.next !== DialogueManager.END;
+            return [{ text: hasNext ? 'Continue' : 'Goodbye', next: hasNext ? node.next : DialogueManager.END }];
+        }
+
+        const choices = node.choices.filter(choice => this.matches(choice.conditions || {}));
+        // Never leave the player stuck on a node with every choice hidden
+        return choices.length > 0 ? choices : [{ text: 'Goodbye', next: DialogueManager.END }];
+    }
+
+    matches(conditions) {
+        return Object.keys(conditions).every(name =>
+            DialogueManager.CONDITIONS[name](this, conditions[name])
+        );
+    }
+
+    /**
+     * Pick one of the current view's choices by index
+     */
+    choose(index) {
+        const view = this.getView();
+        if (!view || !view.choices[index]) return false;
+
+        const choice = view.choices[index];
+        (choice.actions || []).forEach(action => this.runAction(action));
+        if (!this.isActive()) return true; // An action may have ended the conversation
+
+        this.goTo(choice.next);
+        return true;
+    }
+
+    goTo(nodeId) {
+        if (nodeId === undefined || nodeId === DialogueManager.END) {
+            this.end();
+            return;
+        }
+
+        this.nodeId = nodeId;
+        const node = this.tree.nodes[nodeId];
+        (node.actions || []).forEach(action => this.runAction(action));
+        this.notify();
+    }
+
+    runAction(action) {
+        DialogueManager.ACTIONS[action.type](this, action);
+    }
+
+    end() {
+        if (!this.isActive()) return;
+
+        this.tree = null;
+        this.nodeId = null;
+        this.speaker = null;
+        this.npc = null;
+        this.notify();
+    }
+
+    /**
+     * Walking away from the NPC ends the conversation
+     */
+    update() {
+        if (!this.npc || !this.game.player) return;
+
+        const player = this.game.player;
+        if (!this.npc.isActive || this.npc.getDistanceTo(player.x, player.y) > DialogueManager.MAX_TALK_DISTANCE) {
+            this.end();
+        }
+    }
+
+    notify() {
+        const view = this.getView();
+        this.listeners.forEach(listener => listener(view));
+    }
+
+    /**
+     * Linear conversation from flat lines - each continues to the next
+     */
+    static fromLines(lines) {
+        const nodes = {};
+        lines.forEach((line, index) => {
+            nodes[`line_${index}`] = {
+                text: line,
+                next: index < lines.length - 1 ? `line_${index + 1}` : DialogueManager.END
+            };
+        });
+        return { start: 'line_0', nodes: nodes };
+    }
+
+    /**
+     * Dialogue flags for saves
+     */
+    getState() {
+        return { ...this.flags };
+    }
+
+    restoreState(flags) {
+        if (!SecurityUtils.validateDialogueFlags(flags)) {
+            console.error('❌ DialogueManager: Invalid saved dialogue flags ignored');
+            return;
+        }
+        this.flags = { ...flags };
+    }
+}
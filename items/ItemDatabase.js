@@ -0,0 +1,113 @@
+/**
+ * Item Database - Runes of Tir na nÓg
+ * Every item in the game by id, loaded from assets/items/items.json.
+ * Inventories, shops, loot tables, quest rewards and saves only hold an item's
+ * id and quantity (plus durability for gear that wears); its name, icon, stats
+ * and everything else come from its definition here:
+ *
+ *   {
+ *       "id": "iron_sword",
+ *       "name": "Iron Sword",
+ *       "icon": "⚔️",
+ *       "sprite": "assets/items/iron_sword.png",
+ *       "type": "weapon",
+ *       "rarity": "common",
+ *       "stackSize": 1,
+ *       "stats": { "attack": 15 },
+ *       "use": { "heal": 5 },
+ *       "value": 150,
+ *       "maxDurability": 100,
+ *       "description": "A sturdy iron blade"
+ *   }
+ *
+ * Only `id`, `name` and `type` are required. `sprite` is drawn on the player
+ * while the item is equipped; `use` is what using one does. The file's
+ * `aliases` map ids from older saves and data to their current ids.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class ItemDatabase {
+    static ITEMS_PATH = 'assets/items/items.json';
+    static RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+    static items = new Map();
+    static aliases = new Map(); // Old id -> current id
+    static loading = null; // Item load in progress or done
+
+    /**
+     * Add an item definition - returns false if it fails validation
+     */
+    static register(definition) {
+        if (!SecurityUtils.validateItemDefinition(definition)) {
+            console.error(`❌ ItemDatabase: Rejected item "${definition && definition.id}"`);
+            return false;
+        }
+
+        this.items.set(definition.id, Object.freeze({
+            icon: '📦',
+            rarity: 'common',
+            stackSize: 1,
+            description: '',
+            ...structuredClone(definition),
+            stats: Object.freeze({ ...definition.stats })
+        }));
+        return true;
+    }
+
+    /**
+     * Definition for an item id (or an alias of one), or null if unknown
+     */
+    static get(id) {
+        return this.items.get(this.resolveId(id)) || null;
+    }
+
+    static has(id) {
+        return this.items.has(this.resolveId(id));
+    }
+
+    static resolveId(id) {
+        return this.aliases.get(id) || id;
+    }
+
+    /**
+     * Load every item in the items file. Safe to call repeatedly - the file is
+     * only fetched once. Resolves to the number loaded.
+     */
+    static load(itemsPath = this.ITEMS_PATH) {
+        if (!this.loading) {
+            this.loading = this.loadItems(itemsPath);
+        }
+        return this.loading;
+    }
+
+    static async loadItems(itemsPath) {
+        let data;
+        try {
+            const response = await fetch(itemsPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load items: ${response.statusText}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.warn('⚠️ ItemDatabase: Item definitions unavailable, inventories will be empty', error);
+            return 0;
+        }
+
+        const items = Array.isArray(data.items) ? data.items : [];
+        const loaded = items.filter(item => this.register(item)).length;
+
+        if (data.aliases && typeof data.aliases === 'object') {
+            Object.entries(data.aliases).forEach(([alias, id]) => {
+                if (this.items.has(id) && !this.items.has(alias)) {
+                    this.aliases.set(alias, id);
+                } else {
+                    console.error(`❌ ItemDatabase: Rejected alias "${alias}" -> "${id}"`);
+                }
+            });
+        }
+
+        console.log(`🎒 ItemDatabase: Loaded ${loaded}/${items.length} items`);
+        return loaded;
+    }
+}
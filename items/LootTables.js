@@ -0,0 +1,113 @@
+/**
+ * Loot Tables - Runes of Tir na nÓg
+ * Weighted loot tables by id, loaded from assets/loot/tables.json. NPC
+ * definitions name a table with `lootTable`; when the NPC dies the table is
+ * rolled and the results are dropped on the ground.
+ *
+ *   {
+ *       "id": "vermin",
+ *       "rolls": 1,
+ *       "despawnTime": 60000,
+ *       "entries": [
+ *           { "weight": 70 },
+ *           { "weight": 30, "item": "rat_tail", "quantity": [1, 2] }
+ *       ]
+ *   }
+ *
+ * Each roll picks one entry by weight; entries without an `item` drop nothing.
+ * Items are ItemDatabase ids, so the item database must load first.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { ItemDatabase } from './ItemDatabase.js';
+
+export class LootTables {
+    static TABLES_PATH = 'assets/loot/tables.json';
+    static DEFAULT_DESPAWN_TIME = 120000; // ms an uncollected drop stays on the ground
+
+    static tables = new Map();
+    static loading = null; // Tables load in progress or done
+
+    /**
+     * Add a table - returns false if it fails validation
+     */
+    static register(table) {
+        if (!SecurityUtils.validateLootTable(table)) {
+            console.error(`❌ LootTables: Rejected table "${table && table.id}"`);
+            return false;
+        }
+
+        const unknown = table.entries.find(entry => entry.item !== undefined && !ItemDatabase.has(entry.item));
+        if (unknown) {
+            console.error(`❌ LootTables: Table "${table.id}" drops unknown item "${unknown.item}"`);
+            return false;
+        }
+
+        this.tables.set(table.id, Object.freeze(structuredClone(table)));
+        return true;
+    }
+
+    static get(id) {
+        return this.tables.get(id) || null;
+    }
+
+    /**
+     * Load every table in the tables file. Safe to call repeatedly - the file
+     * is only fetched once. Resolves to the number loaded.
+     */
+    static load(tablesPath = this.TABLES_PATH) {
+        if (!this.loading) {
+            this.loading = this.loadTables(tablesPath);
+        }
+        return this.loading;
+    }
+
+    static async loadTables(tablesPath) {
+        let data;
+        try {
+            const response = await fetch(tablesPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load loot tables: ${response.statusText}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.warn('⚠️ LootTables: Loot tables unavailable, NPCs will drop nothing', error);
+            return 0;
+        }
+
+        const tables = Array.isArray(data.tables) ? data.tables : [];
+        const loaded = tables.filter(table => this.register(table)).length;
+
+        console.log(`💰 LootTables: Loaded ${loaded}/${tables.length} loot tables`);
+        return loaded;
+    }
+
+    /**
+     * Roll a table - returns { id, quantity } for each drop
+     */
+    static roll(table) {
+        const totalWeight = table.entries.reduce((sum, entry) => sum + entry.weight, 0);
+        const drops = [];
+
+        for (let i = 0; i < (table.rolls || 1); i++) {
+            let pick = Math.random() * totalWeight;
+            const entry = table.entries.find(candidate => (pick -= candidate.weight) < 0);
+            if (!entry || !entry.item) continue;
+
+            const [min, max] = Array.isArray(entry.quantity) ? entry.quantity : [entry.quantity || 1, entry.quantity || 1];
+            drops.push({
+                id: ItemDatabase.resolveId(entry.item),
+                quantity: min + Math.floor(Math.random() * (max - min + 1))
+            });
+        }
+
+        return drops;
+    }
+
+    /**
+     * How long a table's drops stay on the ground
+     */
+    static getDespawnTime(table) {
+        return Number.isFinite(table.despawnTime) ? table.despawnTime : this.DEFAULT_DESPAWN_TIME;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Shop - Runes of Tir na nÓg
+ * A merchant's stock and the trades the player can make with it. Listings come
+ * from the merchant's `shopItems`, which name items from the ItemDatabase:
+ *
+ *   { id: "health_potion", price: 25, stock: 5, restockTime: 60000 }
+ *
+ * Listings without a `price` sell for the item's `value`. Listings without `stock` never run out. Limited listings regain one item every
+ * `restockTime` ms until they are back to their starting stock. The player sells
+ * items back for the merchant's `sellRate` (default half) of the item's `value`,
+ * or of the merchant's own price for it when the item has no value.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { Player } from '../player/Player.js';
+import { ItemDatabase } from './ItemDatabase.js';
+
+export class Shop {
+    static DEFAULT_SELL_RATE = 0.5;
+    static DEFAULT_RESTOCK_TIME = 60000; // ms per item
+
+    constructor(merchant) {
+        this.merchantName = merchant.name;
+        this.sellRate = Number.isFinite(merchant.sellRate) ?
+            Math.max(0, Math.min(1, merchant.sellRate)) : Shop.DEFAULT_SELL_RATE;
+
+        const shopItems = SecurityUtils.validateShopItems(merchant.shopItems) ? merchant.shopItems : [];
+        if (shopItems !== merchant.shopItems) {
+            console.error(`❌ Shop: Invalid shop items for ${merchant.name} - shop is empty`);
+        }
+
+        const known = shopItems.filter(listing => {
+            if (!ItemDatabase.has(listing.id)) {
+                console.error(`❌ Shop: ${merchant.name} lists unknown item "${listing.id}"`);
+                return false;
+            }
+            return true;
+        });
+
+        this.listings = known.map(listing => {
+            const definition = ItemDatabase.get(listing.id);
+            return {
+                item: definition, // For names, icons and descriptions
+                price: listing.price ?? definition.value ?? 0,
+                maxStock: listing.stock, // undefined = unlimited
+                stock: listing.stock,
+                restockTime: listing.restockTime || Shop.DEFAULT_RESTOCK_TIME,
+                restockTimer: 0
+            };
+        });
+    }
+
+    /**
+     * Restock limited listings one item at a time
+     */
+    update(deltaTime) {
+        for (const listing of this.listings) {
+            if (listing.maxStock === undefined || listing.stock >= listing.maxStock) {
+                listing.restockTimer = 0;
+                continue;
+            }
+
+            listing.restockTimer += deltaTime;
+            if (listing.restockTimer >= listing.restockTime) {
+                listing.restockTimer -= listing.restockTime;
+                listing.stock++;
+            }
+        }
+    }
+
+    /**
+     * Buy from a listing into the inventory - returns { success, message }
+     */
+    buy(index, player, inventory, quantity = 1) {
+        const listing = this.listings[index];
+        if (!listing) {
+            return { success: false, message: 'That is not for sale.' };
+        }
+        if (!SecurityUtils.validateTransaction(listing.price, quantity)) {
+            return { success: false, message: 'That trade is not possible.' };
+        }
+        if (quantity > listing.item.stackSize) {
+            return { success: false, message: 'You can only buy one stack at a time.' };
+        }
+        if (listing.stock !== undefined && listing.stock < quantity) {
+            return { success: false, message: `${listing.item.name} is sold out.` };
+        }
+
+        const total = listing.price * quantity;
+        if (player.gold < total) {
+            return { success: false, message: `You need ${total} gold for that.` };
+        }
+        if (!inventory.canAddItem({ id: listing.item.id, quantity: quantity })) {
+            return { success: false, message: 'Your inventory is full.' };
+        }
+
+        // Take the gold only once the item is safely in the pack
+        if (!inventory.addItem({ id: listing.item.id, quantity: quantity })) {
+            return { success: false, message: 'Your inventory is full.' };
+        }
+        player.spendGold(total);
+        if (listing.stock !== undefined) {
+            listing.stock -= quantity;
+        }
+
+        if (window.DEBUG_MODE === true) {
+            console.log(`🛒 Bought ${quantity} ${listing.item.name} from ${this.merchantName} for ${total} gold`);
+        }
+        return { success: true, message: `Bought ${listing.item.name} for ${total} gold.` };
+    }
+
+    /**
+     * Gold offered for one of an item, or null if the merchant won't buy it
+     */
+    getSellPrice(item) {
+        const definition = item ? ItemDatabase.get(item.id) : null;
+        if (!definition) return null;
+
+        const listing = this.listings.find(candidate => candidate.item.id === definition.id);
+        const value = Number.isInteger(definition.value) ? definition.value : (listing ? listing.price : null);
+        if (value === null) return null;
+
+        return Math.floor(value * this.sellRate);
+    }
+
+    /**
+     * Sell a whole inventory slot - returns { success, message }
+     */
+    sell(slotIndex, player, inventory) {
+        const item = inventory.items[slotIndex];
+        const price = this.getSellPrice(item);
+        if (!price) {
+            return { success: false, message: `${this.merchantName} is not interested in that.` };
+        }
+
+        const quantity = item.quantity || 1;
+        if (!SecurityUtils.validateTransaction(price, quantity)) {
+            return { success: false, message: 'That trade is not possible.' };
+        }
+
+        const total = price * quantity;
+        if (player.gold + total > Player.MAX_GOLD) {
+            return { success: false, message: 'You cannot carry any more gold.' };
+        }
+
+        inventory.removeItem(slotIndex);
+        player.addGold(total);
+
+        const name = ItemDatabase.get(item.id).name;
+        if (window.DEBUG_MODE === true) {
+            console.log(`🛒 Sold ${quantity} ${name} to ${this.merchantName} for ${total} gold`);
+        }
+        return { success: true, message: `Sold ${name} for ${total} gold.` };
+    }
+}
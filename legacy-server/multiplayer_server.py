@@ -189,6 +189,10 @@ class GameServer:
                         player_id = await self.handle_player_join(websocket, data)
                     elif message_type == 'position_update':
                         await self.handle_position_update(player_id, data)
+                    elif message_type == 'player_death':
+                        await self.handle_player_death(player_id, data)
+                    elif message_type == 'player_respawn':
+                        await self.handle_player_respawn(player_id, data)
                     elif message_type == 'ping':
                         # Update last ping time for this player
                         if player_id and player_id in self.players:
@@ -304,6 +308,38 @@ class GameServer:
             'y': self.players[player_id]['y']
         })
     
+    async def handle_player_death(self, player_id, data):
+        """Handle a player dying - other players see them fall"""
+        if player_id not in self.players:
+            return
+        
+        self.players[player_id]['is_dead'] = True
+        
+        await self.broadcast_to_others(player_id, {
+            'type': 'player_died',
+            'player_id': player_id
+        })
+        
+        logger.info(f"Player {self.players[player_id]['name']} died")
+    
+    async def handle_player_respawn(self, player_id, data):
+        """Handle a player respawning - other players see them at their respawn point"""
+        if player_id not in self.players:
+            return
+        
+        self.players[player_id]['is_dead'] = False
+        self.players[player_id]['x'] = data.get('x', self.players[player_id]['x'])
+        self.players[player_id]['y'] = data.get('y', self.players[player_id]['y'])
+        
+        await self.broadcast_to_others(player_id, {
+            'type': 'player_respawned',
+            'player_id': player_id,
+            'x': self.players[player_id]['x'],
+            'y': self.players[player_id]['y']
+        })
+        
+        logger.info(f"Player {self.players[player_id]['name']} respawned")
+    
     async def handle_player_disconnect(self, player_id):
         """Handle player disconnection"""
         if player_id in self.players:
@@ -459,7 +495,8 @@ class GameServer:
                     'x': data['x'],
                     'y': data['y'],
                     'color': data['color'],
-                    'connected_at': data['connected_at']
+                    'connected_at': data['connected_at'],
+                    'isDead': data.get('is_dead', False)
                 }
                 for pid, data in self.players.items()
             }
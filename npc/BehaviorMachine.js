@@ -0,0 +1,131 @@
+/**
+ * Behavior Machine - Runes of Tir na nÓg
+ * Data-driven NPC AI as a hierarchical state machine. An NPC's `ai` definition
+ * (from NPCConfig or world/NPC JSON) declares states, the action each state runs
+ * and the conditions that move it to another state:
+ *
+ *   ai: {
+ *       initial: "wander",
+ *       states: {
+ *           wander: { action: "wander", transitions: [{ to: "flee", when: { healthBelow: 0.3 } }] },
+ *           flee: { action: "flee", params: { distance: 120 }, transitions: [{ to: "wander", when: { playerOutOfRange: 200 } }] }
+ *       }
+ *   }
+ *
+ * A state with a `parent` also takes its parent's transitions (checked after its own),
+ * so shared exits like "flee when hurt" are declared once. NPCs without an `ai`
+ * definition get a single state running their `behavior`.
+ */
+
+export class BehaviorMachine {
+    // Action name -> NPC handler. Params come from the state definition.
+    static ACTIONS = {
+        idle: (npc, deltaTime, game, params) => npc.handleIdleBehavior(deltaTime, game, params),
+        patrol: (npc, deltaTime, game, params) => npc.handlePatrolBehavior(deltaTime, game, params),
+        wander: (npc, deltaTime, game, params) => npc.handleWanderBehavior(deltaTime, game, params),
+        follow: (npc, deltaTime, game, params) => npc.handleFollowBehavior(deltaTime, game, params),
+        guard: (npc, deltaTime, game, params) => npc.handleGuardBehavior(deltaTime, game, params),
+        hostile: (npc, deltaTime, game, params) => npc.handleHostileBehavior(deltaTime, game, params),
+        approach: (npc, deltaTime, game, params) => npc.handleApproachBehavior(deltaTime, game, params),
+        flee: (npc, deltaTime, game, params) => npc.handleFleeBehavior(deltaTime, game, params)
+    };
+
+    // Condition name -> test. All conditions in a `when` block must hold.
+    static CONDITIONS = {
+        playerInRange: (npc, game, radius) => !!game.player && npc.getDistanceTo(game.player.x, game.player.y) <= radius,
+        playerOutOfRange: (npc, game, radius) => !game.player || npc.getDistanceTo(game.player.x, game.player.y) > radius,
+        healthBelow: (npc, game, fraction) => npc.health / npc.maxHealth < fraction,
+        healthAbove: (npc, game, fraction) => npc.health / npc.maxHealth > fraction,
+        awayFromHome: (npc, game, radius) => npc.getDistanceTo(npc.homeX, npc.homeY) > radius,
+        moving: (npc, game, moving) => npc.isMoving === moving,
+        chance: (npc, game, chance) => Math.random() < chance,
+        minStateTime: (npc, game, ms, machine) => machine.stateTime >= ms,
+        timeOfDay: (npc, game, range) => BehaviorMachine.isHourInRange(BehaviorMachine.getHour(game), range.from, range.to),
+        any: (npc, game, blocks, machine) => blocks.some(block => machine.matches(block, npc, game))
+    };
+
+    constructor(definition) {
+        this.definition = definition;
+        this.states = definition.states;
+        this.currentState = null;
+        this.stateTime = 0; // Game time (ms) spent in the current state, advanced by the NPC
+        this.enter(definition.initial);
+    }
+
+    /**
+     * Single-state definition for a plain `behavior` string
+     */
+    static fromBehavior(behavior) {
+        const action = Object.hasOwn(BehaviorMachine.ACTIONS, behavior) ? behavior : 'idle';
+        return {
+            initial: action,
+            states: { [action]: { action: action } }
+        };
+    }
+
+    /**
+     * Hour of the day (0-24, fractional). Uses the game's clock when it has one,
+     * otherwise the player's local time.
+     */
+    static getHour(game) {
+        if (game && typeof game.getTimeOfDay === 'function') {
+            return game.getTimeOfDay();
+        }
+        const now = new Date();
+        return now.getHours() + now.getMinutes() / 60;
+    }
+
+    /**
+     * Whether an hour falls in [from, to) - ranges may wrap past midnight (22 -> 6)
+     */
+    static isHourInRange(hour, from, to) {
+        return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+    }
+
+    enter(stateName) {
+        this.currentState = stateName;
+        this.stateTime = 0;
+    }
+
+    /**
+     * Restore a saved state - ignored if the definition no longer has it
+     */
+    setState(stateName) {
+        if (typeof stateName === 'string' && Object.hasOwn(this.states, stateName)) {
+            this.enter(stateName);
+        }
+    }
+
+    /**
+     * One AI decision: take the first transition whose conditions hold, then
+     * run the (possibly new) state's action
+     */
+    update(npc, deltaTime, game) {
+        const next = this.findTransition(npc, game);
+        if (next) {
+            this.enter(next);
+        }
+
+        const state = this.states[this.currentState];
+        BehaviorMachine.ACTIONS[state.action](npc, deltaTime, game, state.params || {});
+    }
+
+    findTransition(npc, game) {
+        // Own transitions first, then each ancestor's (parent chains are validated acyclic)
+        for (let name = this.currentState; name; name = this.states[name].parent) {
+            const transitions = this.states[name].transitions || [];
+            for (const transition of transitions) {
+                if (transition.to !== this.currentState && this.matches(transition.when || {}, npc, game)) {
+                    return transition.to;
+                }
+            }
+        }
+        return null;
+    }
+
+    matches(conditions, npc, game) {
+        return Object.keys(conditions).every(name =>
+            BehaviorMachine.CONDITIONS[name](npc, game, conditions[name], this)
+        );
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Factions - Runes of Tir na nÓg
+ * Who likes whom. Every NPC has a `faction` and the player is in "player".
+ * Each pair of factions has a relationship from -100 to 100; at or below
+ * HOSTILE_THRESHOLD they fight on sight, at or above ALLY_THRESHOLD they come
+ * to each other's aid. Only factions that `fight` go looking for trouble.
+ *
+ * The player's relationships are their reputation: attacking a faction's
+ * members (or its allies) lowers it, killing its enemies raises it. Changes
+ * are saved with the game.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class Factions {
+    static MIN = -100;
+    static MAX = 100;
+    static HOSTILE_THRESHOLD = -50;
+    static ALLY_THRESHOLD = 50;
+
+    // Reputation changes for the attacker's faction
+    static ATTACK_PENALTY = 20; // Attacking a non-hostile NPC
+    static KILL_PENALTY = 30; // Killing one
+    static KILL_BONUS = 2; // Killing an enemy of the faction
+
+    static DEFAULTS = {
+        town: { fights: false, relations: { guards: 100, player: 50, vermin: -100 } },
+        guards: { fights: true, relations: { player: 50, vermin: -100 } },
+        vermin: { fights: true, relations: { player: -100 } },
+        player: { fights: true, relations: {} }
+    };
+
+    constructor() {
+        this.relations = new Map(); // "a:b" (sorted) -> value; missing pairs are neutral (0)
+        this.fighters = new Set();
+
+        Object.entries(Factions.DEFAULTS).forEach(([faction, definition]) => {
+            if (definition.fights) {
+                this.fighters.add(faction);
+            }
+            Object.entries(definition.relations).forEach(([other, value]) => this.setRelation(faction, other, value));
+        });
+    }
+
+    static key(a, b) {
+        return a < b ? `${a}:${b}` : `${b}:${a}`;
+    }
+
+    getRelation(a, b) {
+        if (a === b) return Factions.MAX;
+        return this.relations.get(Factions.key(a, b)) ?? 0;
+    }
+
+    setRelation(a, b, value) {
+        if (a === b) return;
+        this.relations.set(Factions.key(a, b), Math.max(Factions.MIN, Math.min(Factions.MAX, Math.round(value))));
+    }
+
+    adjust(a, b, delta) {
+        this.setRelation(a, b, this.getRelation(a, b) + delta);
+    }
+
+    isHostile(a, b) {
+        return a !== b && this.getRelation(a, b) <= Factions.HOSTILE_THRESHOLD;
+    }
+
+    isAlly(a, b) {
+        return this.getRelation(a, b) >= Factions.ALLY_THRESHOLD;
+    }
+
+    canFight(faction) {
+        return this.fighters.has(faction);
+    }
+
+    /**
+     * Every faction with a known relationship
+     */
+    getFactions() {
+        const factions = new Set(this.fighters);
+        this.relations.forEach((value, key) => key.split(':').forEach(faction => factions.add(faction)));
+        return [...factions];
+    }
+
+    /**
+     * An unprovoked attack - the victim's faction and its allies think less of the attacker
+     */
+    recordAttack(victimFaction, attackerFaction) {
+        if (this.isHostile(victimFaction, attackerFaction)) return;
+
+        this.getFactions().forEach(faction => {
+            if (faction !== attackerFaction && this.isAlly(faction, victimFaction)) {
+                this.adjust(faction, attackerFaction, -Factions.ATTACK_PENALTY);
+            }
+        });
+    }
+
+    /**
+     * A kill - the victim's allies resent it, its enemies approve
+     */
+    recordKill(victimFaction, killerFaction) {
+        this.getFactions().forEach(faction => {
+            if (faction === killerFaction) return;
+
+            if (this.isAlly(faction, victimFaction) && !this.isHostile(victimFaction, killerFaction)) {
+                this.adjust(faction, killerFaction, -Factions.KILL_PENALTY);
+            } else if (this.isHostile(faction, victimFaction)) {
+                this.adjust(faction, killerFaction, Factions.KILL_BONUS);
+            }
+        });
+    }
+
+    /**
+     * Relationships for saves
+     */
+    getState() {
+        return Object.fromEntries(this.relations);
+    }
+
+    restoreState(state) {
+        if (!SecurityUtils.validateFactionState(state)) {
+            console.error('❌ Factions: Invalid saved relationships ignored');
+            return;
+        }
+
+        Object.entries(state).forEach(([key, value]) => {
+            const [a, b] = key.split(':');
+            this.setRelation(a, b, value);
+        });
+    }
+}
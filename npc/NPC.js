@@ -3,13 +3,24 @@
  * Handles Non-Player Characters (NPCs) including townies, merchants, quest givers, etc.
  */
 
+import { Pathfinder } from './Pathfinder.js';
+import { BehaviorMachine } from './BehaviorMachine.js';
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { LootTables } from '../items/LootTables.js';
+import { NPCSchedule } from './NPCSchedule.js';
+import { Factions } from './Factions.js';
+
 class NPC {
+    static AGGRO_TIME = 15000; // ms an NPC keeps after whoever attacked it
+    static KILL_XP_PER_LEVEL = 10; // Default experience for a kill, per NPC level
+    
     constructor(config) {
         // Basic Properties
         this.id = config.id || `npc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         this.name = config.name || "Unknown NPC";
         this.type = config.type || "townie"; // townie, merchant, quest_giver, guard, etc.
         this.description = config.description || "A mysterious figure.";
+        this.definition = config.definition || null; // NPCDefinitions id this NPC was created from
         
         // Position and Movement
         this.x = config.x || 0;
@@ -28,6 +39,16 @@ class NPC {
         this.deceleration = config.deceleration || 0.9; // How quickly NPC decelerates when stopping
         this.maxSpeed = this.speed; // Maximum movement speed
         
+        // Pathfinding - routes around walls, followed one waypoint at a time
+        this.pathfinder = null; // Shared Pathfinder, set by NPCManager
+        this.path = null; // Remaining waypoints (top-left positions in pixels)
+        this.pathRequest = null; // Search still being worked on by the pathfinder
+        this.pathGoal = null; // Goal tile of the current path or request
+        this.lastPathTime = 0;
+        this.repathInterval = config.repathInterval || 400; // Min ms between re-plans for a moving target
+        this.destinationX = this.x; // Where the path ultimately leads
+        this.destinationY = this.y;
+        
         // Visual Properties
         this.sprite = config.sprite || null;
         this.color = config.color || "#8B4513"; // Default brown color
@@ -56,12 +77,15 @@ class NPC {
         this.wanderRadius = config.wanderRadius || 100;
         this.homeX = this.x;
         this.homeY = this.y;
+        this.spawnX = this.x; // Where the NPC was placed - a schedule's "home"
+        this.spawnY = this.y;
         
         // Interaction Properties
         this.interactable = config.interactable !== false;
         this.dialogue = config.dialogue || [];
-        this.currentDialogueIndex = 0;
+        this.dialogueTree = config.dialogueTree || null; // Branching conversation - see DialogueManager
         this.shopItems = config.shopItems || [];
+        this.sellRate = config.sellRate; // Share of an item's value merchants pay - see Shop
         this.quests = config.quests || [];
         
         // State Properties
@@ -70,11 +94,23 @@ class NPC {
         this.health = config.health || 100;
         this.maxHealth = config.maxHealth || 100;
         this.level = config.level || 1;
+        this.experience = config.experience ?? this.level * NPC.KILL_XP_PER_LEVEL; // Awarded to the player who kills it
         
-        // AI Properties
+        // AI Properties - an `ai` state machine definition, or one state running `behavior`
+        this.ai = null;
+        this.aiDefinition = null;
         this.aiState = "idle";
+        this.initBehavior(config.ai, config.behavior);
         this.lastActionTime = 0;
         this.actionCooldown = config.actionCooldown || 1000;
+        
+        // Daily schedule - where to be at each time of day (see NPCSchedule)
+        this.schedule = null;
+        this.scheduleDefinition = null;
+        this.scheduleEntry = null;
+        this.scheduleArrived = false;
+        this.isAsleep = false;
+        this.initSchedule(config.schedule);
         this.detectionRadius = config.detectionRadius || 50;
         this.reactionTime = config.reactionTime || 500;
         
@@ -86,6 +122,12 @@ class NPC {
         this.lastAttackTime = 0;
         this.isAttacking = false;
         this.attackRange = config.attackRange || 20;
+        this.lootTable = config.lootTable || null; // LootTables id rolled on death
+        this.faction = config.faction || NPC.getDefaultFaction(config); // See Factions
+        this.aggroTarget = null; // Whoever last attacked this NPC (player or NPC)
+        this.aggroUntil = 0;
+        this.lastAttacker = null;
+        this.deathHandled = false; // Set once NPCManager has dropped loot etc.
         
         // Damage numbers system
         this.damageNumbers = [];
@@ -110,8 +152,10 @@ class NPC {
         // Store world reference for collision detection
         this.world = game.world;
         
-        // Update AI behavior
-        this.updateAI(deltaTime, game);
+        // A schedule takes the NPC where it should be at this hour; the AI runs once it is there
+        if (!this.updateSchedule(deltaTime, game)) {
+            this.updateAI(deltaTime, game);
+        }
         
         // Update animation
         this.updateAnimation(deltaTime);
@@ -119,6 +163,9 @@ class NPC {
         // Update damage numbers
         this.updateDamageNumbers();
         
+        // Advance along the current path, if any
+        this.updatePath();
+        
         // Update smooth movement
         this.updateSmoothMovement(deltaTime, this.world);
         
@@ -132,68 +179,129 @@ class NPC {
      * Update AI behavior based on current state
      */
     updateAI(deltaTime, game) {
+        this.ai.stateTime += deltaTime;
         if (this.lastActionTime < this.actionCooldown) return;
         
-        switch (this.behavior) {
-            case "idle":
-                this.handleIdleBehavior(deltaTime, game);
-                break;
-            case "patrol":
-                this.handlePatrolBehavior(deltaTime, game);
-                break;
-            case "wander":
-                this.handleWanderBehavior(deltaTime, game);
-                break;
-            case "follow":
-                this.handleFollowBehavior(deltaTime, game);
-                break;
-            case "guard":
-                this.handleGuardBehavior(deltaTime, game);
-                break;
-            case "hostile":
-                this.handleHostileBehavior(deltaTime, game);
-                break;
-        }
+        this.ai.update(this, deltaTime, game);
+        this.aiState = this.ai.currentState;
         
         this.lastActionTime = 0;
     }
     
     /**
-     * Handle idle behavior - NPC stays in place
+     * Build the AI state machine from an `ai` definition, falling back to a
+     * single state running the plain `behavior` string
      */
-    handleIdleBehavior(deltaTime, game) {
-        // Enhanced idle behavior for Bob
-        if (this.name === "Bob") {
-            // Bob occasionally looks around mysteriously
-            if (Math.random() < 0.02) {
-                this.direction = Math.floor(Math.random() * 8);
-                
-                // Sometimes Bob has mysterious insights
-                if (Math.random() < 0.1) {
-                    console.log(`🔮 Bob's mysterious insight: "${this.dialogue[Math.floor(Math.random() * this.dialogue.length)]}"`);
-                }
+    initBehavior(ai, behavior) {
+        if (ai && SecurityUtils.validateBehaviorDefinition(ai)) {
+            this.aiDefinition = ai;
+            this.ai = new BehaviorMachine(ai);
+            this.behavior = behavior || ai.states[ai.initial].action;
+        } else {
+            if (ai) {
+                console.warn(`⚠️ NPC ${this.name}: Invalid AI definition, using "${behavior || "idle"}" behavior`);
             }
+            this.aiDefinition = null;
+            this.behavior = behavior || "idle";
+            this.ai = new BehaviorMachine(BehaviorMachine.fromBehavior(this.behavior));
+        }
+        this.aiState = this.ai.currentState;
+    }
+    
+    /**
+     * Build the daily schedule from its definition, if valid
+     */
+    initSchedule(schedule) {
+        this.schedule = null;
+        this.scheduleDefinition = null;
+        this.scheduleEntry = null;
+        
+        if (!schedule) return;
+        if (!SecurityUtils.validateSchedule(schedule)) {
+            console.warn(`⚠️ NPC ${this.name}: Invalid schedule ignored`);
+            return;
+        }
+        
+        this.scheduleDefinition = schedule;
+        this.schedule = new NPCSchedule(schedule);
+    }
+    
+    /**
+     * Follow the schedule - returns true while it is in control (travelling or
+     * asleep), false once the NPC has arrived and its AI should run
+     */
+    updateSchedule(deltaTime, game) {
+        if (!this.schedule) return false;
+        
+        const entry = this.schedule.getEntry(BehaviorMachine.getHour(game));
+        if (entry !== this.scheduleEntry) {
+            this.scheduleEntry = entry;
+            this.scheduleArrived = false;
+            this.isAsleep = false;
             
-            // Bob sometimes moves slightly even when idle (restless knowledge seeker)
-            if (Math.random() < 0.005) {
-                const smallMoveX = (Math.random() - 0.5) * 20;
-                const smallMoveY = (Math.random() - 0.5) * 20;
-                this.moveTowards(this.x + smallMoveX, this.y + smallMoveY, deltaTime, this.world);
-            }
-        } else {
-            // Standard idle behavior for other NPCs
-            if (Math.random() < 0.01) {
-                this.direction = Math.floor(Math.random() * 8);
+            // The destination becomes home, so wandering and idling happen there
+            const destination = this.schedule.resolveLocation(entry, this, game.world);
+            this.homeX = destination.x;
+            this.homeY = destination.y;
+        }
+        
+        if (this.scheduleArrived) {
+            return this.isAsleep;
+        }
+        
+        if (this.getDistanceTo(this.homeX, this.homeY) <= NPCSchedule.ARRIVE_DISTANCE) {
+            this.scheduleArrived = true;
+            this.isAsleep = entry.sleep === true;
+            return this.isAsleep;
+        }
+        
+        // Re-issue the move at the AI's pace; moveTowards paths around walls
+        if (this.lastActionTime >= this.actionCooldown) {
+            this.moveTowards(this.homeX, this.homeY, deltaTime, this.world);
+            this.lastActionTime = 0;
+        }
+        return true;
+    }
+    
+    /**
+     * Switch to a plain behavior, replacing any AI definition
+     */
+    setBehavior(behavior) {
+        this.initBehavior(null, behavior);
+    }
+    
+    /**
+     * Handle idle behavior - NPC stays in place
+     */
+    handleIdleBehavior(deltaTime, game, params = {}) {
+        // Occasionally look around
+        if (Math.random() < (params.lookChance ?? 0.01)) {
+            this.direction = Math.floor(Math.random() * 8);
+            
+            // Thoughtful NPCs sometimes mutter a line of their dialogue
+            if (params.insightChance && this.dialogue.length > 0 && Math.random() < params.insightChance) {
+                console.log(`🔮 ${this.name}'s mysterious insight: "${this.dialogue[Math.floor(Math.random() * this.dialogue.length)]}"`);
             }
         }
+        
+        // Restless NPCs shuffle about a little even when idle
+        if (params.fidgetChance && Math.random() < params.fidgetChance) {
+            const fidgetDistance = params.fidgetDistance || 20;
+            const smallMoveX = (Math.random() - 0.5) * fidgetDistance;
+            const smallMoveY = (Math.random() - 0.5) * fidgetDistance;
+            this.moveTowards(this.x + smallMoveX, this.y + smallMoveY, deltaTime, this.world);
+        }
     }
     
     /**
      * Handle patrol behavior - NPC moves between defined points
      */
     handlePatrolBehavior(deltaTime, game) {
+        // Patrolling guards break off to deal with threats
+        if (this.engageTarget(deltaTime, game)) return;
+        
         if (this.patrolPoints.length === 0) {
-            this.behavior = "idle";
+            this.setBehavior("idle");
             return;
         }
         
@@ -213,42 +321,46 @@ class NPC {
     /**
      * Handle wander behavior - NPC randomly wanders within radius
      */
-    handleWanderBehavior(deltaTime, game) {
+    handleWanderBehavior(deltaTime, game, params = {}) {
         if (!this.isMoving) {
-            // Enhanced wandering for Bob - more intelligent pathfinding
-            if (this.name === "Bob") {
-                // Bob sometimes approaches the player if they're nearby
-                if (game.player) {
-                    const distanceToPlayer = this.getDistanceTo(game.player.x, game.player.y);
-                    if (distanceToPlayer < this.wanderRadius * 0.6 && Math.random() < 0.3) {
-                        // 30% chance to approach player when nearby
-                        const approachDistance = 40; // Stay 40 pixels away
-                        const angleToPlayer = Math.atan2(game.player.y - this.y, game.player.x - this.x);
-                        const targetX = game.player.x - Math.cos(angleToPlayer) * approachDistance;
-                        const targetY = game.player.y - Math.sin(angleToPlayer) * approachDistance;
-                        this.moveTowards(targetX, targetY, deltaTime, this.world);
-                        return;
-                    }
-                }
-                
-                // Bob explores more systematically - prefers unexplored areas
-                const explorationAngle = Math.random() * Math.PI * 2;
-                const explorationDistance = Math.random() * this.wanderRadius * 0.8 + this.wanderRadius * 0.2;
-                const targetX = this.homeX + Math.cos(explorationAngle) * explorationDistance;
-                const targetY = this.homeY + Math.sin(explorationAngle) * explorationDistance;
-                this.moveTowards(targetX, targetY, deltaTime, this.world);
-            } else {
-                // Standard wandering for other NPCs
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * this.wanderRadius;
-                const targetX = this.homeX + Math.cos(angle) * distance;
-                const targetY = this.homeY + Math.sin(angle) * distance;
-                
-                this.moveTowards(targetX, targetY, deltaTime, this.world);
-            }
+            // Targets land between minDistance and the full wander radius (as fractions of it) -
+            // explorers use a minDistance so they don't potter about right next to home
+            const minDistance = params.minDistance || 0;
+            const angle = Math.random() * Math.PI * 2;
+            const distance = (minDistance + Math.random() * (1 - minDistance)) * this.wanderRadius;
+            const targetX = this.homeX + Math.cos(angle) * distance;
+            const targetY = this.homeY + Math.sin(angle) * distance;
+            
+            this.moveTowards(targetX, targetY, deltaTime, this.world);
         }
     }
     
+    /**
+     * Handle approach behavior - NPC walks up to the player, stopping a little way off
+     */
+    handleApproachBehavior(deltaTime, game, params = {}) {
+        if (!game.player) return;
+        
+        const approachDistance = params.distance || 40;
+        const angleToPlayer = Math.atan2(game.player.y - this.y, game.player.x - this.x);
+        const targetX = game.player.x - Math.cos(angleToPlayer) * approachDistance;
+        const targetY = game.player.y - Math.sin(angleToPlayer) * approachDistance;
+        this.moveTowards(targetX, targetY, deltaTime, this.world);
+    }
+    
+    /**
+     * Handle flee behavior - NPC runs directly away from the player
+     */
+    handleFleeBehavior(deltaTime, game, params = {}) {
+        if (!game.player) return;
+        
+        const fleeDistance = params.distance || 100;
+        const angleFromPlayer = Math.atan2(this.y - game.player.y, this.x - game.player.x);
+        const targetX = this.x + Math.cos(angleFromPlayer) * fleeDistance;
+        const targetY = this.y + Math.sin(angleFromPlayer) * fleeDistance;
+        this.moveTowards(targetX, targetY, deltaTime, this.world);
+    }
+    
     /**
      * Handle follow behavior - NPC follows the player
      */
@@ -268,6 +380,9 @@ class NPC {
      * Handle guard behavior - NPC guards a specific area
      */
     handleGuardBehavior(deltaTime, game) {
+        // Threats near the post come first
+        if (this.engageTarget(deltaTime, game)) return;
+        
         const distanceFromHome = this.getDistanceTo(this.homeX, this.homeY);
         
         if (distanceFromHome > this.wanderRadius) {
@@ -282,26 +397,12 @@ class NPC {
     }
     
     /**
-     * Handle hostile behavior - NPC chases and attacks player
+     * Handle hostile behavior - NPC chases and attacks the player or NPCs of
+     * factions it is hostile to
      */
     handleHostileBehavior(deltaTime, game) {
-        if (!game.player) return;
-        
-        const distanceToPlayer = this.getDistanceTo(game.player.x, game.player.y);
-        
-        if (distanceToPlayer <= this.detectionRadius) {
-            // Player detected - chase
-            if (distanceToPlayer <= this.attackRange) {
-                // In attack range - attack if cooldown is ready
-                if (Date.now() - this.lastAttackTime >= this.attackCooldown) {
-                    this.attackPlayer(game.player);
-                }
-            } else {
-                // Chase player
-                this.moveTowards(game.player.x, game.player.y, deltaTime, this.world);
-            }
-        } else {
-            // Player not detected - return to wandering or idle
+        if (!this.engageTarget(deltaTime, game)) {
+            // Nothing to fight - return to wandering or idle
             if (this.behavior === "wander") {
                 this.handleWanderBehavior(deltaTime, game);
             } else {
@@ -310,6 +411,79 @@ class NPC {
         }
     }
     
+    /**
+     * Chase and attack the current combat target - returns false if there is none
+     */
+    engageTarget(deltaTime, game) {
+        const target = this.findCombatTarget(game);
+        if (!target) return false;
+        
+        if (this.getDistanceTo(target.x, target.y) <= this.attackRange) {
+            if (Date.now() - this.lastAttackTime >= this.attackCooldown) {
+                if (target === game.player) {
+                    this.attackPlayer(target);
+                } else {
+                    this.attackNPC(target);
+                    game.npcManager.reportAttack(target, this);
+                }
+            }
+        } else {
+            this.moveTowards(target.x, target.y, deltaTime, this.world);
+        }
+        return true;
+    }
+    
+    /**
+     * Whoever provoked this NPC, while the grudge lasts, otherwise the nearest
+     * player or NPC of a hostile faction within detection range. Only factions
+     * that fight pick targets.
+     */
+    findCombatTarget(game) {
+        const npcManager = game.npcManager;
+        if (!npcManager || !npcManager.factions.canFight(this.faction)) return null;
+        
+        const aggro = this.aggroTarget;
+        if (aggro && Date.now() < this.aggroUntil && aggro.health > 0 && aggro.isActive !== false &&
+            this.getDistanceTo(aggro.x, aggro.y) <= this.detectionRadius * 2) {
+            return aggro;
+        }
+        this.aggroTarget = null;
+        
+        let target = null;
+        let range = this.detectionRadius;
+        
+        const player = game.player;
+        if (player && player.health > 0 && npcManager.factions.isHostile(this.faction, player.faction)) {
+            const distance = this.getDistanceTo(player.x, player.y);
+            if (distance <= range) {
+                target = player;
+                range = distance;
+            }
+        }
+        
+        // Nearest first, so any hostile NPC found is closer than the player
+        const [hostile] = npcManager.getHostiles(this.faction, this.x, this.y, range);
+        return hostile || target;
+    }
+    
+    /**
+     * Turn on an attacker for a while
+     */
+    provoke(attacker) {
+        if (!attacker || attacker === this) return;
+        this.aggroTarget = attacker;
+        this.aggroUntil = Date.now() + NPC.AGGRO_TIME;
+    }
+    
+    /**
+     * Faction for NPCs that don't name one - guards guard, hostiles are vermin
+     */
+    static getDefaultFaction(config) {
+        if (config.type === "guard" || config.behavior === "guard") return "guards";
+        if (config.type === "hostile" || config.behavior === "hostile") return "vermin";
+        return "town";
+    }
+    
     /**
      * Set target position for smooth movement
      */
@@ -397,13 +571,121 @@ class NPC {
     }
     
     /**
-     * Move NPC towards target coordinates (legacy method for compatibility)
+     * Move NPC towards target coordinates - straight there when the way is
+     * clear, otherwise along a path around the walls in between
      */
     moveTowards(targetX, targetY, deltaTime, world = null) {
-        this.setTarget(targetX, targetY);
+        this.destinationX = targetX;
+        this.destinationY = targetY;
+        
+        if (!world || !world.isTileWalkable || !this.pathfinder ||
+            this.pathfinder.hasLineOfSight(world, this.x, this.y, targetX, targetY, this.width)) {
+            this.clearPath();
+            this.setTarget(targetX, targetY);
+        } else {
+            this.planPath(targetX, targetY, world);
+        }
+        
         this.updateSmoothMovement(deltaTime, world);
     }
     
+    /**
+     * Ask the pathfinder for a route to a destination. A moving target (the
+     * player) is re-planned at most every repathInterval; the old route is
+     * followed in the meantime.
+     */
+    planPath(targetX, targetY, world) {
+        const goal = this.getPathTile(targetX, targetY, world.tileSize);
+        const hasRoute = this.path || this.pathRequest;
+        
+        if (hasRoute && this.pathGoal && this.pathGoal.x === goal.x && this.pathGoal.y === goal.y) return;
+        if (hasRoute && Date.now() - this.lastPathTime < this.repathInterval) return;
+        
+        this.pathfinder.cancel(this.pathRequest);
+        this.pathGoal = goal;
+        this.lastPathTime = Date.now();
+        this.pathRequest = this.pathfinder.requestPath(
+            world,
+            this.getPathTile(this.x, this.y, world.tileSize),
+            goal,
+            this.getPathClearance(world.tileSize)
+        );
+        
+        // Head straight for the destination until the first route arrives
+        if (!this.path) {
+            this.setTarget(targetX, targetY);
+        }
+    }
+    
+    /**
+     * Pick up finished path requests and steer at the next waypoint
+     */
+    updatePath() {
+        const request = this.pathRequest;
+        if (request && request.status !== 'pending') {
+            this.pathRequest = null;
+            if (request.status === 'found' && this.world) {
+                this.path = request.path.map(tile => this.getPathWaypoint(tile, this.world.tileSize));
+            } else {
+                // No route - keep steering straight at the destination
+                this.path = null;
+                this.setTarget(this.destinationX, this.destinationY);
+            }
+        }
+        
+        if (!this.path) return;
+        
+        // Skip waypoints already reached
+        while (this.path.length > 0 && this.getDistanceTo(this.path[0].x, this.path[0].y) < 4) {
+            this.path.shift();
+        }
+        
+        if (this.path.length > 0) {
+            this.setTarget(this.path[0].x, this.path[0].y);
+        } else {
+            this.path = null;
+            this.setTarget(this.destinationX, this.destinationY);
+        }
+    }
+    
+    clearPath() {
+        if (this.pathfinder) {
+            this.pathfinder.cancel(this.pathRequest);
+        }
+        this.path = null;
+        this.pathRequest = null;
+        this.pathGoal = null;
+    }
+    
+    /**
+     * Footprint size in tiles - paths only go where the NPC fits
+     */
+    getPathClearance(tileSize) {
+        return Math.max(1, Math.ceil((this.width || 16) / tileSize));
+    }
+    
+    /**
+     * Path tile for a top-left position, with the NPC centred in its footprint
+     */
+    getPathTile(x, y, tileSize) {
+        const offset = (this.getPathClearance(tileSize) * tileSize - (this.width || 16)) / 2;
+        return {
+            x: Math.round((x - offset) / tileSize),
+            y: Math.round((y - offset) / tileSize)
+        };
+    }
+    
+    /**
+     * Top-left position that centres the NPC in a path tile's footprint
+     */
+    getPathWaypoint(tile, tileSize) {
+        const offset = (this.getPathClearance(tileSize) * tileSize - (this.width || 16)) / 2;
+        return {
+            x: tile.x * tileSize + offset,
+            y: tile.y * tileSize + offset
+        };
+    }
+    
     /**
      * Update movement animation
      */
@@ -437,7 +719,7 @@ class NPC {
      * Render NPC on canvas
      */
     render(ctx, camera) {
-        if (!this.isVisible) return;
+        if (!this.isVisible || this.isAsleep) return;
         
         // Check if NPC is visible on screen (world coordinates)
         const screenWorldWidth = ctx.canvas.width / camera.zoom;
@@ -667,6 +949,11 @@ class NPC {
         
         console.log(`Player interacting with ${this.name}`);
         
+        // A dialogue tree handles quests and everything else itself
+        if (this.dialogueTree) {
+            return this.startDialogue(player);
+        }
+        
         // Return interaction result based on NPC type
         switch (this.type) {
             case "merchant":
@@ -681,24 +968,14 @@ class NPC {
     }
     
     /**
-     * Start dialogue with NPC
+     * Start dialogue with NPC - the game's DialogueManager runs the conversation
+     * from dialogueTree, or from the flat dialogue lines in order
      */
     startDialogue(player) {
-        if (this.dialogue.length === 0) {
-            return {
-                type: "dialogue",
-                npc: this.name,
-                message: "Hello there! I don't have much to say right now."
-            };
-        }
-        
-        const dialogue = this.dialogue[this.currentDialogueIndex];
-        this.currentDialogueIndex = (this.currentDialogueIndex + 1) % this.dialogue.length;
-        
         return {
             type: "dialogue",
             npc: this.name,
-            message: dialogue
+            message: this.dialogue[0] || "Hello there! I don't have much to say right now."
         };
     }
     
@@ -725,10 +1002,11 @@ class NPC {
             };
         }
         
+        // Game's QuestManager picks which quest to offer or turn in
         return {
             type: "quest",
             npc: this.name,
-            quest: this.quests[0] // Give first available quest
+            quests: this.quests
         };
     }
     
@@ -740,6 +1018,8 @@ class NPC {
         this.y = y;
         this.homeX = x;
         this.homeY = y;
+        this.spawnX = x;
+        this.spawnY = y;
     }
     
     /**
@@ -787,9 +1067,29 @@ class NPC {
     }
     
     /**
-     * Take damage from player or other sources
+     * Attack another NPC
      */
-    takeDamage(amount) {
+    attackNPC(npc) {
+        this.lastAttackTime = Date.now();
+        this.isAttacking = true;
+        
+        npc.takeDamage(this.attackDamage, this);
+        
+        setTimeout(() => {
+            this.isAttacking = false;
+        }, 200);
+    }
+    
+    /**
+     * Take damage from player or other sources - the attacker (if any) is remembered
+     * so the NPC can fight back and reputation can follow the kill
+     */
+    takeDamage(amount, attacker = null) {
+        if (attacker) {
+            this.lastAttacker = attacker;
+            this.provoke(attacker);
+        }
+        
         this.health = Math.max(0, this.health - amount);
         console.log(`💔 ${this.name} takes ${amount} damage! Health: ${this.health}/${this.maxHealth}`);
         
@@ -801,7 +1101,7 @@ class NPC {
             console.log(`💀 ${this.name} has died!`);
             this.isActive = false;
             this.isVisible = false;
-            // TODO: Add death animation or loot drop
+            // Loot is dropped by NPCManager.handleDeath on its next update
         }
     }
     
@@ -944,13 +1244,20 @@ class NPC {
             id: this.id,
             name: this.name,
             type: this.type,
+            definition: this.definition,
             x: this.x,
             y: this.y,
             behavior: this.behavior,
+            ai: this.aiDefinition,
+            aiState: this.aiState,
             patrolPoints: this.patrolPoints,
             dialogue: this.dialogue,
+            dialogueTree: this.dialogueTree,
             shopItems: this.shopItems,
+            sellRate: this.sellRate,
+            faction: this.faction,
             quests: this.quests,
+            schedule: this.scheduleDefinition,
             isActive: this.isActive,
             isVisible: this.isVisible
         };
@@ -965,11 +1272,17 @@ class NPC {
         this.type = data.type;
         this.x = data.x;
         this.y = data.y;
-        this.behavior = data.behavior;
+        this.initBehavior(data.ai, data.behavior);
+        this.ai.setState(data.aiState);
+        this.aiState = this.ai.currentState;
         this.patrolPoints = data.patrolPoints || [];
         this.dialogue = data.dialogue || [];
+        this.dialogueTree = data.dialogueTree || null;
         this.shopItems = data.shopItems || [];
+        this.sellRate = data.sellRate;
         this.quests = data.quests || [];
+        this.initSchedule(data.schedule);
+        this.faction = data.faction || NPC.getDefaultFaction(data);
         this.isActive = data.isActive;
         this.isVisible = data.isVisible;
     }
@@ -979,27 +1292,50 @@ class NPC {
  * NPC Manager - Handles all NPCs in the game
  */
 class NPCManager {
-    constructor() {
+    static ALERT_RADIUS = 200; // Allies this close to an attacked NPC join the fight
+    
+    constructor(factions = new Factions()) {
         this.npcs = new Map();
+        this.factions = factions; // Faction relationships - owned by the game so they are saved
         this.interactionRadius = 30;
         this.lastInteractionTime = 0;
         this.interactionCooldown = 500; // 500ms cooldown between interactions
+        this.pathfinder = new Pathfinder(); // Shared by all NPCs so path searches share one frame budget
+        this.spawners = new Map(); // Spawner id -> NPCSpawner
     }
     
     /**
      * Add NPC to manager
      */
     addNPC(npc) {
+        npc.pathfinder = this.pathfinder;
         this.npcs.set(npc.id, npc);
         console.log(`Added NPC: ${npc.name} (${npc.id})`);
     }
     
+    /**
+     * Create an NPC from config and add it
+     */
+    createNPC(config) {
+        const npc = new NPC(config);
+        this.addNPC(npc);
+        return npc;
+    }
+    
+    /**
+     * Add a spawner - it populates its area on the next update
+     */
+    addSpawner(spawner) {
+        this.spawners.set(spawner.id, spawner);
+    }
+    
     /**
      * Remove NPC from manager
      */
     removeNPC(npcId) {
         const npc = this.npcs.get(npcId);
         if (npc) {
+            npc.clearPath();
             this.npcs.delete(npcId);
             console.log(`Removed NPC: ${npc.name} (${npcId})`);
             return true;
@@ -1007,6 +1343,14 @@ class NPCManager {
         return false;
     }
     
+    /**
+     * Remove every NPC (e.g. when the player leaves the map)
+     */
+    clear() {
+        this.npcs.clear();
+        this.spawners.clear();
+    }
+    
     /**
      * Get NPC by ID
      */
@@ -1027,6 +1371,66 @@ class NPCManager {
     update(deltaTime, game) {
         this.npcs.forEach(npc => {
             npc.update(deltaTime, game);
+            
+            if (npc.health <= 0 && !npc.deathHandled) {
+                this.handleDeath(npc, game);
+            }
+        });
+        
+        // Reap dead spawned NPCs and respawn on timer
+        this.spawners.forEach(spawner => {
+            spawner.update(deltaTime, game, this);
+        });
+        
+        // Work through the path searches NPCs queued this frame
+        this.pathfinder.update(game.world);
+    }
+    
+    /**
+     * One-off effects of an NPC dying - quest kill objectives, and its loot table rolled onto the ground
+     */
+    handleDeath(npc, game) {
+        npc.deathHandled = true;
+        
+        // Only the player's own kills count for quests, reputation and experience
+        if (game.player && npc.lastAttacker === game.player) {
+            if (game.questManager) {
+                game.questManager.onNPCKilled(npc);
+            }
+            this.factions.recordKill(npc.faction, game.player.faction);
+            game.player.addExperience(npc.experience);
+        }
+        
+        const table = npc.lootTable ? LootTables.get(npc.lootTable) : null;
+        if (!table || !game.world) {
+            return;
+        }
+        
+        const lifetime = LootTables.getDespawnTime(table);
+        LootTables.roll(table).forEach(item => {
+            // Scatter drops a little around where the NPC fell
+            const x = npc.x + npc.width / 2 + (Math.random() - 0.5) * 16;
+            const y = npc.y + npc.height / 2 + (Math.random() - 0.5) * 16;
+            game.world.addGroundItem(item, x, y, lifetime);
+        });
+    }
+    
+    /**
+     * Spawner state for saves
+     */
+    getSpawnerState() {
+        return Array.from(this.spawners.values()).map(spawner => spawner.getState());
+    }
+    
+    /**
+     * Restore saved spawner state - entries for spawners no longer on the map are ignored
+     */
+    restoreSpawnerState(state) {
+        state.forEach(entry => {
+            const spawner = this.spawners.get(entry.id);
+            if (spawner) {
+                spawner.restoreState(entry);
+            }
         });
     }
     
@@ -1063,12 +1467,63 @@ class NPCManager {
             }
             
             this.lastInteractionTime = Date.now();
-            return closestNPC.interact(player);
+            const interaction = closestNPC.interact(player);
+            if (interaction) {
+                interaction.npcId = closestNPC.id; // Lets quests know who was talked to
+            }
+            return interaction;
         }
         
         return null;
     }
     
+    /**
+     * Active, awake NPCs within a radius of a point, nearest first, optionally filtered
+     */
+    getNPCsInRadius(x, y, radius, filter = null) {
+        const found = [];
+        
+        this.npcs.forEach(npc => {
+            if (!npc.isActive || npc.isAsleep || (filter && !filter(npc))) return;
+            
+            const distance = npc.getDistanceTo(x, y);
+            if (distance <= radius) {
+                found.push({ npc, distance });
+            }
+        });
+        
+        return found.sort((a, b) => a.distance - b.distance).map(entry => entry.npc);
+    }
+    
+    /**
+     * NPCs hostile to a faction within a radius, nearest first
+     */
+    getHostiles(faction, x, y, radius) {
+        return this.getNPCsInRadius(x, y, radius, npc => this.factions.isHostile(faction, npc.faction));
+    }
+    
+    /**
+     * Members of a faction within a radius, nearest first
+     */
+    getFactionMembers(faction, x, y, radius) {
+        return this.getNPCsInRadius(x, y, radius, npc => npc.faction === faction);
+    }
+    
+    /**
+     * An attack on an NPC - brings the victim's fighting allies (guards, for
+     * townsfolk) after the attacker, and unprovoked attacks cost reputation
+     */
+    reportAttack(victim, attacker) {
+        if (!this.factions.isHostile(victim.faction, attacker.faction)) {
+            this.factions.recordAttack(victim.faction, attacker.faction);
+        }
+        
+        this.getNPCsInRadius(victim.x, victim.y, NPCManager.ALERT_RADIUS, npc =>
+            npc !== victim && npc.faction !== attacker.faction &&
+            this.factions.canFight(npc.faction) && this.factions.isAlly(npc.faction, victim.faction)
+        ).forEach(ally => ally.provoke(attacker));
+    }
+    
     /**
      * Get NPCs near player
      */
@@ -1076,7 +1531,7 @@ class NPCManager {
         const nearbyNPCs = [];
         
         this.npcs.forEach(npc => {
-            if (npc.interactable && npc.isActive) {
+            if (npc.interactable && npc.isActive && !npc.isAsleep) {
                 const distance = npc.getDistanceTo(player.x, player.y);
                 if (distance <= radius) {
                     nearbyNPCs.push(npc);
@@ -1164,8 +1619,10 @@ class NPCManager {
         const guardConfig = {
             type: "guard",
             behavior: "guard",
+            faction: "guards",
             color: "#696969",
             wanderRadius: 30,
+            detectionRadius: 150,
             speed: 0.8,
             dialogue: [
                 "Halt! Who goes there?",
@@ -3,6 +3,8 @@
  * Predefined NPC configurations for easy setup
  */
 
+import { NPCDefinitions } from './NPCDefinitions.js';
+
 const NPC_CONFIGS = {
     // Townie NPCs
     townies: {
@@ -31,6 +33,11 @@ const NPC_CONFIGS = {
                 "The secret is in the kneading, dear.",
                 "Would you like to try my famous apple pie?",
                 "Nothing beats the smell of fresh bread."
+            ],
+            schedule: [
+                { at: "06:00", location: "bakery" },
+                { at: "18:00", location: "tavern" },
+                { at: "22:00", location: "home", sleep: true }
             ]
         },
         
@@ -54,11 +61,12 @@ const NPC_CONFIGS = {
             behavior: "idle",
             type: "merchant",
             shopItems: [
-                { id: "health_potion", name: "Health Potion", price: 25, description: "Restores 50 HP" },
-                { id: "mana_potion", name: "Mana Potion", price: 30, description: "Restores 30 MP" },
-                { id: "iron_sword", name: "Iron Sword", price: 150, description: "A sturdy iron blade" },
-                { id: "leather_armor", name: "Leather Armor", price: 100, description: "Basic protection" }
+                { id: "health_potion", price: 25 },
+                { id: "mana_potion", price: 30, stock: 5, restockTime: 60000 },
+                { id: "iron_sword", price: 150, stock: 1, restockTime: 300000 },
+                { id: "leather_armor", price: 100, stock: 2, restockTime: 180000 }
             ],
+            sellRate: 0.4,
             dialogue: [
                 "Welcome to my humble shop!",
                 "I have goods from all corners of the realm.",
@@ -85,6 +93,16 @@ const NPC_CONFIGS = {
                         { type: "kill", target: "goblin", count: 5, current: 0 }
                     ],
                     status: "available"
+                },
+                {
+                    id: "cave_vermin",
+                    title: "Vermin in the Caves",
+                    description: "Rats from the caves are getting into the grain stores. Thin them out and bring back their tails as proof.",
+                    reward: { gold: 25, exp: 20 },
+                    objectives: [
+                        { type: "kill", target: "cave_rat", count: 3 },
+                        { type: "collect", target: "rat_tail", count: 3 }
+                    ]
                 }
             ],
             dialogue: [
@@ -105,6 +123,10 @@ const NPC_CONFIGS = {
                 "We have the finest ale in the region.",
                 "Need a room for the night?",
                 "The hearth is always warm here."
+            ],
+            schedule: [
+                { at: "09:00", location: "tavern" },
+                { at: "02:00", location: "home", sleep: true }
             ]
         },
         
@@ -118,7 +140,33 @@ const NPC_CONFIGS = {
                 "Knowledge is the greatest treasure.",
                 "Have you studied the ancient runes?",
                 "Wisdom comes with age, young one."
-            ]
+            ],
+            dialogueTree: {
+                start: "greeting",
+                nodes: {
+                    greeting: {
+                        text: "Ah, a visitor. The old texts speak of great mysteries - what brings you to me?",
+                        choices: [
+                            { text: "Tell me about the runes.", next: "runes" },
+                            { text: "Have you deciphered the stone yet?", next: "stone", conditions: { flags: { asked_about_runes: true } } },
+                            { text: "The guard captain needs help with vermin.", next: "vermin", conditions: { questStatus: { cave_vermin: "active" } } },
+                            { text: "Nothing today. Farewell." }
+                        ]
+                    },
+                    runes: {
+                        text: "The runes of Tir na nÓg were carved before the town was founded. One stone in my study still defies me.",
+                        actions: [{ type: "setFlag", flag: "asked_about_runes" }],
+                        next: "greeting"
+                    },
+                    stone: {
+                        text: "Not yet, young one. Wisdom comes with age - and patience.",
+                        next: "greeting"
+                    },
+                    vermin: {
+                        text: "Rats fear fire and light. Strike quickly in the caves, and mind your footing."
+                    }
+                }
+            }
         },
         
         child: {
@@ -144,6 +192,8 @@ const NPC_CONFIGS = {
             description: "A vigilant town guard.",
             color: "#696969",
             behavior: "patrol",
+            faction: "guards",
+            detectionRadius: 150,
             patrolPoints: [
                 { x: 200, y: 300 },
                 { x: 300, y: 300 },
@@ -164,6 +214,8 @@ const NPC_CONFIGS = {
             description: "A skilled town guard.",
             color: "#708090",
             behavior: "guard",
+            faction: "guards",
+            detectionRadius: 150,
             wanderRadius: 50,
             speed: 0.6,
             dialogue: [
@@ -189,6 +241,36 @@ const NPC_CONFIGS = {
             usePlayerModel: true, // Flag to use player-style rendering
             acceleration: 0.6, // Smooth acceleration for Bob
             deceleration: 0.85, // Gentle deceleration
+            ai: {
+                initial: "explore",
+                states: {
+                    // Explores widely rather than pottering about near home
+                    explore: {
+                        action: "wander",
+                        params: { minDistance: 0.2 },
+                        transitions: [
+                            { to: "approach", when: { moving: false, playerInRange: 120, chance: 0.3 } },
+                            { to: "ponder", when: { moving: false, chance: 0.05 } }
+                        ]
+                    },
+                    // Walks over to a nearby player, keeping a polite distance
+                    approach: {
+                        action: "approach",
+                        params: { distance: 40 },
+                        transitions: [
+                            { to: "explore", when: { moving: false } }
+                        ]
+                    },
+                    // Stops to look around and share the odd mysterious insight
+                    ponder: {
+                        action: "idle",
+                        params: { lookChance: 0.3, insightChance: 0.1, fidgetChance: 0.05, fidgetDistance: 20 },
+                        transitions: [
+                            { to: "explore", when: { minStateTime: 5000 } }
+                        ]
+                    }
+                }
+            },
             dialogue: [
                 "Greetings, traveler! I'm Bob, keeper of ancient secrets.",
                 "The old texts speak of powerful runes hidden in these lands...",
@@ -235,9 +317,36 @@ const NPC_CONFIGS = {
                 "Every story has a grain of truth."
             ]
         }
+    },
+    
+    // Creatures - spawned by spawners rather than placed by hand
+    creatures: {
+        cave_rat: {
+            name: "Cave Rat",
+            description: "A mangy rat that lurks in cave lairs.",
+            type: "hostile",
+            behavior: "hostile",
+            width: 14,
+            height: 14,
+            color: "#5d4e3c",
+            health: 3,
+            maxHealth: 3,
+            speed: 0.8,
+            detectionRadius: 120,
+            attackDamage: 1,
+            attackCooldown: 1200,
+            faction: "vermin",
+            lootTable: "vermin",
+            interactable: false
+        }
     }
 };
 
+// Presets double as definitions, so they can be created by id like JSON-defined NPCs
+Object.values(NPC_CONFIGS).forEach(group => {
+    Object.entries(group).forEach(([id, config]) => NPCDefinitions.register({ id, ...config }));
+});
+
 /**
  * NPC Factory - Creates NPCs from configurations
  */
@@ -247,9 +356,19 @@ class NPCFactory {
     }
     
     /**
-     * Create NPC from configuration
+     * Create NPC from configuration, or from a definition id
+     * (an NPC_CONFIGS key or the id of an assets/npc JSON definition)
      */
     createFromConfig(config, x, y) {
+        if (typeof config === 'string') {
+            const definition = NPCDefinitions.get(config);
+            if (!definition) {
+                console.warn(`⚠️ Unknown NPC definition: ${config}`);
+                return null;
+            }
+            config = NPCDefinitions.toConfig(definition);
+        }
+        
         const npcConfig = {
             ...config,
             x: x,
@@ -0,0 +1,138 @@
+/**
+ * NPC Definitions - Runes of Tir na nÓg
+ * Registry of NPC definitions by id. Built-in presets from NPCConfig.js are
+ * registered at startup; JSON definitions listed in assets/npc/manifest.json
+ * are loaded, validated and added on top (a JSON file can replace a preset).
+ *
+ * World files reference a definition with `definition: "<id>"` and may only
+ * override placement and a few per-instance fields (see OVERRIDABLE_FIELDS).
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class NPCDefinitions {
+    static MANIFEST_PATH = 'assets/npc/manifest.json';
+    static MAX_DEFINITIONS = 500;
+
+    // Fields a world NPC entry may set on top of its definition
+    static OVERRIDABLE_FIELDS = ['id', 'x', 'y', 'units', 'name', 'dialogue', 'dialogueTree', 'direction', 'behavior', 'wanderRadius', 'patrolPoints', 'schedule', 'faction'];
+
+    static definitions = new Map();
+    static loading = null; // Manifest load in progress or done
+
+    /**
+     * Add a definition - returns false if it fails the schema
+     */
+    static register(definition) {
+        if (!SecurityUtils.validateNPCDefinition(definition)) {
+            console.error(`❌ NPCDefinitions: Rejected definition "${definition && definition.id}"`);
+            return false;
+        }
+        if (!this.definitions.has(definition.id) && this.definitions.size >= this.MAX_DEFINITIONS) {
+            console.error('❌ NPCDefinitions: Too many definitions');
+            return false;
+        }
+
+        this.definitions.set(definition.id, Object.freeze(structuredClone(definition)));
+        return true;
+    }
+
+    static get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    static has(id) {
+        return this.definitions.has(id);
+    }
+
+    /**
+     * Load every definition listed in the manifest. Safe to call repeatedly -
+     * the manifest is only fetched once. Resolves to the number loaded.
+     */
+    static load(manifestPath = this.MANIFEST_PATH) {
+        if (!this.loading) {
+            this.loading = this.loadManifest(manifestPath);
+        }
+        return this.loading;
+    }
+
+    static async loadManifest(manifestPath) {
+        let manifest;
+        try {
+            const response = await fetch(manifestPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load NPC manifest: ${response.statusText}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            console.warn('⚠️ NPCDefinitions: Manifest unavailable, using built-in NPCs only', error);
+            return 0;
+        }
+
+        const files = Array.isArray(manifest.definitions) ? manifest.definitions : [];
+        const baseDir = manifestPath.substring(0, manifestPath.lastIndexOf('/') + 1);
+        let loaded = 0;
+
+        for (const file of files) {
+            // Manifest entries are JSON files below the manifest's folder - no traversal or URLs
+            if (typeof file !== 'string' || !/^[a-zA-Z0-9_\-\/]+\.json$/.test(file) || file.startsWith('/')) {
+                console.error(`❌ NPCDefinitions: Invalid manifest entry: ${file}`);
+                continue;
+            }
+
+            try {
+                const response = await fetch(baseDir + file);
+                if (!response.ok) {
+                    throw new Error(response.statusText);
+                }
+                if (this.register(await response.json())) {
+                    loaded++;
+                }
+            } catch (error) {
+                console.warn(`⚠️ NPCDefinitions: Failed to load ${file}`, error);
+            }
+        }
+
+        console.log(`🐭 NPCDefinitions: Loaded ${loaded}/${files.length} NPC definitions`);
+        return loaded;
+    }
+
+    /**
+     * NPC config for a world entry that references a definition, or null if the
+     * definition is unknown or the overrides are invalid. The definition id is
+     * kept as `definition`; the entry's own `id` (if any) becomes the NPC id.
+     */
+    static resolve(entry) {
+        const definition = this.get(entry.definition);
+        if (!definition) {
+            console.warn(`⚠️ NPCDefinitions: Unknown NPC definition "${entry.definition}"`);
+            return null;
+        }
+
+        const config = structuredClone(definition);
+        for (const field of this.OVERRIDABLE_FIELDS) {
+            if (field !== 'id' && entry[field] !== undefined) {
+                config[field] = entry[field];
+            }
+        }
+        if (!SecurityUtils.validateNPCDefinition(config)) {
+            console.error(`❌ NPCDefinitions: Invalid overrides for "${definition.id}"`);
+            return null;
+        }
+
+        return this.toConfig(config, typeof entry.id === 'string' ? entry.id : undefined);
+    }
+
+    /**
+     * Turn a definition into NPC constructor config - the definition id must not
+     * become the NPC id, or every NPC of that kind would share one
+     */
+    static toConfig(definition, npcId = undefined) {
+        const { id, ...config } = structuredClone(definition);
+        config.definition = id;
+        if (npcId !== undefined) {
+            config.id = npcId;
+        }
+        return config;
+    }
+}
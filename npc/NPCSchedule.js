@@ -0,0 +1,58 @@
+/**
+ * NPC Schedule - Runes of Tir na nÓg
+ * A daily routine read against the world clock. Each entry says where the NPC
+ * should be from a time of day until the next entry:
+ *
+ *   schedule: [
+ *       { at: "06:00", location: "bakery" },              // Named spawn point on the current map
+ *       { at: "18:00", x: 640, y: 320 },                  // Or a pixel position
+ *       { at: "22:00", location: "home", sleep: true }    // Where the NPC was placed; asleep on arrival
+ *   ]
+ *
+ * The NPC walks (with pathfinding) to each new location, then its normal AI runs
+ * there with the location as its home. Locations the map doesn't have fall back
+ * to home. Sleeping NPCs are hidden and can't be talked to until the next entry.
+ */
+
+import { WorldClock } from '../core/WorldClock.js';
+
+export class NPCSchedule {
+    static ARRIVE_DISTANCE = 24; // Pixels from the location that count as arrived
+
+    constructor(entries) {
+        // Sorted by time; the last entry also covers the small hours before the first
+        this.entries = entries
+            .map(entry => ({ ...entry, hour: WorldClock.parseTime(entry.at) }))
+            .sort((a, b) => a.hour - b.hour);
+    }
+
+    /**
+     * The entry in effect at an hour of the day
+     */
+    getEntry(hour) {
+        let current = this.entries[this.entries.length - 1];
+        for (const entry of this.entries) {
+            if (entry.hour <= hour) {
+                current = entry;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Pixel position an entry sends the NPC to
+     */
+    resolveLocation(entry, npc, world) {
+        const home = { x: npc.spawnX, y: npc.spawnY };
+
+        if (entry.location === 'home') {
+            return home;
+        }
+        if (entry.location) {
+            const point = world && typeof world.getSpawnPointByName === 'function' ?
+                world.getSpawnPointByName(entry.location) : null;
+            return point ? { x: point.x, y: point.y } : home;
+        }
+        return { x: entry.x, y: entry.y };
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * NPC Spawner - Runes of Tir na nÓg
+ * Keeps an area populated with NPCs of one definition. Dead NPCs are removed
+ * and replaced after `respawnDelay`, up to `maxAlive` at once (scaled by the
+ * NPC density setting). Spawns wait for the spawner's conditions - e.g. the
+ * player being out of sight, or a time of day - and only land where the NPC
+ * can stand.
+ */
+
+import { NPCDefinitions } from './NPCDefinitions.js';
+import { BehaviorMachine } from './BehaviorMachine.js';
+
+export class NPCSpawner {
+    static PLACEMENT_TRIES = 12; // Random spots tried per spawn
+    static RETRY_DELAY = 2000; // ms before retrying a spawn that was blocked
+
+    constructor(data, density = 1) {
+        this.id = data.id;
+        this.definition = data.definition;
+        this.area = { x: data.x, y: data.y, width: data.width, height: data.height }; // Pixels
+        this.maxAlive = Math.max(0, Math.round(data.maxAlive * density));
+        this.respawnDelay = Number.isFinite(data.respawnDelay) ? data.respawnDelay : 30000;
+        this.conditions = data.conditions || {};
+
+        this.alive = new Set(); // Ids of living NPCs from this spawner
+        this.timers = []; // ms until each pending spawn
+        this.restoredAlive = 0; // NPCs to bring back straight away after loading a save
+        this.spawnCount = 0;
+        this.populated = false;
+    }
+
+    /**
+     * Reap dead NPCs, count down respawns and spawn whatever is due
+     */
+    update(deltaTime, game, npcManager) {
+        if (!this.populated) {
+            this.populate(game, npcManager);
+        }
+
+        this.alive.forEach(npcId => {
+            const npc = npcManager.getNPC(npcId);
+            if (npc && npc.health > 0) return;
+
+            this.alive.delete(npcId);
+            if (npc) {
+                npcManager.removeNPC(npcId);
+            }
+            this.timers.push(this.respawnDelay);
+        });
+
+        for (let i = 0; i < this.timers.length; i++) {
+            this.timers[i] -= deltaTime;
+            if (this.timers[i] > 0) continue;
+
+            if (this.canSpawn(game) && this.spawn(game, npcManager)) {
+                this.timers.splice(i, 1);
+                i--;
+            } else {
+                this.timers[i] = NPCSpawner.RETRY_DELAY;
+            }
+        }
+    }
+
+    /**
+     * First update: bring back NPCs alive at save time, queue the rest
+     */
+    populate(game, npcManager) {
+        this.populated = true;
+
+        for (let i = 0; i < this.restoredAlive; i++) {
+            if (!this.spawn(game, npcManager)) {
+                this.timers.push(0);
+            }
+        }
+
+        while (this.alive.size + this.timers.length < this.maxAlive) {
+            this.timers.push(0);
+        }
+    }
+
+    /**
+     * Whether the spawner's conditions allow a spawn right now
+     */
+    canSpawn(game) {
+        const conditions = this.conditions;
+        const centerX = this.area.x + this.area.width / 2;
+        const centerY = this.area.y + this.area.height / 2;
+        const playerDistance = game.player ?
+            Math.hypot(game.player.x - centerX, game.player.y - centerY) : Infinity;
+
+        if (conditions.playerInRange !== undefined && playerDistance > conditions.playerInRange) return false;
+        if (conditions.playerOutOfRange !== undefined && playerDistance <= conditions.playerOutOfRange) return false;
+        if (conditions.chance !== undefined && Math.random() >= conditions.chance) return false;
+        if (conditions.timeOfDay !== undefined &&
+            !BehaviorMachine.isHourInRange(BehaviorMachine.getHour(game), conditions.timeOfDay.from, conditions.timeOfDay.to)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Create one NPC at a free spot in the area - false if none was found
+     */
+    spawn(game, npcManager) {
+        const definition = NPCDefinitions.get(this.definition);
+        if (!definition) {
+            console.warn(`⚠️ NPCSpawner ${this.id}: Unknown NPC definition "${this.definition}"`);
+            return false;
+        }
+
+        const size = definition.width || 32;
+        const position = this.findSpawnPosition(game.world, size);
+        if (!position) return false;
+
+        this.spawnCount++;
+        const npc = npcManager.createNPC({
+            ...NPCDefinitions.toConfig(definition),
+            id: `${this.id}_${this.spawnCount}`,
+            x: position.x,
+            y: position.y
+        });
+        this.alive.add(npc.id);
+        return true;
+    }
+
+    /**
+     * Random walkable position in the area for an NPC of `size` pixels
+     */
+    findSpawnPosition(world, size) {
+        for (let attempt = 0; attempt < NPCSpawner.PLACEMENT_TRIES; attempt++) {
+            const x = this.area.x + Math.random() * Math.max(0, this.area.width - size);
+            const y = this.area.y + Math.random() * Math.max(0, this.area.height - size);
+            if (!world || world.canMove(x, y, size)) {
+                return { x, y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * State for saves - living NPC count and pending respawn timers
+     */
+    getState() {
+        return {
+            id: this.id,
+            alive: this.populated ? this.alive.size : this.restoredAlive,
+            timers: this.timers.map(timer => Math.max(0, Math.round(timer)))
+        };
+    }
+
+    restoreState(state) {
+        // The spawner's cap may have changed (density setting) since the save
+        this.restoredAlive = Math.min(state.alive, this.maxAlive);
+        this.timers = state.timers
+            .slice(0, this.maxAlive - this.restoredAlive)
+            .map(timer => Math.min(timer, this.respawnDelay));
+    }
+}
@@ -0,0 +1,381 @@
+/**
+ * Pathfinder - Runes of Tir na nÓg
+ * A* over the world's walkable tiles, so NPCs can route around walls instead of
+ * steering straight into them. Searches are queued and run incrementally under a
+ * shared per-frame node budget: when dozens of NPCs ask for routes at once the
+ * work spreads over a few frames rather than stalling the game loop.
+ *
+ * Paths are lists of tiles. A tile is the top-left of an NPC's footprint, which
+ * is `clearance` tiles square, so larger NPCs only get routes they fit through.
+ */
+
+// 8-way moves: [dx, dy, cost]
+const DIRECTIONS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+export class Pathfinder {
+    constructor(options = {}) {
+        this.frameBudget = options.frameBudget || 800; // Node expansions per frame, shared by every search
+        this.maxSearchNodes = options.maxSearchNodes || 4000; // A single search gives up after this many
+        this.searchMargin = options.searchMargin || 24; // Tiles of detour room around start and goal
+        this.maxSearchSpan = options.maxSearchSpan || 96; // Longest side of the search window, in tiles
+        this.cacheLifetime = options.cacheLifetime || 5000; // ms
+        this.maxCacheEntries = options.maxCacheEntries || 256;
+        this.smoothingLookahead = 10; // Waypoints checked when straightening a path
+
+        this.world = null;
+        this.tileVersion = -1;
+        this.queue = [];
+        this.cache = new Map(); // Key -> { path, time }, oldest first
+    }
+
+    /**
+     * Drop queued searches and cached paths when the map or its tiles change
+     */
+    syncWorld(world) {
+        if (world === this.world && world.tileVersion === this.tileVersion) return;
+
+        this.queue.forEach(request => {
+            request.status = 'failed';
+        });
+        this.queue = [];
+        this.cache.clear();
+        this.world = world;
+        this.tileVersion = world.tileVersion;
+    }
+
+    /**
+     * Queue a path search between two tiles. Returns a request whose `status`
+     * becomes 'found' (with `path`, excluding the start tile) or 'failed' once
+     * Pathfinder.update has worked through it - immediately on a cache hit.
+     */
+    requestPath(world, start, goal, clearance = 1) {
+        this.syncWorld(world);
+
+        const request = { status: 'pending', path: null, cancelled: false };
+        const key = `${clearance}:${start.x},${start.y}:${goal.x},${goal.y}`;
+
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.time < this.cacheLifetime) {
+            this.resolve(request, cached.path);
+            return request;
+        }
+
+        request.key = key;
+        request.search = new PathSearch(this, world, start, goal, clearance);
+        this.queue.push(request);
+        return request;
+    }
+
+    /**
+     * Stop working on a request (the NPC re-planned or went away)
+     */
+    cancel(request) {
+        if (request && request.status === 'pending') {
+            request.cancelled = true;
+            request.status = 'failed';
+        }
+    }
+
+    /**
+     * Advance queued searches within this frame's node budget - call once per frame
+     */
+    update(world) {
+        if (!world) return;
+        this.syncWorld(world);
+
+        let budget = this.frameBudget;
+        while (this.queue.length > 0 && budget > 0) {
+            const request = this.queue[0];
+            if (request.cancelled) {
+                this.queue.shift();
+                continue;
+            }
+
+            budget -= request.search.step(budget);
+            if (!request.search.done) break;
+
+            this.queue.shift();
+            const path = request.search.path ? this.smoothPath(world, request.search.start, request.search.path, request.search.clearance) : null;
+            this.remember(request.key, path);
+            this.resolve(request, path);
+        }
+    }
+
+    resolve(request, path) {
+        // Requests share cached paths, so each gets its own copy to consume
+        request.path = path ? path.slice() : null;
+        request.status = path ? 'found' : 'failed';
+    }
+
+    remember(key, path) {
+        this.cache.delete(key);
+        this.cache.set(key, { path: path, time: Date.now() });
+        if (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Whether a footprint of `clearance` tiles with its top-left at a tile is clear
+     */
+    isFootprintWalkable(world, tileX, tileY, clearance) {
+        for (let dy = 0; dy < clearance; dy++) {
+            for (let dx = 0; dx < clearance; dx++) {
+                if (!world.isTileWalkable(tileX + dx, tileY + dy)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether a box of `size` pixels can slide in a straight line between two
+     * top-left positions (pixels) without touching a blocked tile
+     */
+    hasLineOfSight(world, fromX, fromY, toX, toY, size) {
+        const tileSize = world.tileSize;
+        return this.isSegmentClear(world, fromX / tileSize, fromY / tileSize, toX / tileSize, toY / tileSize, size / tileSize);
+    }
+
+    /**
+     * Sample a box of `span` tiles every quarter tile along a segment (tile units)
+     */
+    isSegmentClear(world, fromX, fromY, toX, toY, span) {
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(toX - fromX), Math.abs(toY - fromY)) * 4));
+        for (let step = 0; step <= steps; step++) {
+            const x = fromX + (toX - fromX) * step / steps;
+            const y = fromY + (toY - fromY) * step / steps;
+            const right = Math.ceil(x + span) - 1;
+            const bottom = Math.ceil(y + span) - 1;
+            for (let tileY = Math.floor(y); tileY <= bottom; tileY++) {
+                for (let tileX = Math.floor(x); tileX <= right; tileX++) {
+                    if (!world.isTileWalkable(tileX, tileY)) return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Drop waypoints that can be skipped with a straight walk, so NPCs cut
+     * across open ground instead of following the grid's staircase
+     */
+    smoothPath(world, start, path, clearance) {
+        const smoothed = [];
+        let from = start;
+        let index = 0;
+        while (index < path.length) {
+            let next = index;
+            const last = Math.min(path.length - 1, index + this.smoothingLookahead);
+            for (let candidate = last; candidate > index; candidate--) {
+                if (this.isSegmentClear(world, from.x, from.y, path[candidate].x, path[candidate].y, clearance)) {
+                    next = candidate;
+                    break;
+                }
+            }
+            smoothed.push(path[next]);
+            from = path[next];
+            index = next + 1;
+        }
+        return smoothed;
+    }
+}
+
+/**
+ * One resumable A* search, confined to a window around its start and goal
+ */
+class PathSearch {
+    constructor(pathfinder, world, start, goal, clearance) {
+        this.pathfinder = pathfinder;
+        this.world = world;
+        this.start = start;
+        this.clearance = clearance;
+        this.maxNodes = pathfinder.maxSearchNodes;
+        this.expanded = 0;
+        this.done = false;
+        this.path = null;
+
+        const margin = pathfinder.searchMargin;
+        const worldTilesX = Math.floor(world.width / world.tileSize);
+        const worldTilesY = Math.floor(world.height / world.tileSize);
+        this.minX = Math.max(0, Math.min(start.x, goal.x) - margin);
+        this.minY = Math.max(0, Math.min(start.y, goal.y) - margin);
+        const maxX = Math.min(worldTilesX - clearance, Math.max(start.x, goal.x) + margin);
+        const maxY = Math.min(worldTilesY - clearance, Math.max(start.y, goal.y) + margin);
+        this.spanX = maxX - this.minX + 1;
+        this.spanY = maxY - this.minY + 1;
+
+        // Too far to search cheaply, or nothing to search
+        if (this.spanX <= 0 || this.spanY <= 0 ||
+            this.spanX > pathfinder.maxSearchSpan || this.spanY > pathfinder.maxSearchSpan ||
+            !this.inWindow(start.x, start.y)) {
+            this.done = true;
+            return;
+        }
+
+        const size = this.spanX * this.spanY;
+        this.walkable = new Int8Array(size).fill(-1); // -1 = not checked yet
+        this.cost = new Float32Array(size).fill(Infinity);
+        this.parent = new Int32Array(size).fill(-1);
+        this.closed = new Uint8Array(size);
+        this.open = new NodeHeap();
+
+        // A goal the NPC doesn't fit on is reached from any footprint that covers it
+        this.goal = this.findGoal(goal);
+        if (!this.goal) {
+            this.done = true;
+            return;
+        }
+
+        const startIndex = this.indexOf(start.x, start.y);
+        this.cost[startIndex] = 0;
+        this.open.push(startIndex, this.heuristic(start.x, start.y));
+    }
+
+    inWindow(x, y) {
+        return x >= this.minX && y >= this.minY && x < this.minX + this.spanX && y < this.minY + this.spanY;
+    }
+
+    indexOf(x, y) {
+        return (y - this.minY) * this.spanX + (x - this.minX);
+    }
+
+    isWalkable(x, y) {
+        if (!this.inWindow(x, y)) return false;
+        const index = this.indexOf(x, y);
+        if (this.walkable[index] < 0) {
+            this.walkable[index] = this.pathfinder.isFootprintWalkable(this.world, x, y, this.clearance) ? 1 : 0;
+        }
+        return this.walkable[index] === 1;
+    }
+
+    findGoal(goal) {
+        for (let dy = 0; dy < this.clearance; dy++) {
+            for (let dx = 0; dx < this.clearance; dx++) {
+                if (this.isWalkable(goal.x - dx, goal.y - dy)) return { x: goal.x - dx, y: goal.y - dy };
+            }
+        }
+        return null;
+    }
+
+    // Octile distance - exact on an open 8-way grid
+    heuristic(x, y) {
+        const dx = Math.abs(x - this.goal.x);
+        const dy = Math.abs(y - this.goal.y);
+        return dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
+    }
+
+    /**
+     * Expand up to `budget` nodes - returns how many were used
+     */
+    step(budget) {
+        let used = 0;
+        while (!this.done && used < budget) {
+            const node = this.open.pop();
+            if (node === undefined) {
+                this.done = true; // Goal unreachable inside the window
+                break;
+            }
+            if (this.closed[node]) continue; // Stale heap entry
+
+            this.closed[node] = 1;
+            used++;
+            this.expanded++;
+
+            const x = this.minX + node % this.spanX;
+            const y = this.minY + Math.floor(node / this.spanX);
+            if (x === this.goal.x && y === this.goal.y) {
+                this.path = this.reconstruct(node);
+                this.done = true;
+                break;
+            }
+            if (this.expanded >= this.maxNodes) {
+                this.done = true;
+                break;
+            }
+
+            for (const [dx, dy, stepCost] of DIRECTIONS) {
+                const nextX = x + dx;
+                const nextY = y + dy;
+                if (!this.isWalkable(nextX, nextY)) continue;
+
+                // No cutting corners past walls on diagonals
+                if (dx && dy && (!this.isWalkable(x + dx, y) || !this.isWalkable(x, y + dy))) continue;
+
+                const next = this.indexOf(nextX, nextY);
+                if (this.closed[next]) continue;
+
+                const cost = this.cost[node] + stepCost;
+                if (cost < this.cost[next]) {
+                    this.cost[next] = cost;
+                    this.parent[next] = node;
+                    this.open.push(next, cost + this.heuristic(nextX, nextY));
+                }
+            }
+        }
+        return used;
+    }
+
+    reconstruct(node) {
+        const path = [];
+        for (let current = node; this.parent[current] >= 0; current = this.parent[current]) {
+            path.push({ x: this.minX + current % this.spanX, y: this.minY + Math.floor(current / this.spanX) });
+        }
+        return path.reverse();
+    }
+}
+
+/**
+ * Binary min-heap of node indices by priority (duplicates allowed, stale entries skipped by the caller)
+ */
+class NodeHeap {
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+
+    push(node, priority) {
+        let index = this.nodes.length;
+        this.nodes.push(node);
+        this.priorities.push(priority);
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    pop() {
+        if (this.nodes.length === 0) return undefined;
+
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.priorities[0] = lastPriority;
+
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.nodes.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.nodes.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
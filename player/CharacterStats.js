@@ -0,0 +1,118 @@
+/**
+ * Character Stats - Runes of Tir na nÓg
+ * The player's level and stats. Experience decides the level; each stat grows
+ * from its level 1 base along its own curve, and equipment adds bonuses on top.
+ * Combat and movement values (damage, max health, speed, damage reduction,
+ * critical chance) are derived from the totals - see getDerived.
+ */
+
+export class CharacterStats {
+    static MAX_LEVEL = 30;
+    static XP_BASE = 100; // Experience from level 1 to 2
+    static XP_EXPONENT = 1.5; // How steeply each later level costs more
+
+    // Level 1 value and growth per level after it (fractions accumulate, rounded down)
+    static STATS = {
+        strength: { label: 'Strength', icon: '💪', base: 5, perLevel: 1 },
+        defence: { label: 'Defence', icon: '🛡️', base: 5, perLevel: 1 },
+        agility: { label: 'Agility', icon: '💨', base: 5, perLevel: 0.5 },
+        vitality: { label: 'Vitality', icon: '❤️', base: 5, perLevel: 0.5 },
+        luck: { label: 'Luck', icon: '🍀', base: 5, perLevel: 0.25 }
+    };
+
+    // Item stat names that add to a character stat
+    static ITEM_STAT_ALIASES = { attack: 'strength', defense: 'defence' };
+
+    constructor() {
+        this.level = 1;
+    }
+
+    /**
+     * Total experience needed to reach a level
+     */
+    static experienceForLevel(level) {
+        if (level <= 1) return 0;
+        return Math.floor(CharacterStats.XP_BASE * Math.pow(level - 1, CharacterStats.XP_EXPONENT));
+    }
+
+    /**
+     * Level reached with an amount of experience
+     */
+    static levelForExperience(experience) {
+        let level = 1;
+        while (level < CharacterStats.MAX_LEVEL && experience >= CharacterStats.experienceForLevel(level + 1)) {
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Level a stat has reached without equipment
+     */
+    getBase(stat) {
+        const definition = CharacterStats.STATS[stat];
+        return Math.floor(definition.base + definition.perLevel * (this.level - 1));
+    }
+
+    /**
+     * Character stat bonuses from item stats (attack counts as strength, and so on)
+     */
+    static getBonuses(itemStats = {}) {
+        const bonuses = {};
+        Object.entries(itemStats).forEach(([name, value]) => {
+            const stat = CharacterStats.ITEM_STAT_ALIASES[name] || name;
+            if (CharacterStats.STATS[stat] && Number.isFinite(value)) {
+                bonuses[stat] = (bonuses[stat] || 0) + value;
+            }
+        });
+        return bonuses;
+    }
+
+    /**
+     * Every stat's base, equipment bonus and total
+     */
+    getTotals(itemStats = {}) {
+        const bonuses = CharacterStats.getBonuses(itemStats);
+        const totals = {};
+        Object.keys(CharacterStats.STATS).forEach(stat => {
+            const base = this.getBase(stat);
+            const bonus = bonuses[stat] || 0;
+            totals[stat] = { base, bonus, total: Math.max(0, base + bonus) };
+        });
+        return totals;
+    }
+
+    /**
+     * Combat and movement values from the stat totals. At level 1 with no gear
+     * they match the original player: 1 damage, 10 health, speed 3.
+     */
+    getDerived(itemStats = {}) {
+        const totals = this.getTotals(itemStats);
+        const above = stat => totals[stat].total - CharacterStats.STATS[stat].base;
+
+        return {
+            damage: Math.max(1, 1 + Math.floor(above('strength') / 5)),
+            maxHealth: Math.max(1, 10 + Math.floor(above('vitality') / 2)),
+            speed: 3 * (1 + Math.max(-0.5, Math.min(0.5, above('agility') * 0.02))),
+            damageReduction: Math.max(0, Math.min(0.6, above('defence') * 0.02)),
+            critChance: Math.max(0, Math.min(0.5, totals.luck.total * 0.01))
+        };
+    }
+
+    /**
+     * Experience progress through the current level, for XP bars
+     */
+    getProgress(experience) {
+        const current = CharacterStats.experienceForLevel(this.level);
+        if (this.level >= CharacterStats.MAX_LEVEL) {
+            return { current: experience - current, needed: 0, fraction: 1 };
+        }
+
+        const next = CharacterStats.experienceForLevel(this.level + 1);
+        return {
+            current: experience - current,
+            needed: next - current,
+            fraction: (experience - current) / (next - current)
+        };
+    }
+}
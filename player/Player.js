@@ -1,6 +1,15 @@
 import { NameTag } from './NameTag.js';
+import { CharacterStats } from './CharacterStats.js';
+import { ItemDatabase } from '../items/ItemDatabase.js';
 
 export class Player {
+    static MAX_GOLD = 1000000000; // Matches the save data limit
+    static MAX_EXPERIENCE = 1000000000; // Likewise
+    static DEATH_ANIMATION_TIME = 1200; // ms to fall over before the respawn prompt
+    static FRIENDLY_FIRE_WINDOW = 3000; // ms to swing again at a peaceful NPC before the warning lapses
+    static EQUIPMENT_DRAW_ORDER = ['boots', 'legs', 'chest', 'necklace', 'ring1', 'ring2', 'helmet', 'weapon'];
+    static equipmentImages = new Map(); // Item sprite path -> Image, shared by every player
+    
     constructor(gameWidth, gameHeight, world = null) {
         // Try to spawn at a player spawn point if available
         if (world && world.spawnPoints && world.spawnPoints.length > 0) {
@@ -34,16 +43,32 @@ export class Player {
         this.legAngle = 0;
         this.legSwingSpeed = Math.PI * 2 / 0.5;
         this.isOnWater = false;
-        this.waterSoundCooldown = 0;
+        this.footstepCooldown = 0;
+        this.tileDamageBuffer = 0; // Fractional damage from hazardous tiles
         
-        // Combat properties
+        // Combat properties - damage, max health and speed are derived from stats (see recalculateStats)
         this.health = 10;
         this.maxHealth = 10;
         this.attackDamage = 1;
+        this.damageReduction = 0; // Share of incoming damage ignored, from defence
+        this.critChance = 0; // Chance of a double-damage hit, from luck
         this.attackRange = 30;
         this.attackCooldown = 1000; // 1 second
         this.lastAttackTime = 0;
         this.isAttacking = false;
+        this.friendlyFireWarning = null; // { npc, time } - last peaceful NPC the player was warned about
+        
+        this.faction = 'player'; // See Factions - NPC relationships with the player are reputation
+        
+        // Death - input is ignored until Game.respawnPlayer brings the player back
+        this.isDead = false;
+        this.deathTime = 0;
+        this.checkpoint = null; // { x, y, name, map } - bound at checkpoint spawn points, preferred for respawning
+        
+        // Progress - quest rewards, kills and shop trades
+        this.gold = 0;
+        this.experience = 0;
+        this.stats = new CharacterStats(); // Level and stats, from experience
         
         // Damage numbers system
         this.damageNumbers = [];
@@ -64,12 +89,20 @@ export class Player {
             console.error('Failed to load character image');
         };
         this.characterImage.src = 'assets/character/guy_1.png';
+        
+        this.recalculateStats();
     }
 
-    update(input, collisionChecker, audioManager = null) {
+    update(input, collisionChecker, audioManager = null, deltaTime = 1000 / 60) {
         this.vx = 0;
         this.vy = 0;
 
+        // The dead don't move or fight - only the damage numbers play out
+        if (this.isDead) {
+            this.updateDamageNumbers();
+            return;
+        }
+
         // Use the enhanced input system for movement
         const movement = input.getMovementInput();
         this.vx = movement.x * this.speed;
@@ -100,23 +133,28 @@ export class Player {
             this.vy = Math.sign(this.vy) * normalizedSpeed;
         }
 
+        // Tile behaviour (speed, sounds, damage) comes from the TileRegistry
+        const tileType = collisionChecker.getTileDefinitionAt ?
+            collisionChecker.getTileDefinitionAt(this.x, this.y) : null;
+        this.isOnWater = tileType ? tileType.liquid : false;
+
+        if (tileType) {
+            this.vx *= tileType.speedModifier;
+            this.vy *= tileType.speedModifier;
+        }
+
         const newX = this.x + this.vx;
         const newY = this.y + this.vy;
         const isMoving = this.vx !== 0 || this.vy !== 0;
 
-        // Check if player is on water
-        const wasOnWater = this.isOnWater;
-        this.isOnWater = collisionChecker.isPlayerOnWater ? 
-            collisionChecker.isPlayerOnWater(this.x, this.y) : false;
-
         if (isMoving && collisionChecker.canMove(newX, newY, this.size)) {
             this.x = newX;
             this.y = newY;
             
-            // Play water sound if stepping on water
-            if (this.isOnWater && this.waterSoundCooldown <= 0 && audioManager) {
-                audioManager.playWaterSound();
-                this.waterSoundCooldown = 15; // Cooldown in frames (15/60 = 0.25 seconds)
+            // Play the tile's footstep sound
+            if (tileType && tileType.footstepSound && this.footstepCooldown <= 0 && audioManager) {
+                audioManager.playTileFootstep(tileType.name);
+                this.footstepCooldown = 250; // Milliseconds between footsteps
             }
             
             this.frameCount++;
@@ -134,8 +172,15 @@ export class Player {
         }
 
         // Update cooldown
-        if (this.waterSoundCooldown > 0) {
-            this.waterSoundCooldown--;
+        if (this.footstepCooldown > 0) {
+            this.footstepCooldown = Math.max(0, this.footstepCooldown - deltaTime);
+        }
+
+        // Hazardous tiles deal damage over time
+        if (tileType && tileType.damagePerSecond > 0) {
+            this.applyTileDamage(tileType.damagePerSecond, deltaTime);
+        } else {
+            this.tileDamageBuffer = 0;
         }
 
         this.nameTag.setPosition(this.x, this.y);
@@ -160,6 +205,16 @@ export class Player {
         const centerY = this.y;
         const size = this.size;
 
+        // Dying: topple over and fade, rotating about the character's centre
+        if (this.isDead) {
+            const progress = Math.min(1, (Date.now() - this.deathTime) / Player.DEATH_ANIMATION_TIME);
+            ctx.save();
+            ctx.globalAlpha = 1 - progress * 0.5;
+            ctx.translate(centerX, centerY);
+            ctx.rotate(progress * Math.PI / 2);
+            ctx.translate(-centerX, -centerY);
+        }
+
         // Render character image if loaded, otherwise fallback to drawn character
         if (this.characterImage.complete && this.characterImage.naturalWidth > 0) {
             // Calculate image dimensions to fit within the character size
@@ -177,6 +232,11 @@ export class Player {
             // Fallback to old drawn character if image isn't loaded yet
             this.renderFallbackCharacter(ctx, centerX, centerY, size);
         }
+        this.renderEquipment(ctx, centerX, centerY, size);
+
+        if (this.isDead) {
+            ctx.restore();
+        }
 
         // Always render the name tag
         this.nameTag.render(ctx);
@@ -195,6 +255,45 @@ export class Player {
         this.renderDamageNumbers(ctx);
     }
 
+    /**
+     * Draw equipped gear over the character - items with `sprite` art are layered
+     * over the body; a weapon without art is held as its icon
+     */
+    renderEquipment(ctx, centerX, centerY, size) {
+        const equipment = this.game && this.game.inventory ? this.game.inventory.equipment : null;
+        if (!equipment) return;
+        
+        const imageSize = size * 1.5; // Same box as the character image
+        Player.EQUIPMENT_DRAW_ORDER.forEach(slot => {
+            const item = equipment[slot] && ItemDatabase.get(equipment[slot].id);
+            if (!item) return;
+            
+            const image = item.sprite ? Player.getEquipmentImage(item.sprite) : null;
+            if (image && image.complete && image.naturalWidth > 0) {
+                ctx.drawImage(image, centerX - imageSize / 2, centerY - imageSize / 2, imageSize, imageSize);
+            } else if (slot === 'weapon') {
+                const side = this.direction === 'left' ? -1 : 1;
+                ctx.font = `${Math.round(size * 0.6)}px Arial`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(item.icon, centerX + side * size * 0.6, centerY + size * 0.2);
+            }
+        });
+    }
+    
+    /**
+     * Cached image for an equipment sprite, loaded on first use
+     */
+    static getEquipmentImage(src) {
+        if (!Player.equipmentImages.has(src)) {
+            const image = new Image();
+            image.onerror = () => console.error(`Failed to load equipment sprite: ${src}`);
+            image.src = src;
+            Player.equipmentImages.set(src, image);
+        }
+        return Player.equipmentImages.get(src);
+    }
+
     renderFallbackCharacter(ctx, centerX, centerY, size) {
         // Body
         ctx.fillStyle = '#f4e4bc';
@@ -281,28 +380,75 @@ export class Player {
         this.lastAttackTime = Date.now();
         this.isAttacking = true;
         
-        console.log(`⚔️ Player attacks!`);
+        // Per-swing logging only while debugging
+        if (window.DEBUG_MODE === true) {
+            console.log(`⚔️ Player attacks!`);
+        }
         
         // Find nearby NPCs to attack
         if (this.game && this.game.npcManager) {
-            const nearbyNPCs = this.game.npcManager.getNPCsNearPlayer(this, this.attackRange);
+            const npcManager = this.game.npcManager;
+            const nearbyNPCs = npcManager.getNPCsInRadius(this.x, this.y, this.attackRange, npc => npc.health > 0);
             
-            for (const npc of nearbyNPCs) {
-                // Only attack hostile NPCs
-                if (npc.behavior === 'hostile' && npc.health > 0) {
-                    npc.takeDamage(this.attackDamage);
-                    console.log(`⚔️ Player deals ${this.attackDamage} damage to ${npc.name}!`);
+            // Enemies (hostile factions, or anyone fighting us) take every swing
+            const enemies = nearbyNPCs.filter(npc =>
+                npcManager.factions.isHostile(npc.faction, this.faction) || npc.aggroTarget === this);
+            const targets = enemies.length > 0 ? enemies : this.getFriendlyFireTarget(nearbyNPCs);
+            
+            for (const npc of targets) {
+                // Luck gives a chance of a double-damage critical hit
+                const critical = Math.random() < this.critChance;
+                const damage = critical ? this.attackDamage * 2 : this.attackDamage;
+                
+                npc.takeDamage(damage, this);
+                npcManager.reportAttack(npc, this);
+                if (window.DEBUG_MODE === true) {
+                    console.log(`⚔️ Player deals ${damage} damage to ${npc.name}${critical ? ' (critical!)' : ''}!`);
                 }
             }
         }
     }
     
+    /**
+     * With no enemies in reach, a peaceful NPC is only hit on purpose - the first swing
+     * at the nearest one warns, a second within FRIENDLY_FIRE_WINDOW strikes (and the townsfolk won't like it).
+     * nearbyNPCs is nearest first, as getNPCsInRadius returns it.
+     */
+    getFriendlyFireTarget(nearbyNPCs) {
+        const nearest = nearbyNPCs[0];
+        if (!nearest) return [];
+        
+        const warning = this.friendlyFireWarning;
+        if (warning && warning.npc === nearest && Date.now() - warning.time <= Player.FRIENDLY_FIRE_WINDOW) {
+            this.friendlyFireWarning = null;
+            return [nearest];
+        }
+        
+        this.friendlyFireWarning = { npc: nearest, time: Date.now() };
+        if (this.game && this.game.ui) {
+            this.game.ui.showMessage(`${nearest.name} is not an enemy - attack again to strike them`);
+        }
+        return [];
+    }
+    
     /**
      * Take damage from NPCs
      */
     takeDamage(amount) {
+        if (this.isDead) return;
+        
+        // Defence shaves off a share; the fraction left rounds up by chance so small hits aren't all-or-nothing
+        const reduced = amount * (1 - this.damageReduction);
+        amount = Math.floor(reduced) + (Math.random() < reduced % 1 ? 1 : 0);
+        if (amount <= 0) {
+            this.addFloatingText('Blocked', this.x, this.y - 20, '200, 200, 200');
+            return;
+        }
+        
         this.health = Math.max(0, this.health - amount);
-        console.log(`💔 Player takes ${amount} damage! Health: ${this.health}/${this.maxHealth}`);
+        if (window.DEBUG_MODE === true) {
+            console.log(`💔 Player takes ${amount} damage! Health: ${this.health}/${this.maxHealth}`);
+        }
         
         // Add floating damage number
         this.addDamageNumber(amount, this.x, this.y - 20);
@@ -314,8 +460,62 @@ export class Player {
         
         // Check for death
         if (this.health <= 0) {
-            console.log('💀 Player has died!');
-            // TODO: Implement death/respawn logic
+            this.die();
+        }
+    }
+    
+    /**
+     * Fall and wait to be respawned - the game applies the death penalty and
+     * shows the respawn prompt
+     */
+    die() {
+        this.isDead = true;
+        this.deathTime = Date.now();
+        this.isAttacking = false;
+        this.vx = 0;
+        this.vy = 0;
+        console.log('💀 Player has died!');
+        
+        if (this.game) {
+            this.game.handlePlayerDeath();
+        }
+    }
+    
+    /**
+     * Come back to life at full health
+     */
+    respawn(x, y) {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.tileDamageBuffer = 0;
+        this.setPosition(x, y);
+        this.nameTag.setPosition(x, y);
+        console.log(`✨ Player respawned at (${Math.round(x)}, ${Math.round(y)})`);
+        
+        if (this.game && this.game.ui) {
+            this.game.ui.updateHealth(this.health, this.maxHealth);
+        }
+    }
+    
+    /**
+     * Remember a checkpoint to respawn at - `map` is the map reference it is on
+     */
+    bindCheckpoint(point, map) {
+        this.checkpoint = { x: point.x, y: point.y, name: point.name || 'Checkpoint', map: map || null };
+        console.log(`⛺ Checkpoint bound: ${this.checkpoint.name}`);
+    }
+    
+    /**
+     * Accumulate damage from the tile underfoot over deltaTime milliseconds
+     */
+    applyTileDamage(damagePerSecond, deltaTime) {
+        if (this.health <= 0) return;
+
+        this.tileDamageBuffer += damagePerSecond * deltaTime / 1000;
+        if (this.tileDamageBuffer >= 1) {
+            const damage = Math.floor(this.tileDamageBuffer);
+            this.tileDamageBuffer -= damage;
+            this.takeDamage(damage);
         }
     }
     
@@ -323,6 +523,8 @@ export class Player {
      * Heal the player
      */
     heal(amount) {
+        if (this.isDead) return;
+        
         this.health = Math.min(this.maxHealth, this.health + amount);
         console.log(`💚 Player heals ${amount} HP! Health: ${this.health}/${this.maxHealth}`);
         
@@ -332,6 +534,86 @@ export class Player {
         }
     }
     
+    /**
+     * Add gold (quest rewards, selling) - capped at MAX_GOLD
+     */
+    addGold(amount) {
+        if (!Number.isInteger(amount) || amount <= 0) return;
+        this.gold = Math.min(Player.MAX_GOLD, this.gold + amount);
+    }
+    
+    /**
+     * Spend gold - returns false without spending if the player can't afford it
+     */
+    spendGold(amount) {
+        if (!Number.isInteger(amount) || amount < 0 || amount > this.gold) {
+            return false;
+        }
+        this.gold -= amount;
+        return true;
+    }
+    
+    /**
+     * Add experience (quest rewards, kills) - levelling up as it crosses each threshold
+     */
+    addExperience(amount) {
+        if (!Number.isInteger(amount) || amount <= 0) return;
+        this.experience = Math.min(Player.MAX_EXPERIENCE, this.experience + amount);
+        
+        const level = CharacterStats.levelForExperience(this.experience);
+        if (level > this.stats.level) {
+            this.stats.level = level;
+            this.recalculateStats();
+            this.health = this.maxHealth; // A level up restores health
+            this.updateHealthDisplay();
+            
+            this.addFloatingText(`Level ${level}!`, this.x, this.y - 30, '255, 215, 0');
+            console.log(`🎉 Player reached level ${level}!`);
+            if (this.game && this.game.ui) {
+                this.game.ui.showMessage(`You reached level ${level}!`);
+            }
+        }
+    }
+    
+    /**
+     * Set experience outright (loading a save) - the level follows, at full health
+     */
+    setExperience(experience) {
+        this.experience = experience;
+        this.stats.level = CharacterStats.levelForExperience(experience);
+        this.recalculateStats();
+        this.health = this.maxHealth;
+        this.updateHealthDisplay();
+    }
+    
+    /**
+     * Derive damage, max health, speed, damage reduction and critical chance from
+     * the level's stats plus equipped items. Call whenever either changes.
+     */
+    recalculateStats() {
+        const inventory = this.game && this.game.inventory;
+        const derived = this.stats.getDerived(inventory ? inventory.getEquipmentStats() : {});
+        
+        this.attackDamage = derived.damage;
+        this.speed = derived.speed;
+        this.damageReduction = derived.damageReduction;
+        this.critChance = derived.critChance;
+        
+        // Extra max health comes with extra health; losing max health caps it
+        const gained = derived.maxHealth - this.maxHealth;
+        this.maxHealth = derived.maxHealth;
+        if (!this.isDead) {
+            this.health = Math.max(1, Math.min(this.maxHealth, this.health + Math.max(0, gained)));
+        }
+        this.updateHealthDisplay();
+    }
+    
+    updateHealthDisplay() {
+        if (this.game && this.game.ui) {
+            this.game.ui.updateHealth(this.health, this.maxHealth);
+        }
+    }
+    
     /**
      * Render attack effect
      */
@@ -397,8 +679,16 @@ export class Player {
      * Add damage number floating above player
      */
     addDamageNumber(amount, x, y) {
+        this.addFloatingText(`-${amount}`, x, y);
+    }
+    
+    /**
+     * Float a message up from the player (damage, level ups) - color is "r, g, b"
+     */
+    addFloatingText(text, x, y, color = '255, 0, 0') {
         this.damageNumbers.push({
-            amount: amount,
+            text: text,
+            color: color,
             x: x,
             y: y,
             startTime: Date.now(),
@@ -440,8 +730,8 @@ export class Player {
             const progress = elapsed / dmg.duration;
             const alpha = 1 - progress;
             
-            ctx.fillStyle = `rgba(255, 0, 0, ${alpha})`;
-            ctx.fillText(`-${dmg.amount}`, dmg.x, dmg.y);
+            ctx.fillStyle = `rgba(${dmg.color}, ${alpha})`;
+            ctx.fillText(dmg.text, dmg.x, dmg.y);
         });
         
         ctx.restore();
@@ -0,0 +1,254 @@
+/**
+ * Quest Manager - Runes of Tir na nÓg
+ * Tracks the player's quests: accepting them from quest givers, advancing
+ * objectives from game events and granting rewards on turn-in.
+ *
+ * Quests are declared on NPCs (NPCConfig `quests` or NPC JSON):
+ *
+ *   {
+ *       id: "rat_problem",
+ *       title: "Rat Problem",
+ *       description: "...",
+ *       objectives: [
+ *           { type: "kill", target: "cave_rat", count: 5 },       // NPC definition, id or name
+ *           { type: "collect", target: "rat_tail", count: 3 },    // Item id, taken on turn-in
+ *           { type: "talk", target: "innkeeper" },                // NPC definition, id or name
+ *           { type: "reach", x: 40, y: 12, radius: 3 }            // Tiles
+ *       ],
+ *       reward: { gold: 100, exp: 50, items: [{ id: "health_potion", quantity: 2 }] }
+ *   }
+ *
+ * A quest is active until every objective is met, then complete until it is
+ * turned in to an NPC offering it.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class QuestManager {
+    static STATUS = { ACTIVE: 'active', COMPLETE: 'complete', TURNED_IN: 'turned_in' };
+
+    constructor(game) {
+        this.game = game;
+        this.quests = new Map(); // Quest id -> quest state, in the order accepted
+        this.listeners = []; // Called with the quest whenever one changes (quest log)
+    }
+
+    /**
+     * Start a quest - returns false if it is invalid or was already accepted
+     */
+    accept(quest) {
+        if (this.quests.has(quest.id)) {
+            return false;
+        }
+        if (!SecurityUtils.validateQuestDefinition(quest)) {
+            console.error(`❌ QuestManager: Rejected quest "${quest && quest.id}"`);
+            return false;
+        }
+
+        const state = structuredClone(quest);
+        state.status = QuestManager.STATUS.ACTIVE;
+        state.objectives.forEach(objective => {
+            objective.count = objective.count || 1;
+            objective.current = 0;
+        });
+        this.quests.set(state.id, state);
+
+        console.log(`📜 Quest accepted: ${state.title}`);
+        this.refresh(state, true);
+        return true;
+    }
+
+    getQuest(questId) {
+        return this.quests.get(questId) || null;
+    }
+
+    /**
+     * 'available' for quests not yet accepted, otherwise the quest's status
+     */
+    getStatus(questId) {
+        const quest = this.quests.get(questId);
+        return quest ? quest.status : 'available';
+    }
+
+    /**
+     * Quests for the quest log - active and complete first, turned in last
+     */
+    getQuestLog() {
+        const quests = Array.from(this.quests.values());
+        return [
+            ...quests.filter(quest => quest.status !== QuestManager.STATUS.TURNED_IN),
+            ...quests.filter(quest => quest.status === QuestManager.STATUS.TURNED_IN)
+        ];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * The player killed an NPC - advances kill objectives
+     */
+    onNPCKilled(npc) {
+        this.advance('kill', objective => QuestManager.matchesNPC(objective.target, npc));
+    }
+
+    /**
+     * The player talked to an NPC - completes talk objectives
+     */
+    onNPCTalkedTo(npc) {
+        this.advance('talk', objective => QuestManager.matchesNPC(objective.target, npc));
+    }
+
+    /**
+     * The player picked something up - collect objectives recount the inventory
+     */
+    onItemCollected() {
+        this.getOpenQuests().forEach(quest => this.refresh(quest));
+    }
+
+    /**
+     * Per-frame checks - reach objectives against the player's position, and
+     * collect objectives against the inventory (items can be dropped or used)
+     */
+    update() {
+        const player = this.game.player;
+        const world = this.game.world;
+        if (!player || !world) return;
+
+        this.getOpenQuests().forEach(quest => {
+            if (quest.objectives.some(objective => objective.type === 'collect')) {
+                this.refresh(quest);
+            }
+        });
+
+        this.advance('reach', objective => {
+            const tileSize = world.tileSize;
+            const distance = Math.hypot(player.x - objective.x * tileSize, player.y - objective.y * tileSize);
+            return distance <= (objective.radius || 1) * tileSize;
+        });
+    }
+
+    /**
+     * Turn in a complete quest: takes collected items and grants the reward.
+     * Returns false if the quest isn't complete or the reward won't fit.
+     */
+    turnIn(questId) {
+        const quest = this.quests.get(questId);
+        if (!quest || quest.status !== QuestManager.STATUS.COMPLETE) {
+            return false;
+        }
+
+        const inventory = this.game.inventory;
+        const reward = quest.reward || {};
+        const rewardItems = Array.isArray(reward.items) ? reward.items : [];
+        if (inventory && inventory.getFreeSlotCount() < rewardItems.length) {
+            console.warn(`⚠️ QuestManager: No room for the rewards of "${quest.title}"`);
+            return false;
+        }
+
+        if (inventory) {
+            quest.objectives
+                .filter(objective => objective.type === 'collect')
+                .forEach(objective => inventory.removeItemsById(objective.target, objective.count));
+            rewardItems.forEach(item => inventory.addItem(item));
+        }
+
+        const player = this.game.player;
+        if (player) {
+            player.addGold(reward.gold || 0);
+            player.addExperience(reward.exp || 0);
+        }
+
+        quest.status = QuestManager.STATUS.TURNED_IN;
+        console.log(`🏆 Quest complete: ${quest.title}`);
+        this.notify(quest);
+        return true;
+    }
+
+    getActiveQuests() {
+        return Array.from(this.quests.values()).filter(quest => quest.status === QuestManager.STATUS.ACTIVE);
+    }
+
+    // Quests not yet turned in
+    getOpenQuests() {
+        return Array.from(this.quests.values()).filter(quest => quest.status !== QuestManager.STATUS.TURNED_IN);
+    }
+
+    /**
+     * Add one to every active objective of `type` that `matches`
+     */
+    advance(type, matches) {
+        this.getActiveQuests().forEach(quest => {
+            let changed = false;
+            quest.objectives.forEach(objective => {
+                if (objective.type === type && objective.current < objective.count && matches(objective)) {
+                    objective.current++;
+                    changed = true;
+                }
+            });
+            if (changed) {
+                this.refresh(quest, true);
+            }
+        });
+    }
+
+    /**
+     * Recount collect objectives and update whether the quest is complete.
+     * Listeners hear about it if anything changed (or `changed` says it already has).
+     */
+    refresh(quest, changed = false) {
+        const inventory = this.game.inventory;
+        quest.objectives.forEach(objective => {
+            if (objective.type === 'collect' && inventory) {
+                const current = Math.min(objective.count, inventory.countItem(objective.target));
+                changed = changed || current !== objective.current;
+                objective.current = current;
+            }
+        });
+
+        // Collect objectives can drop back below their count, reopening a complete quest
+        const done = quest.objectives.every(objective => objective.current >= objective.count);
+        const status = done ? QuestManager.STATUS.COMPLETE : QuestManager.STATUS.ACTIVE;
+        if (quest.status !== status) {
+            if (done) {
+                console.log(`✅ Quest objectives met: ${quest.title}`);
+            }
+            quest.status = status;
+            changed = true;
+        }
+
+        if (changed) {
+            this.notify(quest);
+        }
+    }
+
+    notify(quest) {
+        this.listeners.forEach(listener => listener(quest));
+    }
+
+    /**
+     * Whether an objective target names this NPC - by definition id, NPC id or name
+     */
+    static matchesNPC(target, npc) {
+        const wanted = String(target).toLowerCase();
+        return [npc.definition, npc.id, npc.name].some(value => typeof value === 'string' && value.toLowerCase() === wanted);
+    }
+
+    /**
+     * Quest state for saves
+     */
+    getState() {
+        return Array.from(this.quests.values()).map(quest => structuredClone(quest));
+    }
+
+    restoreState(state) {
+        if (!SecurityUtils.validateQuestState(state)) {
+            console.error('❌ QuestManager: Invalid saved quest state ignored');
+            return;
+        }
+
+        this.quests.clear();
+        state.forEach(quest => this.quests.set(quest.id, structuredClone(quest)));
+        console.log(`📜 Restored ${this.quests.size} quests`);
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Character Panel for Runes of Tir na nÓg
+ * The player's level, experience, stats (base plus equipment) and the combat
+ * values derived from them. Opened with the `character` keybind (P).
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { CharacterStats } from '../player/CharacterStats.js';
+
+export class CharacterPanel {
+    constructor(game) {
+        this.game = game;
+        this.isVisible = false;
+        this.container = null;
+
+        this.createUI();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.className = 'character-container';
+        this.container.style.display = 'none';
+
+        this.container.innerHTML = `
+            <div class="character-panel">
+                <div class="character-header">
+                    <h2 class="character-title">🧙 Character</h2>
+                    <button class="character-close">✖</button>
+                </div>
+                <div class="character-body"></div>
+            </div>
+        `;
+
+        this.container.querySelector('.character-close').addEventListener('click', () => this.hide());
+        document.body.appendChild(this.container);
+    }
+
+    render() {
+        const player = this.game.player;
+        const stats = player.stats;
+        const totals = stats.getTotals(this.game.inventory.getEquipmentStats());
+        const progress = stats.getProgress(player.experience);
+        const atMaxLevel = stats.level >= CharacterStats.MAX_LEVEL;
+
+        const statRows = Object.entries(CharacterStats.STATS).map(([stat, definition]) => {
+            const { base, bonus, total } = totals[stat];
+            const bonusText = bonus ? ` <span class="character-bonus">(${base} ${bonus > 0 ? '+' : '-'} ${Math.abs(bonus)})</span>` : '';
+            return `
+                <div class="character-row">
+                    <span>${definition.icon} ${definition.label}</span>
+                    <span>${total}${bonusText}</span>
+                </div>
+            `;
+        }).join('');
+
+        const derivedRows = [
+            ['⚔️ Damage', player.attackDamage],
+            ['❤️ Max Health', player.maxHealth],
+            ['🏃 Speed', player.speed.toFixed(1)],
+            ['🛡️ Damage Reduction', `${Math.round(player.damageReduction * 100)}%`],
+            ['🎯 Critical Chance', `${Math.round(player.critChance * 100)}%`]
+        ].map(([label, value]) => `
+            <div class="character-row">
+                <span>${label}</span>
+                <span>${value}</span>
+            </div>
+        `).join('');
+
+        // ✅ SECURITY: The player name is user input - sanitize it
+        this.container.querySelector('.character-body').innerHTML = `
+            <div class="character-name">${SecurityUtils.sanitizeHTML(player.getName())}</div>
+            <div class="character-level">Level ${stats.level}</div>
+            <div class="character-xp-bar">
+                <div class="character-xp-fill" style="width: ${Math.round(progress.fraction * 100)}%"></div>
+            </div>
+            <div class="character-xp-text">
+                ${atMaxLevel ? `${player.experience.toLocaleString()} XP - maximum level` :
+                    `${progress.current.toLocaleString()} / ${progress.needed.toLocaleString()} XP to level ${stats.level + 1}`}
+            </div>
+            <h3 class="character-section">Stats</h3>
+            ${statRows}
+            <h3 class="character-section">Combat</h3>
+            ${derivedRows}
+        `;
+    }
+
+    show() {
+        this.render();
+        this.container.style.display = 'flex';
+        this.isVisible = true;
+        console.log('Character panel opened');
+
+        // Pause the game while reading, like the inventory
+        this.game.pause();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+        this.isVisible = false;
+        console.log('Character panel closed');
+
+        this.game.resume();
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    getStyles() {
+        return `
+            .character-container {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100vw;
+                height: 100vh;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 100000;
+                font-family: 'Courier New', monospace;
+            }
+
+            .character-panel {
+                background: linear-gradient(135deg, rgba(26, 26, 46, 0.98), rgba(15, 15, 30, 0.98));
+                border: 3px solid #d4af37;
+                border-radius: 15px;
+                box-shadow: 0 0 40px rgba(212, 175, 55, 0.6);
+                max-width: 420px;
+                width: 90%;
+                max-height: 80vh;
+                overflow: hidden;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .character-header {
+                background: linear-gradient(135deg, #8b5a2b, #654321);
+                padding: 15px 20px;
+                border-bottom: 2px solid #d4af37;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .character-title {
+                margin: 0;
+                color: #d4af37;
+                font-size: 1.5rem;
+                text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+            }
+
+            .character-close {
+                background: rgba(139, 90, 43, 0.5);
+                border: 2px solid #d4af37;
+                color: #d4af37;
+                font-size: 1.2rem;
+                width: 36px;
+                height: 36px;
+                border-radius: 8px;
+                cursor: pointer;
+            }
+
+            .character-body {
+                padding: 15px 20px;
+                overflow-y: auto;
+                color: #e0e0e0;
+            }
+
+            .character-name {
+                color: #d4af37;
+                font-size: 1.3rem;
+                font-weight: bold;
+                text-align: center;
+            }
+
+            .character-level {
+                text-align: center;
+                margin-bottom: 8px;
+            }
+
+            .character-xp-bar {
+                height: 10px;
+                background: rgba(0, 0, 0, 0.6);
+                border: 1px solid #d4af37;
+                border-radius: 5px;
+                overflow: hidden;
+            }
+
+            .character-xp-fill {
+                height: 100%;
+                background: linear-gradient(90deg, #8a2be2, #b98cff);
+            }
+
+            .character-xp-text {
+                font-size: 0.85rem;
+                color: #aaa;
+                text-align: center;
+                margin: 4px 0 10px;
+            }
+
+            .character-section {
+                color: #d4af37;
+                font-size: 1rem;
+                margin: 12px 0 6px;
+                border-bottom: 1px solid rgba(212, 175, 55, 0.4);
+            }
+
+            .character-row {
+                display: flex;
+                justify-content: space-between;
+                padding: 3px 0;
+            }
+
+            .character-bonus {
+                color: #7CFC00;
+                font-size: 0.85rem;
+            }
+        `;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Death Screen for Runes of Tir na nÓg
+ * Shown over the game when the player dies: what the death cost and, once the
+ * fall animation has played, a prompt to respawn (click or tap the button, or
+ * press Enter, Space or R). The world carries on underneath.
+ */
+
+import { Player } from '../player/Player.js';
+
+export class DeathScreen {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.isVisible = false;
+        this.canRespawn = false;
+        this.promptTimer = null;
+
+        this.createUI();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.className = 'death-screen';
+        this.container.style.display = 'none';
+
+        this.container.innerHTML = `
+            <div class="death-panel">
+                <h2 class="death-title">☠️ You have died</h2>
+                <ul class="death-penalties"></ul>
+                <button class="death-respawn">Respawn</button>
+            </div>
+        `;
+
+        const button = this.container.querySelector('.death-respawn');
+        button.addEventListener('click', () => this.respawn());
+        button.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            this.respawn();
+        });
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Show the screen with the penalty lines; the respawn button appears after the death animation
+     */
+    show(penalties = []) {
+        // ✅ SECURITY: Penalty lines name items - textContent only
+        const list = this.container.querySelector('.death-penalties');
+        list.replaceChildren();
+        penalties.forEach(text => {
+            const line = document.createElement('li');
+            line.textContent = text;
+            list.appendChild(line);
+        });
+
+        const button = this.container.querySelector('.death-respawn');
+        button.style.visibility = 'hidden';
+        this.canRespawn = false;
+
+        clearTimeout(this.promptTimer);
+        this.promptTimer = setTimeout(() => {
+            this.canRespawn = true;
+            button.style.visibility = 'visible';
+        }, Player.DEATH_ANIMATION_TIME);
+
+        this.container.style.display = 'flex';
+        this.isVisible = true;
+    }
+
+    hide() {
+        clearTimeout(this.promptTimer);
+        this.container.style.display = 'none';
+        this.isVisible = false;
+        this.canRespawn = false;
+    }
+
+    respawn() {
+        if (this.canRespawn) {
+            this.game.respawnPlayer();
+        }
+    }
+
+    /**
+     * Keys while dead - respawn keys once the prompt is up; everything else but
+     * Escape (the pause menu) is swallowed. Returns true if the key was handled.
+     */
+    handleKey(e) {
+        if (!this.isVisible || e.code === 'Escape') return false;
+
+        if (e.code === 'Enter' || e.code === 'Space' || e.code === 'KeyR') {
+            this.respawn();
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        return true;
+    }
+
+    getStyles() {
+        return `
+            .death-screen {
+                position: fixed;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: radial-gradient(circle, rgba(60, 0, 0, 0.35), rgba(0, 0, 0, 0.75));
+                z-index: 10000;
+                pointer-events: none;
+                font-family: 'Courier New', monospace;
+            }
+
+            .death-panel {
+                text-align: center;
+                color: #e0e0e0;
+                pointer-events: auto;
+            }
+
+            .death-title {
+                color: #ff4d4d;
+                font-size: 2.5rem;
+                margin: 0 0 15px;
+                text-shadow: 0 0 15px rgba(255, 0, 0, 0.6);
+            }
+
+            .death-penalties {
+                list-style: none;
+                padding: 0;
+                margin: 0 0 20px;
+                line-height: 1.5;
+            }
+
+            .death-respawn {
+                background: linear-gradient(135deg, #8b0000, #5a0000);
+                border: 2px solid #ff4d4d;
+                border-radius: 8px;
+                color: #fff;
+                font-family: inherit;
+                font-size: 1.1rem;
+                padding: 10px 30px;
+                cursor: pointer;
+            }
+
+            .death-respawn:hover {
+                background: linear-gradient(135deg, #a00000, #700000);
+            }
+        `;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Dialogue Box for Runes of Tir na nÓg
+ * Shows the current line of a conversation and the player's responses.
+ * Responses can be clicked or tapped, picked with the number keys, or
+ * highlighted with the arrow keys and confirmed with Enter, Space or E.
+ * Escape ends the conversation. Reads everything from the DialogueManager.
+ */
+
+export class DialogueBox {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.choices = [];
+        this.selectedIndex = 0;
+
+        this.createUI();
+
+        this.game.dialogueManager.onChange(view => this.render(view));
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.className = 'dialogue-box';
+        this.container.style.display = 'none';
+
+        this.container.innerHTML = `
+            <div class="dialogue-speaker"></div>
+            <div class="dialogue-text"></div>
+            <div class="dialogue-choices"></div>
+        `;
+
+        document.body.appendChild(this.container);
+    }
+
+    render(view) {
+        if (!view) {
+            this.container.style.display = 'none';
+            this.choices = [];
+            return;
+        }
+
+        // ✅ SECURITY: Dialogue comes from NPC data - textContent only, never innerHTML
+        this.container.querySelector('.dialogue-speaker').textContent = view.speaker;
+        this.container.querySelector('.dialogue-text').textContent = view.text;
+
+        const list = this.container.querySelector('.dialogue-choices');
+        list.replaceChildren();
+        this.choices = view.choices;
+        this.selectedIndex = 0;
+
+        view.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.className = 'dialogue-choice';
+            button.textContent = `${index + 1}. ${choice.text}`;
+            button.addEventListener('click', () => this.game.dialogueManager.choose(index));
+            button.addEventListener('mouseenter', () => this.select(index));
+            list.appendChild(button);
+        });
+
+        this.highlight();
+        this.container.style.display = 'block';
+    }
+
+    select(index) {
+        this.selectedIndex = (index + this.choices.length) % this.choices.length;
+        this.highlight();
+    }
+
+    highlight() {
+        this.container.querySelectorAll('.dialogue-choice').forEach((button, index) => {
+            button.classList.toggle('selected', index === this.selectedIndex);
+        });
+    }
+
+    /**
+     * Keyboard input while a conversation is open - returns true if the key was used
+     */
+    handleKey(e) {
+        const manager = this.game.dialogueManager;
+        if (!manager.isActive()) return false;
+
+        if (/^Digit[1-9]$/.test(e.code)) {
+            manager.choose(Number(e.code.slice(5)) - 1);
+        } else if (e.code === 'ArrowUp') {
+            this.select(this.selectedIndex - 1);
+        } else if (e.code === 'ArrowDown') {
+            this.select(this.selectedIndex + 1);
+        } else if (e.code === 'Enter' || e.code === 'Space' || e.code === 'KeyE') {
+            manager.choose(this.selectedIndex);
+        } else if (e.code === 'Escape') {
+            manager.end();
+        } else {
+            return false;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        return true;
+    }
+
+    getStyles() {
+        return `
+            .dialogue-box {
+                position: fixed;
+                left: 50%;
+                bottom: 30px;
+                transform: translateX(-50%);
+                width: 90%;
+                max-width: 600px;
+                background: linear-gradient(135deg, rgba(26, 26, 46, 0.96), rgba(15, 15, 30, 0.96));
+                border: 3px solid #8A2BE2;
+                border-radius: 12px;
+                box-shadow: 0 0 30px rgba(138, 43, 226, 0.5);
+                padding: 15px 20px;
+                z-index: 10000;
+                font-family: 'Courier New', monospace;
+                color: #e0e0e0;
+            }
+
+            .dialogue-speaker {
+                color: #b98cff;
+                font-weight: bold;
+                font-size: 1.1rem;
+                margin-bottom: 8px;
+            }
+
+            .dialogue-text {
+                line-height: 1.4;
+                margin-bottom: 12px;
+            }
+
+            .dialogue-choices {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+            }
+
+            .dialogue-choice {
+                background: rgba(138, 43, 226, 0.15);
+                border: 1px solid rgba(138, 43, 226, 0.6);
+                border-radius: 6px;
+                color: #e0e0e0;
+                font-family: inherit;
+                font-size: 0.95rem;
+                text-align: left;
+                padding: 8px 12px;
+                min-height: 40px;
+                cursor: pointer;
+                touch-action: manipulation;
+            }
+
+            .dialogue-choice.selected {
+                background: rgba(138, 43, 226, 0.45);
+                border-color: #d4af37;
+                color: #ffd700;
+            }
+        `;
+    }
+}
@@ -2,22 +2,37 @@
 // Manages gameplay-related settings (NPCs, difficulty, world features, etc.)
 
 export class GameplaySettings {
+    // What dying costs: a share of gold, a number of random inventory items
+    // dropped where the player fell, and a share of equipment durability
+    static DEATH_PENALTIES = {
+        none: { label: 'None', goldLoss: 0, itemDrops: 0, durabilityLoss: 0 },
+        light: { label: 'Light', goldLoss: 0.1, itemDrops: 0, durabilityLoss: 0.1 },
+        harsh: { label: 'Harsh', goldLoss: 0.25, itemDrops: 3, durabilityLoss: 0.25 }
+    };
+    static DEFAULT_DEATH_PENALTY = 'light';
+
     constructor() {
         this.npcDensity = 1; // NPC spawn density multiplier
+        this.deathPenalty = GameplaySettings.DEFAULT_DEATH_PENALTY;
     }
 
     load() {
         // Load settings from localStorage with defaults
         const densitySetting = localStorage.getItem('npcDensity');
         this.npcDensity = densitySetting ? parseFloat(densitySetting) : 1;
+        
+        const penaltySetting = localStorage.getItem('deathPenalty');
+        this.deathPenalty = GameplaySettings.DEATH_PENALTIES[penaltySetting] ?
+            penaltySetting : GameplaySettings.DEFAULT_DEATH_PENALTY;
     }
 
     save() {
         // Save to localStorage
         localStorage.setItem('npcDensity', this.npcDensity.toString());
+        localStorage.setItem('deathPenalty', this.deathPenalty);
         
         // Return confirmation message
-        return `NPC Density: ${Math.round(this.npcDensity * 100)}%`;
+        return `NPC Density: ${Math.round(this.npcDensity * 100)}%\nDeath Penalty: ${GameplaySettings.DEATH_PENALTIES[this.deathPenalty].label}`;
     }
 
     render() {
@@ -36,6 +51,17 @@ export class GameplaySettings {
                     Controls how many NPCs spawn in the world (0% = none, 100% = default, 200% = double)
                 </p>
             </div>
+            
+            <div class="setting-item">
+                <label for="deathPenalty">Death Penalty:</label>
+                <select id="deathPenalty">
+                    ${Object.entries(GameplaySettings.DEATH_PENALTIES).map(([key, penalty]) =>
+                        `<option value="${key}" ${key === this.deathPenalty ? 'selected' : ''}>${penalty.label}</option>`).join('')}
+                </select>
+                <p class="setting-description">
+                    What dying costs (Light = 10% of gold and equipment wear, Harsh = 25% and 3 items dropped)
+                </p>
+            </div>
         `;
 
         // Store references and setup event listeners
@@ -50,6 +76,13 @@ export class GameplaySettings {
                     npcDensityValue.textContent = `${Math.round(this.npcDensity * 100)}%`;
                 });
             }
+            
+            const deathPenaltySelect = document.getElementById('deathPenalty');
+            if (deathPenaltySelect) {
+                deathPenaltySelect.addEventListener('change', () => {
+                    this.deathPenalty = deathPenaltySelect.value;
+                });
+            }
         }, 0);
 
         return container;
@@ -59,6 +92,10 @@ export class GameplaySettings {
         return this.npcDensity;
     }
 
+    getDeathPenalty() {
+        return GameplaySettings.DEATH_PENALTIES[this.deathPenalty];
+    }
+
     getStyles() {
         return `
             /* Slider Styles */
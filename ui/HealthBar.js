@@ -43,7 +43,7 @@ export class HealthBar {
             heart.alt = 'Heart';
             
             // First heart is largest, others gradually smaller
-            const scale = i === 0 ? 1.0 : 1.0 - (i * 0.08);
+            const scale = i === 0 ? 1.0 : Math.max(0.4, 1.0 - (i * 0.08));
             const size = Math.floor(this.heartSize * scale);
             
             heart.style.width = `${size}px`;
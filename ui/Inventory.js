@@ -1,11 +1,26 @@
 /**
  * Inventory System for Runes of Tir na nÓg
- * Handles player inventory, equipment slots, and item management
+ * Handles player inventory, equipment slots, and item management.
+ * Slots hold { id, quantity } (plus `durability` for gear that wears) - the
+ * rest of an item comes from its ItemDatabase definition.
  */
 
 import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { ItemDatabase } from '../items/ItemDatabase.js';
 
 export class Inventory {
+    // Which equipment slots each item type can go in
+    static SLOTS_BY_TYPE = {
+        helmet: ['helmet'],
+        necklace: ['necklace'],
+        chest: ['chest'],
+        legs: ['legs'],
+        boots: ['boots'],
+        weapon: ['weapon'],
+        ring: ['ring1', 'ring2']
+    };
+    static DRAG_THRESHOLD = 6; // px a press must move before it becomes a drag
+    
     constructor(game) {
         this.game = game;
         this.isVisible = false;
@@ -25,7 +40,9 @@ export class Inventory {
         };
         
         this.selectedSlot = null;
-        this.draggedItem = null;
+        this.draggedItem = null; // { from, pointerId, startX, startY, ghost } while a slot is pressed or dragged
+        this.suppressClick = false; // Swallows the click that ends a drag
+        this.emptySlotHTML = {}; // Equipment slot -> its placeholder icon and label
         
         this.init();
     }
@@ -126,7 +143,10 @@ export class Inventory {
                     
                     <!-- Right Side: General Inventory -->
                     <div class="items-section">
-                        <h3 class="section-title">Items</h3>
+                        <div class="items-header">
+                            <h3 class="section-title">Items</h3>
+                            <button class="inventory-sort" id="inventorySort" title="Stack and sort items">⇅ Sort</button>
+                        </div>
                         <div class="items-grid" id="itemsGrid">
                             ${this.generateItemSlots()}
                         </div>
@@ -134,7 +154,7 @@ export class Inventory {
                         <div class="inventory-footer">
                             <div class="gold-display">
                                 <span class="gold-icon">💰</span>
-                                <span class="gold-amount">1,250</span>
+                                <span class="gold-amount">0</span>
                                 <span class="gold-label">Gold</span>
                             </div>
                             <div class="weight-display">
@@ -175,41 +195,10 @@ export class Inventory {
 
     addSampleItems() {
         // Add some sample items to demonstrate the inventory
-        this.items[0] = {
-            id: 'potion_health',
-            name: 'Health Potion',
-            icon: '❤️',
-            type: 'consumable',
-            description: 'Restores 50 HP',
-            quantity: 5
-        };
-        
-        this.items[1] = {
-            id: 'sword_iron',
-            name: 'Iron Sword',
-            icon: '⚔️',
-            type: 'weapon',
-            description: 'A sturdy iron blade',
-            stats: { attack: 15 }
-        };
-        
-        this.items[2] = {
-            id: 'armor_leather',
-            name: 'Leather Armor',
-            icon: '🦺',
-            type: 'chest',
-            description: 'Light leather protection',
-            stats: { defense: 10 }
-        };
-        
-        this.items[5] = {
-            id: 'ring_gold',
-            name: 'Gold Ring',
-            icon: '💍',
-            type: 'ring',
-            description: 'A shiny gold ring',
-            stats: { luck: 5 }
-        };
+        this.items[0] = this.validateItem({ id: 'health_potion', quantity: 5 });
+        this.items[1] = this.validateItem({ id: 'iron_sword' });
+        this.items[2] = this.validateItem({ id: 'leather_armor' });
+        this.items[5] = this.validateItem({ id: 'gold_ring' });
         
         this.updateItemsDisplay();
     }
@@ -222,27 +211,26 @@ export class Inventory {
         slots.forEach((slot, index) => {
             const item = this.items[index];
             if (item) {
+                const definition = ItemDatabase.get(item.id);
                 slot.classList.remove('empty-slot');
                 slot.classList.add('has-item');
                 
                 // ✅ SECURITY FIX (VULN-001): Sanitize all user-controlled data
-                const safeIcon = SecurityUtils.sanitizeHTML(item.icon || '📦');
-                const safeQuantity = item.quantity ? SecurityUtils.sanitizeHTML(String(item.quantity)) : '';
+                const safeIcon = SecurityUtils.sanitizeHTML(definition.icon);
+                const safeQuantity = SecurityUtils.sanitizeHTML(String(item.quantity));
                 
                 slot.innerHTML = `
                     <div class="slot-number">${index + 1}</div>
                     <div class="item-icon">${safeIcon}</div>
-                    ${item.quantity ? `<div class="item-quantity">${safeQuantity}</div>` : ''}
+                    ${item.quantity > 1 ? `<div class="item-quantity">${safeQuantity}</div>` : ''}
                 `;
                 
-                // ✅ SECURITY FIX (VULN-001): Sanitize tooltip data attributes
-                slot.dataset.itemName = SecurityUtils.sanitizeText(item.name || '');
-                slot.dataset.itemType = SecurityUtils.sanitizeText(item.type || '');
-                slot.dataset.itemDesc = SecurityUtils.sanitizeText(item.description || '');
+                Inventory.setTooltipData(slot, item);
             } else {
                 slot.classList.add('empty-slot');
                 slot.classList.remove('has-item');
                 slot.innerHTML = `<div class="slot-number">${index + 1}</div>`;
+                delete slot.dataset.rarity;
             }
         });
     }
@@ -255,41 +243,130 @@ export class Inventory {
                 closeBtn.addEventListener('click', () => this.hide());
             }
             
-            // Item slot hover for tooltips
+            // Item and equipment slot hover for tooltips
             this.container.addEventListener('mouseover', (e) => {
-                const slot = e.target.closest('.item-slot.has-item');
+                const slot = e.target.closest('.item-slot.has-item, .equipment-slot.has-item');
                 if (slot) {
                     this.showTooltip(slot, e);
                 }
             });
             
             this.container.addEventListener('mouseout', (e) => {
-                const slot = e.target.closest('.item-slot');
+                const slot = e.target.closest('.item-slot, .equipment-slot');
                 if (slot) {
                     this.hideTooltip();
                 }
             });
             
-            // Item clicking
+            // Item clicking - shift-click splits a stack
             this.container.addEventListener('click', (e) => {
+                if (this.suppressClick) return;
+                
                 const itemSlot = e.target.closest('.item-slot.has-item');
                 const equipSlot = e.target.closest('.equipment-slot');
                 
-                if (itemSlot) {
+                if (itemSlot && e.shiftKey) {
+                    this.splitStack(parseInt(itemSlot.dataset.slot));
+                } else if (itemSlot) {
                     this.handleItemClick(itemSlot);
                 } else if (equipSlot) {
                     this.handleEquipSlotClick(equipSlot);
                 }
             });
+            
+            const sortBtn = document.getElementById('inventorySort');
+            if (sortBtn) {
+                sortBtn.addEventListener('click', () => this.sortItems());
+            }
+            
+            // Dragging between item and equipment slots - pointer events cover mouse and touch
+            this.container.addEventListener('pointerdown', (e) => this.startDrag(e));
+            document.addEventListener('pointermove', (e) => this.updateDrag(e));
+            document.addEventListener('pointerup', (e) => this.endDrag(e));
+            document.addEventListener('pointercancel', () => this.cancelDrag());
         }, 100);
     }
 
+    /**
+     * Slot reference for a slot element - an index for item slots, the slot name for equipment
+     */
+    getSlotRef(slot) {
+        return slot.classList.contains('item-slot') ? parseInt(slot.dataset.slot) : slot.dataset.slot;
+    }
+
+    startDrag(e) {
+        if (e.button !== 0) return;
+        
+        const slot = e.target.closest('.item-slot.has-item, .equipment-slot.has-item');
+        if (!slot) return;
+        
+        this.draggedItem = {
+            from: this.getSlotRef(slot),
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            ghost: null
+        };
+    }
+
+    updateDrag(e) {
+        const drag = this.draggedItem;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        
+        // A press only becomes a drag once it moves, so clicks and taps still work
+        if (!drag.ghost) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < Inventory.DRAG_THRESHOLD) return;
+            
+            const item = this.getItemAt(drag.from);
+            if (!item) {
+                this.cancelDrag();
+                return;
+            }
+            this.hideTooltip();
+            drag.ghost = document.createElement('div');
+            drag.ghost.className = 'inventory-drag-ghost';
+            drag.ghost.textContent = this.getDefinition(item).icon;
+            document.body.appendChild(drag.ghost);
+        }
+        
+        drag.ghost.style.left = `${e.clientX}px`;
+        drag.ghost.style.top = `${e.clientY}px`;
+        e.preventDefault();
+    }
+
+    endDrag(e) {
+        const drag = this.draggedItem;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        
+        const wasDragging = !!drag.ghost;
+        this.cancelDrag();
+        if (!wasDragging) return;
+        
+        // The click that follows the release must not also equip or unequip
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+        
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        const slot = target && target.closest('.item-slot, .equipment-slot');
+        if (slot && this.container.contains(slot)) {
+            this.moveItem(drag.from, this.getSlotRef(slot));
+        }
+    }
+
+    cancelDrag() {
+        if (this.draggedItem && this.draggedItem.ghost) {
+            this.draggedItem.ghost.remove();
+        }
+        this.draggedItem = null;
+    }
+
     showTooltip(slot, event) {
         const tooltip = document.getElementById('itemTooltip');
         if (!tooltip || !slot.dataset.itemName) return;
         
         tooltip.querySelector('.tooltip-name').textContent = slot.dataset.itemName;
         tooltip.querySelector('.tooltip-type').textContent = slot.dataset.itemType;
+        tooltip.querySelector('.tooltip-stats').textContent = slot.dataset.itemStats || '';
         tooltip.querySelector('.tooltip-description').textContent = slot.dataset.itemDesc;
         
         tooltip.style.display = 'block';
@@ -309,8 +386,18 @@ export class Inventory {
         const item = this.items[slotIndex];
         
         if (item) {
-            console.log(`Clicked item: ${item.name}`);
-            // TODO: Implement item usage/equipping logic
+            console.log(`Clicked item: ${this.getDefinition(item).name}`);
+            
+            // Gear is equipped and consumables used; anything else is just selected
+            if (this.getSlotsForItem(item).length > 0) {
+                this.hideTooltip();
+                this.equip(slotIndex);
+                return;
+            }
+            if (this.getDefinition(item).use) {
+                this.useItem(slotIndex);
+                return;
+            }
             slot.classList.add('selected');
             setTimeout(() => slot.classList.remove('selected'), 200);
         }
@@ -319,11 +406,208 @@ export class Inventory {
     handleEquipSlotClick(slot) {
         const slotName = slot.dataset.slot;
         console.log(`Clicked equipment slot: ${slotName}`);
-        // TODO: Implement unequip logic
+        
+        if (this.equipment[slotName]) {
+            this.hideTooltip();
+            this.unequip(slotName);
+        }
+    }
+
+    /**
+     * ItemDatabase definition of a slot's item
+     */
+    getDefinition(item) {
+        return item ? ItemDatabase.get(item.id) : null;
+    }
+
+    /**
+     * Equipment slots an item can go in (none for non-gear)
+     */
+    getSlotsForItem(item) {
+        const definition = this.getDefinition(item);
+        return (definition && Inventory.SLOTS_BY_TYPE[definition.type]) || [];
+    }
+
+    canEquip(item, slotName) {
+        return this.getSlotsForItem(item).includes(slotName);
+    }
+
+    /**
+     * Equip the item in an inventory slot - into `slotName` if given, else the
+     * first free slot for its type, else swapping with what is in the first one.
+     * The replaced item takes the inventory slot. Returns true if equipped.
+     */
+    equip(index, slotName = null) {
+        const item = this.items[index];
+        const slots = this.getSlotsForItem(item);
+        if (slots.length === 0) {
+            console.warn(`⚠️ ${item ? this.getDefinition(item).name : 'Nothing'} can't be equipped`);
+            return false;
+        }
+        if (slotName !== null && !slots.includes(slotName)) {
+            console.warn(`⚠️ ${this.getDefinition(item).name} doesn't go in the ${slotName} slot`);
+            return false;
+        }
+        
+        const target = slotName || slots.find(slot => !this.equipment[slot]) || slots[0];
+        this.items[index] = this.equipment[target];
+        this.equipment[target] = item;
+        
+        this.onEquipmentChanged();
+        return true;
+    }
+
+    /**
+     * Move an equipped item back into the first free inventory slot - fails if the inventory is full
+     */
+    unequip(slotName) {
+        const item = this.equipment[slotName];
+        if (!item) return false;
+        
+        const emptyIndex = this.items.findIndex(slot => slot === null);
+        if (emptyIndex === -1) {
+            if (this.game && this.game.ui) {
+                this.game.ui.showMessage('Your inventory is full');
+            }
+            return false;
+        }
+        
+        this.items[emptyIndex] = item;
+        this.equipment[slotName] = null;
+        
+        this.onEquipmentChanged();
+        return true;
+    }
+
+    /**
+     * Use one of the item in an inventory slot - its definition's `use` effect
+     */
+    useItem(index) {
+        const item = this.items[index];
+        const definition = this.getDefinition(item);
+        const player = this.game && this.game.player;
+        if (!definition || !definition.use || !player || player.isDead) return false;
+        
+        if (definition.use.heal) {
+            if (player.health >= player.maxHealth) {
+                this.game.ui.showMessage('You are already at full health');
+                return false;
+            }
+            player.heal(definition.use.heal);
+        }
+        
+        item.quantity -= 1;
+        if (item.quantity <= 0) {
+            this.items[index] = null;
+        }
+        
+        this.hideTooltip();
+        this.updateItemsDisplay();
+        return true;
+    }
+
+    /**
+     * Refresh the slots and re-derive the player's stats after gear changes
+     */
+    onEquipmentChanged() {
+        this.updateItemsDisplay();
+        this.updateEquipmentDisplay();
+        if (this.game && this.game.player) {
+            this.game.player.recalculateStats();
+        }
+        this.updateStatsDisplay();
+    }
+
+    updateEquipmentDisplay() {
+        if (!this.container) return;
+        
+        this.container.querySelectorAll('.equipment-slot').forEach(slot => {
+            const slotName = slot.dataset.slot;
+            const item = this.equipment[slotName];
+            if (this.emptySlotHTML[slotName] === undefined) {
+                this.emptySlotHTML[slotName] = slot.innerHTML;
+            }
+            
+            if (item) {
+                const definition = ItemDatabase.get(item.id);
+                slot.classList.remove('empty-slot');
+                slot.classList.add('has-item');
+                
+                // ✅ SECURITY: Definitions come from a data file - sanitize them
+                const broken = item.durability === 0 ? ' (broken)' : '';
+                slot.innerHTML = `
+                    <div class="slot-icon">${SecurityUtils.sanitizeHTML(definition.icon)}</div>
+                    <div class="slot-label">${SecurityUtils.sanitizeHTML(definition.name)}${broken}</div>
+                `;
+                Inventory.setTooltipData(slot, item);
+            } else {
+                slot.classList.add('empty-slot');
+                slot.classList.remove('has-item');
+                slot.innerHTML = this.emptySlotHTML[slotName];
+                delete slot.dataset.itemName;
+                delete slot.dataset.rarity;
+            }
+        });
+    }
+
+    /**
+     * Tooltip line for an item's stats, use and durability, e.g. "attack +15 · 40/100 durability"
+     */
+    static describeItemStats(item) {
+        const definition = ItemDatabase.get(item.id);
+        const parts = Object.entries(definition.stats).map(([stat, value]) => `${stat} ${value >= 0 ? '+' : ''}${value}`);
+        if (definition.use && definition.use.heal) {
+            parts.push(`heals ${definition.use.heal}`);
+        }
+        if (definition.maxDurability) {
+            parts.push(`${item.durability}/${definition.maxDurability} durability`);
+        }
+        return SecurityUtils.sanitizeText(parts.join(' · '));
+    }
+
+    /**
+     * ✅ SECURITY FIX (VULN-001): Sanitize tooltip data attributes
+     */
+    static setTooltipData(slot, item) {
+        const definition = ItemDatabase.get(item.id);
+        slot.dataset.itemName = SecurityUtils.sanitizeText(definition.name);
+        slot.dataset.itemType = SecurityUtils.sanitizeText(`${definition.rarity} ${definition.type}`);
+        slot.dataset.itemDesc = SecurityUtils.sanitizeText(definition.description);
+        slot.dataset.itemStats = Inventory.describeItemStats(item);
+        slot.dataset.rarity = definition.rarity;
+    }
+
+    /**
+     * Show the player's derived attack, defence and speed beside the equipment
+     */
+    updateStatsDisplay() {
+        const player = this.game && this.game.player;
+        if (!player || !this.container) return;
+        
+        const totals = player.stats.getTotals(this.getEquipmentStats());
+        const setText = (id, text) => {
+            const element = this.container.querySelector(`#${id}`);
+            if (element) element.textContent = text;
+        };
+        setText('statAttack', player.attackDamage);
+        setText('statDefense', totals.defence.total);
+        setText('statSpeed', player.speed.toFixed(1));
+    }
+
+    /**
+     * Show the player's gold in the footer
+     */
+    updateGoldDisplay() {
+        const goldAmount = this.container && this.container.querySelector('.gold-amount');
+        if (goldAmount && this.game && this.game.player) {
+            goldAmount.textContent = this.game.player.gold.toLocaleString();
+        }
     }
 
     show() {
         if (this.container) {
+            this.updateGoldDisplay();
+            this.updateStatsDisplay();
             this.container.style.display = 'flex';
             this.isVisible = true;
             console.log('Inventory opened');
@@ -337,6 +621,7 @@ export class Inventory {
 
     hide() {
         if (this.container) {
+            this.cancelDrag();
             this.container.style.display = 'none';
             this.isVisible = false;
             console.log('Inventory closed');
@@ -357,8 +642,10 @@ export class Inventory {
     }
 
     /**
-     * ✅ SECURITY FIX (VULN-001): Validate and sanitize item data
-     * Prevents XSS attacks via malicious item data
+     * ✅ SECURITY FIX (VULN-001): Validate item data against the item database
+     * Only the id, quantity and durability are taken from the item - everything
+     * else comes from its definition, so unknown ids are rejected. Returns
+     * { id, quantity, durability? } or null.
      */
     validateItem(item) {
         if (!item || typeof item !== 'object') {
@@ -366,39 +653,32 @@ export class Inventory {
             return null;
         }
         
-        // Validate required fields
-        if (!item.id || !item.name || !item.type) {
-            console.error('Invalid item: missing required fields (id, name, type)');
+        const definition = typeof item.id === 'string' ? ItemDatabase.get(item.id) : null;
+        if (!definition) {
+            console.error(`Invalid item: unknown item id "${SecurityUtils.sanitizeText(String(item.id)).substring(0, 50)}"`);
             return null;
         }
         
-        // Create sanitized copy
-        const sanitized = {
-            id: SecurityUtils.sanitizeText(String(item.id)).substring(0, 50),
-            name: SecurityUtils.sanitizeText(String(item.name)).substring(0, 100),
-            type: SecurityUtils.sanitizeText(String(item.type)).substring(0, 50),
-            icon: SecurityUtils.sanitizeText(String(item.icon || '📦')).substring(0, 10),
-            description: SecurityUtils.sanitizeText(String(item.description || '')).substring(0, 200)
-        };
+        // Old aliases become the current id
+        const sanitized = { id: definition.id, quantity: 1 };
         
-        // Validate quantity if present
+        // Validate quantity if present - anything outside one stack is clamped to it
         if (item.quantity !== undefined) {
             const qty = parseInt(item.quantity);
-            if (Number.isInteger(qty) && qty >= 0 && qty <= 999) {
-                sanitized.quantity = qty;
+            if (!Number.isInteger(qty)) {
+                console.warn(`⚠️ Inventory: ${definition.id} had no valid quantity, using 1`);
+            } else if (qty < 1 || qty > definition.stackSize) {
+                sanitized.quantity = Math.max(1, Math.min(definition.stackSize, qty));
+                console.warn(`⚠️ Inventory: ${definition.id} quantity ${qty} clamped to ${sanitized.quantity}`);
             } else {
-                sanitized.quantity = 1; // Default to 1 if invalid
+                sanitized.quantity = qty;
             }
         }
         
-        // Copy stats if present (validated)
-        if (item.stats && typeof item.stats === 'object') {
-            sanitized.stats = {};
-            for (const [key, value] of Object.entries(item.stats)) {
-                if (typeof value === 'number' && Number.isFinite(value)) {
-                    sanitized.stats[key] = Math.max(-9999, Math.min(9999, value));
-                }
-            }
+        // Durability for gear that wears (worn down by death penalties) - new items start whole
+        if (definition.maxDurability) {
+            const durability = Number.isInteger(item.durability) ? item.durability : definition.maxDurability;
+            sanitized.durability = Math.max(0, Math.min(definition.maxDurability, durability));
         }
         
         return sanitized;
@@ -412,14 +692,14 @@ export class Inventory {
             return false;
         }
         
-        // Find first empty slot
-        const emptyIndex = this.items.findIndex(slot => slot === null);
-        if (emptyIndex !== -1) {
-            this.items[emptyIndex] = validatedItem;
-            this.updateItemsDisplay();
-            return true;
+        // Stack onto matching items, then fill empty slots - all or nothing
+        if (validatedItem.quantity > this.getRoomFor(validatedItem)) {
+            return false; // Inventory full
         }
-        return false; // Inventory full
+        
+        this.placeItem(validatedItem);
+        this.updateItemsDisplay();
+        return true;
     }
 
     removeItem(index) {
@@ -431,6 +711,251 @@ export class Inventory {
         return false;
     }
 
+    /**
+     * Total quantity held of an item id (or an old alias of one)
+     */
+    countItem(itemId) {
+        const id = ItemDatabase.resolveId(itemId);
+        return this.items.reduce((total, item) =>
+            item && item.id === id ? total + item.quantity : total, 0);
+    }
+
+    /**
+     * Remove up to `count` of an item id, across stacks - returns how many were removed
+     */
+    removeItemsById(itemId, count) {
+        const id = ItemDatabase.resolveId(itemId);
+        let remaining = count;
+        for (let index = 0; index < this.items.length && remaining > 0; index++) {
+            const item = this.items[index];
+            if (!item || item.id !== id) continue;
+
+            const quantity = item.quantity;
+            if (quantity > remaining) {
+                item.quantity = quantity - remaining;
+                remaining = 0;
+            } else {
+                this.items[index] = null;
+                remaining -= quantity;
+            }
+        }
+
+        this.updateItemsDisplay();
+        return count - remaining;
+    }
+
+    getFreeSlotCount() {
+        return this.items.filter(slot => slot === null).length;
+    }
+
+    /**
+     * Item at a slot reference - an item slot index or an equipment slot name
+     */
+    getItemAt(ref) {
+        if (Number.isInteger(ref) && ref >= 0 && ref < this.items.length) {
+            return this.items[ref];
+        }
+        if (typeof ref === 'string' && Object.prototype.hasOwnProperty.call(this.equipment, ref)) {
+            return this.equipment[ref];
+        }
+        return null;
+    }
+
+    isSlotRef(ref) {
+        return (Number.isInteger(ref) && ref >= 0 && ref < this.items.length) ||
+            (typeof ref === 'string' && Object.prototype.hasOwnProperty.call(this.equipment, ref));
+    }
+
+    /**
+     * Most of an item one slot holds - its definition's stackSize (1 for gear)
+     */
+    getStackSize(item) {
+        const definition = this.getDefinition(item);
+        return definition ? definition.stackSize : 1;
+    }
+
+    canStack(a, b) {
+        return !!a && !!b && a.id === b.id && this.getStackSize(a) > 1;
+    }
+
+    /**
+     * How many of an item still fit - stack space plus empty slots
+     */
+    getRoomFor(item) {
+        const stackSize = this.getStackSize(item);
+        return this.items.reduce((room, stack) => {
+            if (!stack) return room + stackSize;
+            return this.canStack(stack, item) ? room + Math.max(0, stackSize - stack.quantity) : room;
+        }, 0);
+    }
+
+    /**
+     * Whether addItem would take the whole of an item
+     */
+    canAddItem(item) {
+        const validatedItem = this.validateItem(item);
+        return !!validatedItem && validatedItem.quantity <= this.getRoomFor(validatedItem);
+    }
+
+    /**
+     * Put a validated item in the grid - it tops up matching stacks first and
+     * the rest fills empty slots. Callers check there is room.
+     */
+    placeItem(item) {
+        const stackSize = this.getStackSize(item);
+        let remaining = item.quantity;
+        this.items.forEach(stack => {
+            if (remaining > 0 && this.canStack(stack, item)) {
+                const moved = Math.min(remaining, stackSize - stack.quantity);
+                if (moved > 0) {
+                    stack.quantity += moved;
+                    remaining -= moved;
+                }
+            }
+        });
+        while (remaining > 0) {
+            const count = Math.min(remaining, stackSize);
+            this.items[this.items.indexOf(null)] = { ...item, quantity: count };
+            remaining -= count;
+        }
+    }
+
+    /**
+     * Move whatever is in one slot to another - item and equipment slots alike.
+     * Matching stacks merge, gear only goes in slots for its type, and anything
+     * already in the target swaps back. Returns true if something moved.
+     */
+    moveItem(from, to) {
+        if (!this.isSlotRef(from) || !this.isSlotRef(to) || from === to) return false;
+        
+        const item = this.getItemAt(from);
+        const target = this.getItemAt(to);
+        if (!item) return false;
+        
+        const fromEquipment = typeof from === 'string';
+        const toEquipment = typeof to === 'string';
+        
+        if (!fromEquipment && toEquipment) {
+            return this.equip(from, to);
+        }
+        
+        if (fromEquipment) {
+            // Into another equipment slot (ring1 <-> ring2), or back into the grid
+            if ((toEquipment && !this.canEquip(item, to)) || (target && !this.canEquip(target, from))) {
+                console.warn(`⚠️ ${this.getDefinition(item).name} can't be swapped there`);
+                return false;
+            }
+            if (toEquipment) {
+                this.equipment[to] = item;
+            } else {
+                this.items[to] = item;
+            }
+            this.equipment[from] = target;
+            this.onEquipmentChanged();
+            return true;
+        }
+        
+        // Grid to grid - top up a matching stack, otherwise swap
+        const space = this.canStack(item, target) ? this.getStackSize(target) - target.quantity : 0;
+        if (space > 0) {
+            const moved = Math.min(space, item.quantity);
+            target.quantity += moved;
+            item.quantity -= moved;
+            if (item.quantity <= 0) {
+                this.items[from] = null;
+            }
+        } else {
+            this.items[to] = item;
+            this.items[from] = target;
+        }
+        
+        this.updateItemsDisplay();
+        return true;
+    }
+
+    /**
+     * Split a stack in half into the first empty slot
+     */
+    splitStack(index) {
+        const item = this.items[index];
+        if (!item || item.quantity < 2) return false;
+        
+        const emptyIndex = this.items.findIndex(slot => slot === null);
+        if (emptyIndex === -1) {
+            if (this.game && this.game.ui) {
+                this.game.ui.showMessage('Your inventory is full');
+            }
+            return false;
+        }
+        
+        const half = Math.floor(item.quantity / 2);
+        item.quantity -= half;
+        this.items[emptyIndex] = { ...item, quantity: half };
+        
+        this.updateItemsDisplay();
+        return true;
+    }
+
+    /**
+     * Merge matching stacks and pack the grid from the first slot, grouped by type then name
+     */
+    sortItems() {
+        const carried = this.items.filter(item => item !== null).sort((a, b) => {
+            const first = this.getDefinition(a);
+            const second = this.getDefinition(b);
+            return first.type.localeCompare(second.type) || first.name.localeCompare(second.name);
+        });
+        
+        this.items = this.items.map(() => null);
+        carried.forEach(item => this.placeItem(item));
+        
+        this.updateItemsDisplay();
+    }
+
+    /**
+     * Summed `stats` of everything equipped (attack, defense, luck...) - broken gear counts for nothing
+     */
+    getEquipmentStats() {
+        const totals = {};
+        Object.values(this.equipment).forEach(item => {
+            if (!item || item.durability === 0) return;
+            Object.entries(this.getDefinition(item).stats).forEach(([stat, value]) => {
+                totals[stat] = (totals[stat] || 0) + value;
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Carried and equipped items for saves
+     */
+    getState() {
+        return {
+            items: this.items.map(item => item ? { ...item } : null),
+            equipment: Object.fromEntries(Object.entries(this.equipment).map(([slot, item]) => [slot, item ? { ...item } : null]))
+        };
+    }
+
+    /**
+     * Replace the inventory with a saved one - every item is re-validated and
+     * gear that doesn't fit its slot is dropped
+     */
+    restoreState(state) {
+        if (!SecurityUtils.validateInventoryState(state)) {
+            console.error('❌ Inventory: Invalid saved inventory ignored');
+            return false;
+        }
+        
+        this.items = this.items.map((_, index) => state.items[index] ? this.validateItem(state.items[index]) : null);
+        Object.keys(this.equipment).forEach(slot => {
+            const item = state.equipment[slot] ? this.validateItem(state.equipment[slot]) : null;
+            this.equipment[slot] = item && this.canEquip(item, slot) ? { ...item, quantity: 1 } : null;
+        });
+        
+        this.onEquipmentChanged();
+        return true;
+    }
+
     getStyles() {
         return `
             .inventory-container {
@@ -531,6 +1056,37 @@ export class Inventory {
                 text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);
             }
 
+            .items-header {
+                position: relative;
+            }
+
+            .inventory-sort {
+                position: absolute;
+                top: 0;
+                right: 0;
+                background: rgba(139, 90, 43, 0.5);
+                border: 2px solid #d4af37;
+                border-radius: 6px;
+                color: #d4af37;
+                font-family: inherit;
+                font-size: 0.8rem;
+                padding: 4px 10px;
+                cursor: pointer;
+            }
+
+            .inventory-sort:hover {
+                background: rgba(139, 90, 43, 0.8);
+            }
+
+            .inventory-drag-ghost {
+                position: fixed;
+                z-index: 100002;
+                font-size: 2rem;
+                pointer-events: none;
+                transform: translate(-50%, -50%);
+                filter: drop-shadow(2px 2px 4px rgba(0, 0, 0, 0.8));
+            }
+
             .equipment-grid {
                 display: flex;
                 flex-direction: column;
@@ -553,6 +1109,7 @@ export class Inventory {
                 cursor: pointer;
                 transition: all 0.3s ease;
                 position: relative;
+                touch-action: none;
             }
 
             .equipment-slot:hover {
@@ -566,6 +1123,11 @@ export class Inventory {
                 opacity: 0.6;
             }
 
+            .equipment-slot.has-item {
+                border-color: #d4af37;
+                box-shadow: inset 0 0 10px rgba(212, 175, 55, 0.3);
+            }
+
             .slot-icon {
                 font-size: 2rem;
                 margin-bottom: 5px;
@@ -639,6 +1201,7 @@ export class Inventory {
                 transition: all 0.3s ease;
                 position: relative;
                 padding: 5px;
+                touch-action: none;
             }
 
             .item-slot:hover {
@@ -656,6 +1219,23 @@ export class Inventory {
                 opacity: 1;
             }
 
+            /* Rarity borders - common keeps the default */
+            .item-slot[data-rarity="uncommon"], .equipment-slot[data-rarity="uncommon"] {
+                border-color: #4ade80;
+            }
+
+            .item-slot[data-rarity="rare"], .equipment-slot[data-rarity="rare"] {
+                border-color: #60a5fa;
+            }
+
+            .item-slot[data-rarity="epic"], .equipment-slot[data-rarity="epic"] {
+                border-color: #c084fc;
+            }
+
+            .item-slot[data-rarity="legendary"], .equipment-slot[data-rarity="legendary"] {
+                border-color: #fb923c;
+            }
+
             .item-slot.selected {
                 border-color: #4ade80;
                 box-shadow: 0 0 15px rgba(74, 222, 128, 0.6);
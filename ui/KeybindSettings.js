@@ -272,8 +272,8 @@ export class KeybindSettings {
             <div class="keybind-category">
                 <h4>🖥️ User Interface</h4>
                 <div class="keybind-grid">
-                    ${this.renderKeybindItem('quests', 'Quest Log (COMING SOON!)', this.keybinds.quests, true)}
-                    ${this.renderKeybindItem('character', 'Character Panel (COMING SOON!)', this.keybinds.character, true)}
+                    ${this.renderKeybindItem('quests', 'Quest Log', this.keybinds.quests)}
+                    ${this.renderKeybindItem('character', 'Character Panel', this.keybinds.character)}
                     ${this.renderKeybindItem('map', 'World Map (COMING SOON!)', this.keybinds.map, true)}
                     ${this.renderKeybindItem('chat', 'Chat/Console (COMING SOON!)', this.keybinds.chat, true)}
                 </div>
@@ -0,0 +1,242 @@
+/**
+ * Quest Log for Runes of Tir na nÓg
+ * Panel listing the player's quests and objective progress, opened with the
+ * `quests` keybind (J). Reads everything from the game's QuestManager.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+export class QuestLog {
+    static STATUS_LABELS = {
+        active: 'In progress',
+        complete: 'Ready to turn in',
+        turned_in: 'Completed'
+    };
+
+    constructor(game) {
+        this.game = game;
+        this.isVisible = false;
+        this.container = null;
+
+        this.createUI();
+
+        // Keep the panel current while it is open
+        this.game.questManager.onChange(() => {
+            if (this.isVisible) {
+                this.render();
+            }
+        });
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.className = 'quest-log-container';
+        this.container.style.display = 'none';
+
+        this.container.innerHTML = `
+            <div class="quest-log-panel">
+                <div class="quest-log-header">
+                    <h2 class="quest-log-title">📜 Quest Log</h2>
+                    <button class="quest-log-close">✖</button>
+                </div>
+                <div class="quest-log-list"></div>
+            </div>
+        `;
+
+        this.container.querySelector('.quest-log-close').addEventListener('click', () => this.hide());
+        document.body.appendChild(this.container);
+    }
+
+    render() {
+        const list = this.container.querySelector('.quest-log-list');
+        const quests = this.game.questManager.getQuestLog();
+
+        if (quests.length === 0) {
+            list.innerHTML = '<div class="quest-log-empty">No quests yet. Quest givers around town may need your help.</div>';
+            return;
+        }
+
+        // ✅ SECURITY: Quest text comes from NPC data - sanitize everything
+        list.innerHTML = quests.map(quest => `
+            <div class="quest-entry quest-${quest.status}">
+                <div class="quest-entry-title">
+                    ${SecurityUtils.sanitizeHTML(quest.title)}
+                    <span class="quest-entry-status">${QuestLog.STATUS_LABELS[quest.status]}</span>
+                </div>
+                <div class="quest-entry-description">${SecurityUtils.sanitizeHTML(quest.description || '')}</div>
+                <ul class="quest-objectives">
+                    ${quest.objectives.map(objective => `
+                        <li class="${objective.current >= objective.count ? 'objective-done' : ''}">
+                            ${SecurityUtils.sanitizeHTML(QuestLog.describeObjective(objective))}
+                            (${objective.current}/${objective.count})
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Readable objective text - an objective's own `description` wins
+     */
+    static describeObjective(objective) {
+        if (objective.description) {
+            return objective.description;
+        }
+
+        const target = String(objective.target || '').replace(/_/g, ' ');
+        switch (objective.type) {
+            case 'kill':
+                return `Defeat ${target}`;
+            case 'collect':
+                return `Collect ${target}`;
+            case 'talk':
+                return `Talk to ${target}`;
+            case 'reach':
+                return `Reach (${objective.x}, ${objective.y})`;
+            default:
+                return objective.type;
+        }
+    }
+
+    show() {
+        this.render();
+        this.container.style.display = 'flex';
+        this.isVisible = true;
+        console.log('Quest log opened');
+
+        // Pause the game while reading, like the inventory
+        this.game.pause();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+        this.isVisible = false;
+        console.log('Quest log closed');
+
+        this.game.resume();
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    getStyles() {
+        return `
+            .quest-log-container {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100vw;
+                height: 100vh;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 100000;
+                font-family: 'Courier New', monospace;
+            }
+
+            .quest-log-panel {
+                background: linear-gradient(135deg, rgba(26, 26, 46, 0.98), rgba(15, 15, 30, 0.98));
+                border: 3px solid #d4af37;
+                border-radius: 15px;
+                box-shadow: 0 0 40px rgba(212, 175, 55, 0.6);
+                max-width: 600px;
+                width: 90%;
+                max-height: 80vh;
+                overflow: hidden;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .quest-log-header {
+                background: linear-gradient(135deg, #8b5a2b, #654321);
+                padding: 15px 20px;
+                border-bottom: 2px solid #d4af37;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .quest-log-title {
+                margin: 0;
+                color: #d4af37;
+                font-size: 1.5rem;
+                text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+            }
+
+            .quest-log-close {
+                background: rgba(139, 90, 43, 0.5);
+                border: 2px solid #d4af37;
+                color: #d4af37;
+                font-size: 1.2rem;
+                width: 36px;
+                height: 36px;
+                border-radius: 8px;
+                cursor: pointer;
+            }
+
+            .quest-log-list {
+                padding: 15px 20px;
+                overflow-y: auto;
+            }
+
+            .quest-log-empty {
+                color: #aaa;
+                text-align: center;
+                padding: 30px 0;
+            }
+
+            .quest-entry {
+                border: 1px solid rgba(212, 175, 55, 0.4);
+                border-radius: 8px;
+                padding: 10px 14px;
+                margin-bottom: 12px;
+                color: #e0e0e0;
+            }
+
+            .quest-entry.quest-turned_in {
+                opacity: 0.55;
+            }
+
+            .quest-entry-title {
+                color: #ffd700;
+                font-weight: bold;
+                display: flex;
+                justify-content: space-between;
+                gap: 10px;
+            }
+
+            .quest-entry-status {
+                font-size: 0.8rem;
+                color: #d4af37;
+            }
+
+            .quest-complete .quest-entry-status {
+                color: #7cfc00;
+            }
+
+            .quest-entry-description {
+                font-size: 0.85rem;
+                margin: 6px 0;
+                color: #c0c0c0;
+            }
+
+            .quest-objectives {
+                margin: 0;
+                padding-left: 20px;
+                font-size: 0.85rem;
+            }
+
+            .quest-objectives .objective-done {
+                color: #7cfc00;
+                text-decoration: line-through;
+            }
+        `;
+    }
+}
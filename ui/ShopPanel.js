@@ -0,0 +1,261 @@
+/**
+ * Shop Panel for Runes of Tir na nÓg
+ * Trading window opened by talking to a merchant: the merchant's stock on one
+ * side, the player's inventory with sell prices on the other. Trades go
+ * through the merchant's Shop, which validates them.
+ */
+
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { ItemDatabase } from '../items/ItemDatabase.js';
+
+export class ShopPanel {
+    constructor(game) {
+        this.game = game;
+        this.isVisible = false;
+        this.container = null;
+        this.shop = null;
+
+        this.createUI();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.className = 'shop-container';
+        this.container.style.display = 'none';
+
+        this.container.innerHTML = `
+            <div class="shop-panel">
+                <div class="shop-header">
+                    <h2 class="shop-title"></h2>
+                    <span class="shop-gold"></span>
+                    <button class="shop-close">✖</button>
+                </div>
+                <div class="shop-columns">
+                    <div class="shop-column">
+                        <h3 class="shop-column-title">For Sale</h3>
+                        <div class="shop-list shop-stock"></div>
+                    </div>
+                    <div class="shop-column">
+                        <h3 class="shop-column-title">Your Items</h3>
+                        <div class="shop-list shop-inventory"></div>
+                    </div>
+                </div>
+                <div class="shop-message"></div>
+            </div>
+        `;
+
+        this.container.querySelector('.shop-close').addEventListener('click', () => this.hide());
+
+        // One listener for every buy and sell button
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('.shop-trade');
+            if (!button || button.disabled) return;
+
+            const index = parseInt(button.dataset.index);
+            const result = button.dataset.action === 'buy' ?
+                this.shop.buy(index, this.game.player, this.game.inventory) :
+                this.shop.sell(index, this.game.player, this.game.inventory);
+            this.render(result.message);
+        });
+
+        document.body.appendChild(this.container);
+    }
+
+    render(message = '') {
+        const player = this.game.player;
+
+        this.container.querySelector('.shop-title').textContent = `🛒 ${this.shop.merchantName}`;
+        this.container.querySelector('.shop-gold').textContent = `💰 ${player.gold.toLocaleString()} Gold`;
+        this.container.querySelector('.shop-message').textContent = message;
+
+        // ✅ SECURITY: Listings come from NPC data and items from the inventory - sanitize everything
+        const stock = this.shop.listings.map((listing, index) => {
+            const soldOut = listing.stock !== undefined && listing.stock <= 0;
+            const stockLabel = listing.stock === undefined ? '' : `(${listing.stock} left)`;
+            return `
+                <div class="shop-row" title="${SecurityUtils.sanitizeHTML(listing.item.description)}">
+                    <span class="shop-item-icon">${SecurityUtils.sanitizeHTML(listing.item.icon)}</span>
+                    <span class="shop-item-name">${SecurityUtils.sanitizeHTML(listing.item.name)} ${stockLabel}</span>
+                    <span class="shop-item-price">${listing.price}g</span>
+                    <button class="shop-trade" data-action="buy" data-index="${index}"
+                        ${soldOut || player.gold < listing.price ? 'disabled' : ''}>${soldOut ? 'Sold out' : 'Buy'}</button>
+                </div>
+            `;
+        });
+        this.container.querySelector('.shop-stock').innerHTML = stock.join('') ||
+            '<div class="shop-empty">Nothing for sale right now.</div>';
+
+        const items = [];
+        this.game.inventory.items.forEach((item, index) => {
+            if (!item) return;
+            const definition = ItemDatabase.get(item.id);
+            const price = this.shop.getSellPrice(item);
+            const quantity = item.quantity || 1;
+            items.push(`
+                <div class="shop-row">
+                    <span class="shop-item-icon">${SecurityUtils.sanitizeHTML(definition.icon)}</span>
+                    <span class="shop-item-name">${SecurityUtils.sanitizeHTML(definition.name)}${quantity > 1 ? ` x${quantity}` : ''}</span>
+                    <span class="shop-item-price">${price ? `${price * quantity}g` : '-'}</span>
+                    <button class="shop-trade" data-action="sell" data-index="${index}" ${price ? '' : 'disabled'}>Sell</button>
+                </div>
+            `);
+        });
+        this.container.querySelector('.shop-inventory').innerHTML = items.join('') ||
+            '<div class="shop-empty">You have nothing to sell.</div>';
+    }
+
+    /**
+     * Open the trading window for a merchant's shop
+     */
+    show(shop) {
+        this.shop = shop;
+        this.render();
+        this.container.style.display = 'flex';
+        this.isVisible = true;
+        console.log(`Shop opened: ${shop.merchantName}`);
+
+        // Pause the game while trading, like the inventory
+        this.game.pause();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+        this.isVisible = false;
+        this.shop = null;
+        console.log('Shop closed');
+
+        this.game.resume();
+    }
+
+    getStyles() {
+        return `
+            .shop-container {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100vw;
+                height: 100vh;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 100000;
+                font-family: 'Courier New', monospace;
+            }
+
+            .shop-panel {
+                background: linear-gradient(135deg, rgba(26, 26, 46, 0.98), rgba(15, 15, 30, 0.98));
+                border: 3px solid #d4af37;
+                border-radius: 15px;
+                box-shadow: 0 0 40px rgba(212, 175, 55, 0.6);
+                max-width: 800px;
+                width: 95%;
+                max-height: 85vh;
+                overflow: hidden;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .shop-header {
+                background: linear-gradient(135deg, #8b5a2b, #654321);
+                padding: 15px 20px;
+                border-bottom: 2px solid #d4af37;
+                display: flex;
+                align-items: center;
+                gap: 15px;
+            }
+
+            .shop-title {
+                margin: 0;
+                flex: 1;
+                color: #d4af37;
+                font-size: 1.5rem;
+                text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+            }
+
+            .shop-gold {
+                color: #ffd700;
+                font-weight: bold;
+            }
+
+            .shop-close {
+                background: rgba(139, 90, 43, 0.5);
+                border: 2px solid #d4af37;
+                color: #d4af37;
+                font-size: 1.2rem;
+                width: 36px;
+                height: 36px;
+                border-radius: 8px;
+                cursor: pointer;
+            }
+
+            .shop-columns {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 15px;
+                padding: 15px 20px;
+                overflow-y: auto;
+            }
+
+            .shop-column {
+                flex: 1;
+                min-width: 250px;
+            }
+
+            .shop-column-title {
+                color: #d4af37;
+                margin: 0 0 10px 0;
+                font-size: 1rem;
+            }
+
+            .shop-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 6px 8px;
+                margin-bottom: 6px;
+                border: 1px solid rgba(212, 175, 55, 0.4);
+                border-radius: 8px;
+                color: #e0e0e0;
+                font-size: 0.9rem;
+            }
+
+            .shop-item-name {
+                flex: 1;
+            }
+
+            .shop-item-price {
+                color: #ffd700;
+            }
+
+            .shop-trade {
+                background: rgba(139, 90, 43, 0.6);
+                border: 1px solid #d4af37;
+                border-radius: 6px;
+                color: #ffd700;
+                font-family: inherit;
+                padding: 6px 10px;
+                min-width: 70px;
+                cursor: pointer;
+                touch-action: manipulation;
+            }
+
+            .shop-trade:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+
+            .shop-empty {
+                color: #aaa;
+                padding: 10px 0;
+            }
+
+            .shop-message {
+                min-height: 1.2em;
+                padding: 0 20px 15px 20px;
+                color: #7cfc00;
+                text-align: center;
+            }
+        `;
+    }
+}
@@ -113,6 +113,7 @@ export class VideoSettings {
                 this.renderDistanceSlider.addEventListener('input', () => {
                     this.renderDistance = parseInt(this.renderDistanceSlider.value);
                     this.renderDistanceValue.textContent = `${this.renderDistance}x${this.renderDistance} tiles`;
+                    this.syncWithGame();
                 });
             }
 
@@ -121,6 +122,7 @@ export class VideoSettings {
                 this.fogSlider.addEventListener('input', () => {
                     this.fogIntensity = parseInt(this.fogSlider.value);
                     this.fogValue.textContent = `${this.fogIntensity}%`;
+                    this.syncWithGame();
                 });
             }
 
@@ -153,6 +155,10 @@ export class VideoSettings {
         }
     }
 
+    getFogIntensity() {
+        return this.fogIntensity;
+    }
+
     getShowGrid() {
         return this.showGrid;
     }
@@ -10,6 +10,9 @@
  * @version 1.0.0
  */
 
+import { TileRegistry } from '../world/TileRegistry.js';
+import { BehaviorMachine } from '../npc/BehaviorMachine.js';
+
 export class SecurityUtils {
     /**
      * HTML Sanitization
@@ -169,6 +172,65 @@ export class SecurityUtils {
                 }
             }
             
+            // Gold and experience (saves from before quests have neither)
+            for (const field of ['gold', 'experience']) {
+                const value = saveData.playerState[field];
+                if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 1000000000)) {
+                    console.error(`Invalid player ${field}`);
+                    return false;
+                }
+            }
+            
+            // Bound checkpoint (saves from before death and respawn have none)
+            const checkpoint = saveData.playerState.checkpoint;
+            if (checkpoint !== undefined && checkpoint !== null && !this.validateCheckpoint(checkpoint)) {
+                console.error('Invalid player checkpoint');
+                return false;
+            }
+            
+            // Current map (saves from before multi-map travel have none)
+            if (saveData.currentMap !== undefined && saveData.currentMap !== null &&
+                !this.validateMapReference(saveData.currentMap)) {
+                console.error('Invalid current map in save');
+                return false;
+            }
+            
+            // Spawner state (saves from before spawners have none)
+            if (saveData.spawners !== undefined && !this.validateSpawnerState(saveData.spawners)) {
+                console.error('Invalid spawner state in save');
+                return false;
+            }
+            
+            // Quest progress (saves from before quests have none)
+            if (saveData.quests !== undefined && !this.validateQuestState(saveData.quests)) {
+                console.error('Invalid quest state in save');
+                return false;
+            }
+            
+            // World clock (saves from before the clock have none)
+            if (saveData.clock !== undefined && !this.validateClockState(saveData.clock)) {
+                console.error('Invalid world clock in save');
+                return false;
+            }
+            
+            // Faction relationships (saves from before factions have none)
+            if (saveData.factions !== undefined && !this.validateFactionState(saveData.factions)) {
+                console.error('Invalid faction relationships in save');
+                return false;
+            }
+            
+            // Carried and equipped items (saves from before equipment have none)
+            if (saveData.inventory !== undefined && !this.validateInventoryState(saveData.inventory)) {
+                console.error('Invalid inventory in save');
+                return false;
+            }
+            
+            // Dialogue flags (saves from before dialogue trees have none)
+            if (saveData.dialogueFlags !== undefined && !this.validateDialogueFlags(saveData.dialogueFlags)) {
+                console.error('Invalid dialogue flags in save');
+                return false;
+            }
+            
             return true;
             
         } catch (error) {
@@ -230,7 +292,7 @@ export class SecurityUtils {
     static validateWorldConfig(config) {
         try {
             // Validate worldSize
-            const validSizes = ['small', 'medium', 'large'];
+            const validSizes = ['small', 'medium', 'large', 'huge'];
             if (!validSizes.includes(config.worldSize)) {
                 console.error('Invalid world size');
                 return false;
@@ -327,7 +389,7 @@ export class SecurityUtils {
                 }
                 
                 // Validate each tile
-                const validTypes = ['grass', 'water', 'wall', 'cave', 'mana'];
+                const validTypes = TileRegistry.getNames();
                 for (const tile of worldData.tiles) {
                     if (!tile || typeof tile !== 'object') {
                         return false;
@@ -370,8 +432,22 @@ export class SecurityUtils {
                         }
                     }
                 }
-            } else {
-                console.error('Missing tiles array or mapData array');
+            } else if (!Array.isArray(worldData.layers) || worldData.layers.length === 0) {
+                console.error('Missing tiles array, mapData array or layers');
+                return false;
+            }
+            
+            // Validate editor layers and placed objects if present
+            if (worldData.layers !== undefined &&
+                !this.validateWorldLayers(worldData.layers, worldWidth, worldHeight)) {
+                return false;
+            }
+            
+            if (worldData.objects !== undefined && !this.validateWorldObjects(worldData.objects)) {
+                return false;
+            }
+            
+            if (worldData.spawners !== undefined && !this.validateSpawners(worldData.spawners)) {
                 return false;
             }
             
@@ -390,6 +466,1068 @@ export class SecurityUtils {
         }
     }
 
+    /**
+     * Validate editor tile layers
+     * 
+     * @param {Array} layers - Layer objects with id, data, visible and opacity
+     * @param {number} worldWidth - World width in tiles
+     * @param {number} worldHeight - World height in tiles
+     * @returns {boolean} True if valid
+     */
+    static validateWorldLayers(layers, worldWidth, worldHeight) {
+        try {
+            if (!Array.isArray(layers)) {
+                console.error('Layers must be an array');
+                return false;
+            }
+            
+            const MAX_LAYERS = 16;
+            if (layers.length > MAX_LAYERS) {
+                console.error(`Too many layers: ${layers.length}`);
+                return false;
+            }
+            
+            const ids = new Set();
+            for (const layer of layers) {
+                if (!layer || typeof layer !== 'object') {
+                    return false;
+                }
+                
+                if (typeof layer.id !== 'string' || layer.id.length === 0 || layer.id.length > 100 || ids.has(layer.id)) {
+                    console.error(`Invalid or duplicate layer id: ${layer.id}`);
+                    return false;
+                }
+                ids.add(layer.id);
+                
+                if (layer.visible !== undefined && typeof layer.visible !== 'boolean') {
+                    console.error(`Invalid visibility for layer ${layer.id}`);
+                    return false;
+                }
+                
+                if (layer.opacity !== undefined &&
+                    (!Number.isFinite(layer.opacity) || layer.opacity < 0 || layer.opacity > 100)) {
+                    console.error(`Invalid opacity for layer ${layer.id}: ${layer.opacity}`);
+                    return false;
+                }
+                
+                // Layer data matches the mapData shape: rows of tile ids
+                if (!Array.isArray(layer.data) || layer.data.length !== worldHeight) {
+                    console.error(`Layer ${layer.id} height does not match world height`);
+                    return false;
+                }
+                
+                for (let y = 0; y < layer.data.length; y++) {
+                    const row = layer.data[y];
+                    if (!Array.isArray(row) || row.length !== worldWidth) {
+                        console.error(`Layer ${layer.id} row ${y} is invalid`);
+                        return false;
+                    }
+                    
+                    for (let x = 0; x < row.length; x++) {
+                        if (typeof row[x] !== 'number' || !Number.isFinite(row[x]) || row[x] < 0) {
+                            console.error(`Invalid tile value in layer ${layer.id} at ${x},${y}: ${row[x]}`);
+                            return false;
+                        }
+                    }
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Layer validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate placed world objects
+     * 
+     * @param {Array} objects - Object entries with position, size and optional image
+     * @returns {boolean} True if valid
+     */
+    static validateWorldObjects(objects) {
+        try {
+            if (!Array.isArray(objects)) {
+                console.error('Objects must be an array');
+                return false;
+            }
+            
+            const MAX_OBJECTS = 10000;
+            if (objects.length > MAX_OBJECTS) {
+                console.error(`Too many objects: ${objects.length}`);
+                return false;
+            }
+            
+            for (const object of objects) {
+                if (!object || typeof object !== 'object') {
+                    return false;
+                }
+                
+                if (!Number.isFinite(object.x) || !Number.isFinite(object.y) || object.x < 0 || object.y < 0) {
+                    console.error(`Invalid object position: ${object.x}, ${object.y}`);
+                    return false;
+                }
+                
+                for (const dimension of ['width', 'height']) {
+                    const value = object[dimension];
+                    if (value !== undefined && (!Number.isFinite(value) || value <= 0 || value > 64)) {
+                        console.error(`Invalid object ${dimension}: ${value}`);
+                        return false;
+                    }
+                }
+                
+                for (const field of ['id', 'type', 'name', 'color', 'layerId']) {
+                    const value = object[field];
+                    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 100)) {
+                        console.error(`Invalid object ${field}`);
+                        return false;
+                    }
+                }
+                
+                // Only allow embedded images or local asset paths - no remote or script URLs
+                const image = object.image || object.spriteData;
+                if (image !== undefined && image !== null) {
+                    const isDataImage = typeof image === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,/.test(image);
+                    const isAssetPath = typeof image === 'string' && /^assets\/[a-zA-Z0-9_\-\/]+\.(png|jpg|jpeg|gif|webp)$/.test(image);
+                    if (!isDataImage && !isAssetPath) {
+                        console.error('Invalid object image source');
+                        return false;
+                    }
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Object validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate an NPC definition (assets/npc JSON, or a world NPC entry resolved
+     * against one) - only known fields with sane values are accepted
+     * 
+     * @param {Object} definition - NPC fields, keyed by definition id
+     * @returns {boolean} True if valid
+     */
+    static validateNPCDefinition(definition) {
+        try {
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+                console.error('NPC definition must be an object');
+                return false;
+            }
+            
+            if (typeof definition.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(definition.id)) {
+                console.error(`Invalid NPC definition id: ${definition.id}`);
+                return false;
+            }
+            
+            // Field schema: text fields with max length, numbers with [min, max]
+            const TEXT_FIELDS = { id: 50, name: 50, type: 30, description: 500, icon: 10, storageType: 30, version: 20 };
+            const NUMBER_FIELDS = {
+                x: [0, 100000], y: [0, 100000], direction: [0, 7],
+                width: [1, 128], height: [1, 128], scale: [0.1, 10],
+                speed: [0, 10], acceleration: [0, 1], deceleration: [0, 1],
+                health: [1, 100000], maxHealth: [1, 100000], level: [1, 1000], experience: [0, 100000],
+                wanderRadius: [0, 5000], detectionRadius: [0, 5000], attackRange: [0, 1000],
+                attackDamage: [0, 10000], attackCooldown: [0, 60000], actionCooldown: [0, 60000],
+                reactionTime: [0, 60000], repathInterval: [0, 60000], animationSpeed: [0, 10],
+                sellRate: [0, 1]
+            };
+            const BOOLEAN_FIELDS = ['interactable', 'isVisible', 'isActive', 'isCustom', 'usePlayerModel'];
+            
+            for (const field of Object.keys(definition)) {
+                const value = definition[field];
+                
+                if (Object.hasOwn(TEXT_FIELDS, field)) {
+                    if (typeof value !== 'string' || value.length > TEXT_FIELDS[field]) {
+                        console.error(`Invalid NPC ${field}`);
+                        return false;
+                    }
+                } else if (Object.hasOwn(NUMBER_FIELDS, field)) {
+                    const [min, max] = NUMBER_FIELDS[field];
+                    if (!Number.isFinite(value) || value < min || value > max) {
+                        console.error(`Invalid NPC ${field}: ${value}`);
+                        return false;
+                    }
+                } else if (BOOLEAN_FIELDS.includes(field)) {
+                    if (typeof value !== 'boolean') {
+                        console.error(`Invalid NPC ${field}`);
+                        return false;
+                    }
+                } else if (!this.validateNPCField(field, value)) {
+                    return false;
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('NPC definition validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate one of the structured NPC definition fields
+     * 
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {boolean} True if valid
+     */
+    static validateNPCField(field, value) {
+        switch (field) {
+            case 'color':
+                if (typeof value !== 'string' || !/^#[0-9a-f]{3,8}$/i.test(value)) {
+                    console.error(`Invalid NPC color: ${value}`);
+                    return false;
+                }
+                return true;
+                
+            case 'units':
+                if (value !== 'tiles' && value !== 'pixels') {
+                    console.error(`Invalid NPC units: ${value}`);
+                    return false;
+                }
+                return true;
+                
+            case 'behavior':
+                if (!Object.hasOwn(BehaviorMachine.ACTIONS, value)) {
+                    console.error(`Unknown NPC behavior: ${value}`);
+                    return false;
+                }
+                return true;
+                
+            case 'ai':
+                return this.validateBehaviorDefinition(value);
+            
+            case 'lootTable':
+                if (typeof value !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(value)) {
+                    console.error(`Invalid NPC loot table: ${value}`);
+                    return false;
+                }
+                return true;
+            
+            case 'dialogue':
+                if (!Array.isArray(value) || value.length > 100 ||
+                    !value.every(line => typeof line === 'string' && line.length <= 500)) {
+                    console.error('Invalid NPC dialogue');
+                    return false;
+                }
+                return true;
+                
+            case 'dialogueTree':
+                return this.validateDialogueTree(value);
+                
+            case 'schedule':
+                return this.validateSchedule(value);
+                
+            case 'faction':
+                if (typeof value !== 'string' || !/^[a-z0-9-_]{1,30}$/i.test(value)) {
+                    console.error('Invalid NPC faction');
+                    return false;
+                }
+                return true;
+                
+            case 'patrolPoints':
+                if (!Array.isArray(value) || value.length > 50 ||
+                    !value.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+                    console.error('Invalid NPC patrol points');
+                    return false;
+                }
+                return true;
+                
+            case 'shopItems':
+                return this.validateShopItems(value);
+                
+            case 'quests':
+                if (!Array.isArray(value) || value.length > 100 ||
+                    !value.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+                    console.error(`Invalid NPC ${field}`);
+                    return false;
+                }
+                return true;
+                
+            case 'customImage':
+            case 'sprite': {
+                // Embedded images or local asset paths only - no remote or script URLs
+                const isDataImage = typeof value === 'string' && /^data:image\/(png|jpeg|gif|webp);base64,/.test(value);
+                const isAssetPath = typeof value === 'string' && /^assets\/[a-zA-Z0-9_\-\/]+\.(png|jpg|jpeg|gif|webp)$/.test(value);
+                if (value !== null && !isDataImage && !isAssetPath) {
+                    console.error(`Invalid NPC ${field} source`);
+                    return false;
+                }
+                return true;
+            }
+                
+            default:
+                console.error(`Unknown NPC definition field: ${field}`);
+                return false;
+        }
+    }
+
+    /**
+     * Validate an NPC AI definition (states, actions, transitions and conditions)
+     * Definitions can come from world files, so only known actions and
+     * conditions are accepted and parent chains must not loop
+     * 
+     * @param {Object} ai - { initial, states: { name: { action, params, parent, transitions } } }
+     * @returns {boolean} True if valid
+     */
+    static validateBehaviorDefinition(ai) {
+        try {
+            if (!ai || typeof ai !== 'object' || !ai.states || typeof ai.states !== 'object') {
+                console.error('AI definition must have a states object');
+                return false;
+            }
+            
+            const stateNames = Object.keys(ai.states);
+            const MAX_STATES = 32;
+            const MAX_TRANSITIONS = 16;
+            if (stateNames.length === 0 || stateNames.length > MAX_STATES) {
+                console.error(`Invalid AI state count: ${stateNames.length}`);
+                return false;
+            }
+            
+            if (typeof ai.initial !== 'string' || !Object.hasOwn(ai.states, ai.initial)) {
+                console.error(`Unknown initial AI state: ${ai.initial}`);
+                return false;
+            }
+            
+            for (const name of stateNames) {
+                const state = ai.states[name];
+                if (!/^[a-zA-Z0-9_-]{1,50}$/.test(name) || !state || typeof state !== 'object') {
+                    console.error(`Invalid AI state: ${name}`);
+                    return false;
+                }
+                
+                if (!Object.hasOwn(BehaviorMachine.ACTIONS, state.action)) {
+                    console.error(`Unknown AI action in state ${name}: ${state.action}`);
+                    return false;
+                }
+                
+                if (state.params !== undefined && (!state.params || typeof state.params !== 'object' || Array.isArray(state.params))) {
+                    console.error(`Invalid AI params in state ${name}`);
+                    return false;
+                }
+                
+                if (state.parent !== undefined && !Object.hasOwn(ai.states, state.parent)) {
+                    console.error(`Unknown parent state for ${name}: ${state.parent}`);
+                    return false;
+                }
+                
+                // A parent chain longer than the state count must loop
+                let depth = 0;
+                for (let parent = state.parent; parent !== undefined; parent = ai.states[parent].parent) {
+                    if (++depth > stateNames.length) {
+                        console.error(`AI state parents loop at ${name}`);
+                        return false;
+                    }
+                }
+                
+                const transitions = state.transitions || [];
+                if (!Array.isArray(transitions) || transitions.length > MAX_TRANSITIONS) {
+                    console.error(`Invalid AI transitions in state ${name}`);
+                    return false;
+                }
+                
+                for (const transition of transitions) {
+                    if (!transition || !Object.hasOwn(ai.states, transition.to)) {
+                        console.error(`Invalid AI transition target in state ${name}`);
+                        return false;
+                    }
+                    if (transition.when !== undefined && !this.validateBehaviorConditions(transition.when)) {
+                        console.error(`Invalid AI conditions in state ${name}`);
+                        return false;
+                    }
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('AI definition validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a transition's `when` block
+     * 
+     * @param {Object} conditions - Condition name -> argument
+     * @param {number} depth - Nesting depth of `any` blocks
+     * @returns {boolean} True if valid
+     */
+    static validateBehaviorConditions(conditions, depth = 0) {
+        if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions) || depth > 3) {
+            return false;
+        }
+        
+        return Object.keys(conditions).every(name => {
+            const value = conditions[name];
+            switch (name) {
+                case 'moving':
+                    return typeof value === 'boolean';
+                case 'timeOfDay':
+                    return !!value && Number.isFinite(value.from) && Number.isFinite(value.to) &&
+                           value.from >= 0 && value.from <= 24 && value.to >= 0 && value.to <= 24;
+                case 'any':
+                    return Array.isArray(value) && value.length > 0 && value.length <= 8 &&
+                           value.every(block => this.validateBehaviorConditions(block, depth + 1));
+                default:
+                    return Object.hasOwn(BehaviorMachine.CONDITIONS, name) && Number.isFinite(value) && value >= 0;
+            }
+        });
+    }
+
+    /**
+     * Validate NPC spawners from world data
+     * 
+     * @param {Array} spawners - { id, definition, x, y, width, height, units, maxAlive, respawnDelay, conditions }
+     * @returns {boolean} True if valid
+     */
+    static validateSpawners(spawners) {
+        try {
+            if (!Array.isArray(spawners)) {
+                console.error('Spawners must be an array');
+                return false;
+            }
+            
+            const MAX_SPAWNERS = 500;
+            if (spawners.length > MAX_SPAWNERS) {
+                console.error(`Too many spawners: ${spawners.length}`);
+                return false;
+            }
+            
+            // Conditions a spawner can wait for - NPC-specific ones (health, moving, ...) don't apply
+            const SPAWN_CONDITIONS = ['playerInRange', 'playerOutOfRange', 'timeOfDay', 'chance'];
+            
+            for (const spawner of spawners) {
+                if (!spawner || typeof spawner !== 'object') {
+                    return false;
+                }
+                
+                for (const field of ['id', 'definition']) {
+                    if (typeof spawner[field] !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(spawner[field])) {
+                        console.error(`Invalid spawner ${field}: ${spawner[field]}`);
+                        return false;
+                    }
+                }
+                
+                if (spawner.units !== undefined && spawner.units !== 'tiles' && spawner.units !== 'pixels') {
+                    console.error(`Invalid spawner units: ${spawner.units}`);
+                    return false;
+                }
+                
+                if (!Number.isFinite(spawner.x) || !Number.isFinite(spawner.y) || spawner.x < 0 || spawner.y < 0) {
+                    console.error(`Invalid spawner position: ${spawner.x}, ${spawner.y}`);
+                    return false;
+                }
+                
+                // Area size in tiles, or pixels with units: 'pixels'
+                const maxSize = spawner.units === 'pixels' ? 8000 : 500;
+                for (const dimension of ['width', 'height']) {
+                    const value = spawner[dimension];
+                    if (value !== undefined && (!Number.isFinite(value) || value <= 0 || value > maxSize)) {
+                        console.error(`Invalid spawner ${dimension}: ${value}`);
+                        return false;
+                    }
+                }
+                
+                if (!Number.isInteger(spawner.maxAlive) || spawner.maxAlive < 1 || spawner.maxAlive > 50) {
+                    console.error(`Invalid spawner maxAlive: ${spawner.maxAlive}`);
+                    return false;
+                }
+                
+                if (spawner.respawnDelay !== undefined &&
+                    (!Number.isFinite(spawner.respawnDelay) || spawner.respawnDelay < 0 || spawner.respawnDelay > 3600000)) {
+                    console.error(`Invalid spawner respawnDelay: ${spawner.respawnDelay}`);
+                    return false;
+                }
+                
+                if (spawner.conditions !== undefined) {
+                    const conditions = spawner.conditions;
+                    if (!this.validateBehaviorConditions(conditions) ||
+                        !Object.keys(conditions).every(name => SPAWN_CONDITIONS.includes(name))) {
+                        console.error(`Invalid spawner conditions: ${spawner.id}`);
+                        return false;
+                    }
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Spawner validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate saved spawner state
+     * 
+     * @param {Array} state - { id, alive, timers } per spawner
+     * @returns {boolean} True if valid
+     */
+    static validateSpawnerState(state) {
+        if (!Array.isArray(state) || state.length > 500) {
+            return false;
+        }
+        
+        return state.every(entry =>
+            entry && typeof entry.id === 'string' && /^[a-z0-9-_]{1,50}$/i.test(entry.id) &&
+            Number.isInteger(entry.alive) && entry.alive >= 0 && entry.alive <= 50 &&
+            Array.isArray(entry.timers) && entry.timers.length <= 50 &&
+            entry.timers.every(timer => Number.isFinite(timer) && timer >= 0 && timer <= 3600000)
+        );
+    }
+
+    /**
+     * Validate an item definition (assets/items/items.json)
+     *
+     * @param {Object} item - { id, name, icon, sprite, type, rarity, stackSize, stats, use, value, maxDurability, description }
+     * @returns {boolean} True if valid
+     */
+    static validateItemDefinition(item) {
+        try {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                console.error('Item definition must be an object');
+                return false;
+            }
+            
+            if (typeof item.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(item.id)) {
+                console.error(`Invalid item id: ${item.id}`);
+                return false;
+            }
+            
+            if (typeof item.name !== 'string' || item.name.length === 0 || item.name.length > 100 ||
+                typeof item.type !== 'string' || !/^[a-z_]{1,30}$/i.test(item.type)) {
+                console.error(`Invalid item name or type: ${item.id}`);
+                return false;
+            }
+            
+            if ((item.icon !== undefined && (typeof item.icon !== 'string' || item.icon.length > 10)) ||
+                (item.description !== undefined && (typeof item.description !== 'string' || item.description.length > 200)) ||
+                (item.sprite !== undefined && (typeof item.sprite !== 'string' ||
+                    !/^assets\/[a-zA-Z0-9_\-\/]+\.(png|gif|webp)$/.test(item.sprite) || item.sprite.includes('..')))) {
+                console.error(`Invalid item icon, sprite or description: ${item.id}`);
+                return false;
+            }
+            
+            if (item.rarity !== undefined && !['common', 'uncommon', 'rare', 'epic', 'legendary'].includes(item.rarity)) {
+                console.error(`Invalid item rarity for ${item.id}: ${item.rarity}`);
+                return false;
+            }
+            
+            // Gear that wears down can't stack - each one has its own durability
+            if ((item.stackSize !== undefined && (!Number.isInteger(item.stackSize) || item.stackSize < 1 || item.stackSize > 999)) ||
+                (item.value !== undefined && (!Number.isInteger(item.value) || item.value < 0 || item.value > 1000000)) ||
+                (item.maxDurability !== undefined && (!Number.isInteger(item.maxDurability) ||
+                    item.maxDurability < 1 || item.maxDurability > 10000 || (item.stackSize || 1) !== 1))) {
+                console.error(`Invalid item stack size, value or durability: ${item.id}`);
+                return false;
+            }
+            
+            if (item.stats !== undefined && (!item.stats || typeof item.stats !== 'object' ||
+                Array.isArray(item.stats) || Object.keys(item.stats).length > 20 ||
+                !Object.entries(item.stats).every(([stat, value]) => /^[a-z_]{1,30}$/i.test(stat) &&
+                    Number.isFinite(value) && value >= -9999 && value <= 9999))) {
+                console.error(`Invalid item stats: ${item.id}`);
+                return false;
+            }
+            
+            // Use effects - only healing so far
+            if (item.use !== undefined && (!item.use || typeof item.use !== 'object' ||
+                !Object.entries(item.use).every(([effect, amount]) => effect === 'heal' &&
+                    Number.isInteger(amount) && amount >= 1 && amount <= 10000))) {
+                console.error(`Invalid item use effect: ${item.id}`);
+                return false;
+            }
+            
+            return true;
+        
+        } catch (error) {
+            console.error('Item definition validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a loot table (assets/loot/tables.json)
+     * Entries name items by id; LootTables checks the ids are in the item database
+     *
+     * @param {Object} table - { id, rolls, despawnTime, entries: [{ weight, item, quantity }] }
+     * @returns {boolean} True if valid
+     */
+    static validateLootTable(table) {
+        try {
+            if (!table || typeof table !== 'object' || Array.isArray(table)) {
+                console.error('Loot table must be an object');
+                return false;
+            }
+            
+            if (typeof table.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(table.id)) {
+                console.error(`Invalid loot table id: ${table.id}`);
+                return false;
+            }
+            
+            if (table.rolls !== undefined && (!Number.isInteger(table.rolls) || table.rolls < 1 || table.rolls > 10)) {
+                console.error(`Invalid loot table rolls: ${table.rolls}`);
+                return false;
+            }
+            
+            if (table.despawnTime !== undefined &&
+                (!Number.isFinite(table.despawnTime) || table.despawnTime < 1000 || table.despawnTime > 3600000)) {
+                console.error(`Invalid loot table despawnTime: ${table.despawnTime}`);
+                return false;
+            }
+            
+            if (!Array.isArray(table.entries) || table.entries.length === 0 || table.entries.length > 100) {
+                console.error(`Invalid loot table entries: ${table.id}`);
+                return false;
+            }
+            
+            const isQuantity = value => Number.isInteger(value) && value >= 1 && value <= 999;
+            
+            for (const entry of table.entries) {
+                if (!entry || typeof entry !== 'object' ||
+                    !Number.isFinite(entry.weight) || entry.weight <= 0 || entry.weight > 1000000) {
+                    console.error(`Invalid loot entry weight in ${table.id}`);
+                    return false;
+                }
+                
+                if (entry.item === undefined) continue;
+                
+                if (typeof entry.item !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(entry.item)) {
+                    console.error(`Invalid loot item in ${table.id}`);
+                    return false;
+                }
+                
+                const quantity = entry.quantity;
+                const validQuantity = quantity === undefined || isQuantity(quantity) ||
+                    (Array.isArray(quantity) && quantity.length === 2 && quantity.every(isQuantity) && quantity[0] <= quantity[1]);
+                if (!validQuantity) {
+                    console.error(`Invalid loot quantity in ${table.id}`);
+                    return false;
+                }
+            }
+            
+            return true;
+        
+        } catch (error) {
+            console.error('Loot table validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a quest definition (from an NPC's `quests`)
+     *
+     * @param {Object} quest - { id, title, description, objectives, reward }
+     * @returns {boolean} True if valid
+     */
+    static validateQuestDefinition(quest) {
+        try {
+            if (!quest || typeof quest !== 'object' || Array.isArray(quest)) {
+                console.error('Quest must be an object');
+                return false;
+            }
+            
+            if (typeof quest.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(quest.id)) {
+                console.error(`Invalid quest id: ${quest.id}`);
+                return false;
+            }
+            
+            if (typeof quest.title !== 'string' || quest.title.length === 0 || quest.title.length > 100 ||
+                (quest.description !== undefined && (typeof quest.description !== 'string' || quest.description.length > 1000))) {
+                console.error(`Invalid quest text: ${quest.id}`);
+                return false;
+            }
+            
+            const OBJECTIVE_TYPES = ['kill', 'collect', 'talk', 'reach'];
+            if (!Array.isArray(quest.objectives) || quest.objectives.length === 0 || quest.objectives.length > 20) {
+                console.error(`Invalid quest objectives: ${quest.id}`);
+                return false;
+            }
+            
+            for (const objective of quest.objectives) {
+                if (!objective || !OBJECTIVE_TYPES.includes(objective.type)) {
+                    console.error(`Invalid quest objective type in ${quest.id}`);
+                    return false;
+                }
+                
+                const validCount = objective.count === undefined ||
+                    (Number.isInteger(objective.count) && objective.count >= 1 && objective.count <= 999);
+                const validTarget = objective.type === 'reach' ?
+                    Number.isFinite(objective.x) && Number.isFinite(objective.y) &&
+                    (objective.radius === undefined || (Number.isFinite(objective.radius) && objective.radius > 0)) :
+                    typeof objective.target === 'string' && objective.target.length > 0 && objective.target.length <= 50;
+                if (!validCount || !validTarget) {
+                    console.error(`Invalid quest objective in ${quest.id}`);
+                    return false;
+                }
+            }
+            
+            if (quest.reward !== undefined) {
+                const reward = quest.reward;
+                const validAmount = value => value === undefined ||
+                    (Number.isInteger(value) && value >= 0 && value <= 1000000);
+                const validItem = item => item && typeof item === 'object' &&
+                    typeof item.id === 'string' && /^[a-z0-9-_]{1,50}$/i.test(item.id) &&
+                    (item.quantity === undefined || (Number.isInteger(item.quantity) && item.quantity >= 1 && item.quantity <= 999));
+                if (!reward || typeof reward !== 'object' || !validAmount(reward.gold) || !validAmount(reward.exp) ||
+                    (reward.items !== undefined && (!Array.isArray(reward.items) || reward.items.length > 24 || !reward.items.every(validItem)))) {
+                    console.error(`Invalid quest reward: ${quest.id}`);
+                    return false;
+                }
+            }
+            
+            return true;
+        
+        } catch (error) {
+            console.error('Quest validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate saved quest state - accepted quests with their progress
+     *
+     * @param {Array} state - Quest definitions plus status and objective `current` counts
+     * @returns {boolean} True if valid
+     */
+    static validateQuestState(state) {
+        if (!Array.isArray(state) || state.length > 500) {
+            return false;
+        }
+        
+        const STATUSES = ['active', 'complete', 'turned_in'];
+        return state.every(quest =>
+            this.validateQuestDefinition(quest) && STATUSES.includes(quest.status) &&
+            quest.objectives.every(objective =>
+                Number.isInteger(objective.current) && objective.current >= 0 && objective.current <= 999
+            )
+        );
+    }
+
+    /**
+     * Validate an NPC daily schedule
+     * 
+     * @param {Array} schedule - [{ at: "HH:MM", location | x, y, sleep }]
+     * @returns {boolean} True if valid
+     */
+    static validateSchedule(schedule) {
+        if (!Array.isArray(schedule) || schedule.length === 0 || schedule.length > 24) {
+            console.error('NPC schedule must have 1-24 entries');
+            return false;
+        }
+        
+        const times = new Set();
+        for (const entry of schedule) {
+            if (!entry || typeof entry !== 'object' || typeof entry.at !== 'string' ||
+                !/^([01]\d|2[0-3]):([0-5]\d)$/.test(entry.at) || times.has(entry.at)) {
+                console.error(`Invalid or repeated schedule time: ${entry && entry.at}`);
+                return false;
+            }
+            times.add(entry.at);
+            
+            const validLocation = entry.location !== undefined ?
+                typeof entry.location === 'string' && /^[a-z0-9-_ ]{1,50}$/i.test(entry.location) :
+                Number.isFinite(entry.x) && Number.isFinite(entry.y) &&
+                entry.x >= 0 && entry.x <= 100000 && entry.y >= 0 && entry.y <= 100000;
+            if (!validLocation || (entry.sleep !== undefined && typeof entry.sleep !== 'boolean')) {
+                console.error(`Invalid schedule entry at ${entry.at}`);
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Validate a bound respawn checkpoint
+     * 
+     * @param {Object} checkpoint - { x, y, name, map }
+     * @returns {boolean} True if valid
+     */
+    static validateCheckpoint(checkpoint) {
+        if (!checkpoint || typeof checkpoint !== 'object' ||
+            !Number.isFinite(checkpoint.x) || !Number.isFinite(checkpoint.y) ||
+            checkpoint.x < 0 || checkpoint.x > 1000000 || checkpoint.y < 0 || checkpoint.y > 1000000 ||
+            typeof checkpoint.name !== 'string' || checkpoint.name.length > 100) {
+            return false;
+        }
+        
+        return checkpoint.map === null || checkpoint.map === undefined || this.validateMapReference(checkpoint.map);
+    }
+
+    /**
+     * Validate saved world clock state
+     * 
+     * @param {Object} clock - { day, minutes }
+     * @returns {boolean} True if valid
+     */
+    static validateClockState(clock) {
+        return !!clock && typeof clock === 'object' &&
+            Number.isInteger(clock.day) && clock.day >= 1 && clock.day <= 1000000 &&
+            Number.isFinite(clock.minutes) && clock.minutes >= 0 && clock.minutes < 1440;
+    }
+
+    /**
+     * Validate saved faction relationships
+     * 
+     * @param {Object} state - { "factionA:factionB": value (-100 to 100) }
+     * @returns {boolean} True if valid
+     */
+    static validateFactionState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return false;
+        }
+        
+        const entries = Object.entries(state);
+        return entries.length <= 500 && entries.every(([key, value]) =>
+            /^[a-z0-9-_]{1,30}:[a-z0-9-_]{1,30}$/i.test(key) &&
+            Number.isFinite(value) && value >= -100 && value <= 100);
+    }
+
+    /**
+     * Validate a saved inventory's shape - item ids are checked against the
+     * item database by Inventory.validateItem when restored
+     * 
+     * @param {Object} state - { items: [{ id, quantity, durability }|null], equipment: { slot: item|null } }
+     * @returns {boolean} True if valid
+     */
+    static validateInventoryState(state) {
+        if (!state || typeof state !== 'object' || !Array.isArray(state.items) || state.items.length > 100 ||
+            !state.equipment || typeof state.equipment !== 'object' || Array.isArray(state.equipment)) {
+            return false;
+        }
+        
+        const isItem = item => item === null || (typeof item === 'object' && !Array.isArray(item) &&
+            typeof item.id === 'string' && item.id.length <= 50 &&
+            (item.quantity === undefined || (Number.isInteger(item.quantity) && item.quantity >= 0 && item.quantity <= 999)));
+        const equipment = Object.entries(state.equipment);
+        return state.items.every(isItem) && equipment.length <= 20 &&
+            equipment.every(([slot, item]) => /^[a-z0-9]{1,20}$/i.test(slot) && isItem(item));
+    }
+
+    /**
+     * Validate a merchant's shop listings - items are named by id; Shop drops
+     * ids that aren't in the item database
+     * 
+     * @param {Array} shopItems - [{ id, price, stock, restockTime }]
+     * @returns {boolean} True if valid
+     */
+    static validateShopItems(shopItems) {
+        try {
+            if (!Array.isArray(shopItems) || shopItems.length > 100) {
+                console.error('Shop items must be an array of at most 100 listings');
+                return false;
+            }
+            
+            for (const listing of shopItems) {
+                if (!listing || typeof listing !== 'object' ||
+                    typeof listing.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(listing.id)) {
+                    console.error('Invalid shop listing');
+                    return false;
+                }
+                
+                // Without a price the item sells for its value
+                if (listing.price !== undefined && (!Number.isInteger(listing.price) || listing.price < 0 || listing.price > 1000000)) {
+                    console.error(`Invalid shop price for ${listing.id}: ${listing.price}`);
+                    return false;
+                }
+                
+                if ((listing.stock !== undefined && (!Number.isInteger(listing.stock) || listing.stock < 0 || listing.stock > 999)) ||
+                    (listing.restockTime !== undefined && (!Number.isFinite(listing.restockTime) ||
+                        listing.restockTime < 1000 || listing.restockTime > 3600000))) {
+                    console.error(`Invalid shop stock for ${listing.id}`);
+                    return false;
+                }
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Shop validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate a shop transaction - whole, non-negative prices and quantities
+     * whose total stays well inside safe integer range
+     * 
+     * @param {number} unitPrice - Gold per item
+     * @param {number} quantity - Number of items
+     * @returns {boolean} True if valid
+     */
+    static validateTransaction(unitPrice, quantity) {
+        if (!Number.isInteger(unitPrice) || unitPrice < 0 || unitPrice > 1000000) {
+            console.error(`Invalid transaction price: ${unitPrice}`);
+            return false;
+        }
+        
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) {
+            console.error(`Invalid transaction quantity: ${quantity}`);
+            return false;
+        }
+        
+        return Number.isSafeInteger(unitPrice * quantity);
+    }
+
+    /**
+     * Validate a dialogue tree - node links, conditions and actions must all be known
+     *
+     * @param {Object} tree - { start, nodes: { id: { text, next, actions, choices } } }
+     * @returns {boolean} True if valid
+     */
+    static validateDialogueTree(tree) {
+        try {
+            if (!tree || typeof tree !== 'object' || !tree.nodes || typeof tree.nodes !== 'object') {
+                console.error('Dialogue tree must have nodes');
+                return false;
+            }
+            
+            const nodeIds = Object.keys(tree.nodes);
+            if (nodeIds.length === 0 || nodeIds.length > 200 || !Object.hasOwn(tree.nodes, tree.start)) {
+                console.error('Invalid dialogue tree nodes or start');
+                return false;
+            }
+            
+            const isId = value => typeof value === 'string' && /^[a-z0-9-_]{1,50}$/i.test(value);
+            const isLink = next => next === undefined || next === null || (typeof next === 'string' && Object.hasOwn(tree.nodes, next));
+            const isText = (text, max) => typeof text === 'string' && text.length > 0 && text.length <= max;
+            
+            const CONDITIONS = {
+                questStatus: value => Object.entries(value).every(([questId, status]) => isId(questId) &&
+                    [].concat(status).every(entry => ['available', 'active', 'complete', 'turned_in'].includes(entry))),
+                hasItem: value => Object.entries(value).every(([itemId, count]) => isId(itemId) &&
+                    Number.isInteger(count) && count >= 1 && count <= 999),
+                flags: value => Object.entries(value).every(([flag, flagValue]) => isId(flag) &&
+                    ['boolean', 'number'].includes(typeof flagValue))
+            };
+            const ACTIONS = {
+                openShop: () => true,
+                startQuest: action => isId(action.quest),
+                turnInQuest: action => isId(action.quest),
+                giveItem: action => isId(action.item) && (action.count === undefined ||
+                    (Number.isInteger(action.count) && action.count >= 1 && action.count <= 999)),
+                takeItem: action => isId(action.item) && (action.count === undefined ||
+                    (Number.isInteger(action.count) && action.count >= 1 && action.count <= 999)),
+                setFlag: action => isId(action.flag) && (action.value === undefined || ['boolean', 'number'].includes(typeof action.value))
+            };
+            
+            const validConditions = conditions => conditions === undefined ||
+                (conditions && typeof conditions === 'object' && Object.entries(conditions).every(([name, value]) =>
+                    Object.hasOwn(CONDITIONS, name) && value && typeof value === 'object' && CONDITIONS[name](value)));
+            const validActions = actions => actions === undefined ||
+                (Array.isArray(actions) && actions.length <= 10 && actions.every(action =>
+                    action && Object.hasOwn(ACTIONS, action.type) && ACTIONS[action.type](action)));
+            
+            for (const nodeId of nodeIds) {
+                const node = tree.nodes[nodeId];
+                if (!isId(nodeId) || !node || !isText(node.text, 500) || !isLink(node.next) || !validActions(node.actions)) {
+                    console.error(`Invalid dialogue node: ${nodeId}`);
+                    return false;
+                }
+                
+                if (node.choices === undefined) continue;
+                
+                if (!Array.isArray(node.choices) || node.choices.length === 0 || node.choices.length > 9 ||
+                    !node.choices.every(choice => choice && isText(choice.text, 200) && isLink(choice.next) &&
+                        validConditions(choice.conditions) && validActions(choice.actions))) {
+                    console.error(`Invalid dialogue choices in node: ${nodeId}`);
+                    return false;
+                }
+            }
+            
+            return true;
+        
+        } catch (error) {
+            console.error('Dialogue tree validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Validate saved dialogue flags
+     *
+     * @param {Object} flags - Flag name -> boolean or number
+     * @returns {boolean} True if valid
+     */
+    static validateDialogueFlags(flags) {
+        if (!flags || typeof flags !== 'object' || Array.isArray(flags)) {
+            return false;
+        }
+        
+        const entries = Object.entries(flags);
+        return entries.length <= 500 && entries.every(([flag, value]) =>
+            /^[a-z0-9-_]{1,50}$/i.test(flag) &&
+            (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value)))
+        );
+    }
+
+    /**
+     * Validate a map reference (portal target or the saved current map)
+     * Custom worlds are referenced by folder name only, so a portal can never
+     * point the game at an arbitrary URL
+     *
+     * @param {Object} mapRef - { type: 'custom', id }, { type: 'generated', config }
+     *   or { type: 'dungeon', seed, returnMap, returnPosition }
+     * @returns {boolean} True if valid
+     */
+    static validateMapReference(mapRef) {
+        if (!mapRef || typeof mapRef !== 'object') {
+            console.error('Map reference must be an object');
+            return false;
+        }
+
+        if (mapRef.type === 'custom') {
+            if (typeof mapRef.id !== 'string' || !/^[a-z0-9-_]{1,50}$/i.test(mapRef.id)) {
+                console.error(`Invalid custom world id: ${mapRef.id}`);
+                return false;
+            }
+            return true;
+        }
+
+        if (mapRef.type === 'generated') {
+            // The config itself is validated by the World constructor (VULN-010)
+            if (!mapRef.config || typeof mapRef.config !== 'object') {
+                console.error('Generated map reference is missing its world config');
+                return false;
+            }
+            return true;
+        }
+
+        if (mapRef.type === 'dungeon') {
+            if (typeof mapRef.seed !== 'string' || !/^[a-zA-Z0-9-_]{1,100}$/.test(mapRef.seed)) {
+                console.error('Invalid dungeon seed');
+                return false;
+            }
+            
+            // Dungeons lead back to an overworld map, never into another dungeon
+            if (!mapRef.returnMap || mapRef.returnMap.type === 'dungeon' ||
+                !this.validateMapReference(mapRef.returnMap)) {
+                console.error('Invalid dungeon return map');
+                return false;
+            }
+            
+            const position = mapRef.returnPosition;
+            if (position !== undefined && position !== null &&
+                (!Number.isFinite(position.x) || !Number.isFinite(position.y))) {
+                console.error('Invalid dungeon return position');
+                return false;
+            }
+            return true;
+        }
+
+        console.error(`Unknown map reference type: ${mapRef.type}`);
+        return false;
+    }
+
     /**
      * Validate spawn points data structure
      * 
@@ -0,0 +1,188 @@
+/**
+ * Autotiler - Runes of Tir na nÓg
+ * Picks edge and corner variants for tiles from their 8 neighbours (shorelines,
+ * cave mouths, trail bends). Transitions are defined by a JSON atlas descriptor,
+ * so artists can add or change them without code changes.
+ *
+ * A tile's variant is an 8-bit neighbour mask: a bit is set when that neighbour
+ * connects (is listed in the tile's `connectsTo`). Corner bits only count when
+ * both adjacent edges connect, which leaves the 47 standard blob variants.
+ */
+
+import { TileRegistry } from './TileRegistry.js';
+
+export class Autotiler {
+    // Neighbour offsets and their mask bits, clockwise from north
+    static N = 1;
+    static NE = 2;
+    static E = 4;
+    static SE = 8;
+    static S = 16;
+    static SW = 32;
+    static W = 64;
+    static NW = 128;
+
+    static DEFAULT_DESCRIPTOR = 'assets/tilesets/terrain.json';
+
+    static descriptorCache = new Map(); // Path -> Promise of parsed descriptor
+
+    constructor() {
+        this.rules = new Map(); // Tile type name -> { connectsTo, image, frames, edge }
+        this.frameSize = 16;
+        this.isLoaded = false;
+    }
+
+    /**
+     * Fetch and apply an atlas descriptor - resolves true once rules are active
+     */
+    async load(path = Autotiler.DEFAULT_DESCRIPTOR, onImageLoad = null) {
+        if (!Autotiler.descriptorCache.has(path)) {
+            Autotiler.descriptorCache.set(path, fetch(path).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load tileset: ${response.statusText}`);
+                }
+                return response.json();
+            }));
+        }
+
+        try {
+            const descriptor = await Autotiler.descriptorCache.get(path);
+            this.setDescriptor(descriptor, onImageLoad);
+            console.log(`🧩 Autotiler: Loaded tileset "${descriptor.name || path}" (${this.rules.size} tile types)`);
+            return true;
+        } catch (error) {
+            Autotiler.descriptorCache.delete(path);
+            console.warn('⚠️ Autotiler: Tileset unavailable, drawing hard tile edges', error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply a parsed descriptor, skipping invalid entries
+     */
+    setDescriptor(descriptor, onImageLoad = null) {
+        this.rules.clear();
+        if (!descriptor || typeof descriptor !== 'object' || !descriptor.tiles || typeof descriptor.tiles !== 'object') {
+            console.error('❌ Autotiler: Tileset descriptor must have a tiles object');
+            return;
+        }
+
+        this.frameSize = Number.isInteger(descriptor.frameSize) && descriptor.frameSize > 0 ? descriptor.frameSize : 16;
+
+        Object.entries(descriptor.tiles).forEach(([typeName, rule]) => {
+            if (!TileRegistry.has(typeName) || !rule || typeof rule !== 'object') {
+                console.warn(`⚠️ Autotiler: Skipping unknown tile type in tileset: ${typeName}`);
+                return;
+            }
+
+            const connectsTo = Array.isArray(rule.connectsTo) ? rule.connectsTo : [typeName];
+            const edge = rule.edge && typeof rule.edge.color === 'string' ? {
+                color: rule.edge.color,
+                size: Math.max(0, Math.min(0.5, Number(rule.edge.size) || 0.2))
+            } : null;
+
+            // Atlas images must be local assets
+            let image = null;
+            if (typeof rule.image === 'string' && /^assets\/[a-zA-Z0-9_\-/]+\.png$/.test(rule.image)) {
+                image = new Image();
+                image.onload = () => {
+                    if (onImageLoad) onImageLoad();
+                };
+                image.onerror = () => {
+                    console.error(`Failed to load tileset image: ${rule.image}`);
+                };
+                image.src = rule.image;
+            }
+
+            this.rules.set(typeName, {
+                connectsTo: new Set(connectsTo),
+                image,
+                frames: rule.frames && typeof rule.frames === 'object' ? rule.frames : {},
+                edge
+            });
+        });
+
+        this.isLoaded = true;
+    }
+
+    hasRules(typeName) {
+        return this.rules.has(typeName);
+    }
+
+    /**
+     * Compute the reduced 8-neighbour mask for a tile.
+     * getNeighbourType(x, y) returns a type name, or undefined outside the map.
+     */
+    computeMask(typeName, tileX, tileY, getNeighbourType) {
+        const rule = this.rules.get(typeName);
+        if (!rule) return 0;
+
+        const connects = (dx, dy) => {
+            const neighbour = getNeighbourType(tileX + dx, tileY + dy);
+            // The world edge counts as connected so maps don't get a border
+            return neighbour === undefined || rule.connectsTo.has(neighbour);
+        };
+
+        const n = connects(0, -1);
+        const e = connects(1, 0);
+        const s = connects(0, 1);
+        const w = connects(-1, 0);
+
+        let mask = 0;
+        if (n) mask |= Autotiler.N;
+        if (e) mask |= Autotiler.E;
+        if (s) mask |= Autotiler.S;
+        if (w) mask |= Autotiler.W;
+        if (n && e && connects(1, -1)) mask |= Autotiler.NE;
+        if (s && e && connects(1, 1)) mask |= Autotiler.SE;
+        if (s && w && connects(-1, 1)) mask |= Autotiler.SW;
+        if (n && w && connects(-1, -1)) mask |= Autotiler.NW;
+        return mask;
+    }
+
+    /**
+     * Draw a tile's variant - returns false when the base texture should be drawn instead
+     */
+    drawVariant(ctx, typeName, mask, x, y, size) {
+        const rule = this.rules.get(typeName);
+        if (!rule) return false;
+
+        // Artist-supplied atlas frame for this exact variant
+        const frame = rule.frames[mask];
+        if (frame && rule.image && rule.image.complete && rule.image.naturalWidth > 0) {
+            ctx.drawImage(
+                rule.image,
+                frame[0] * this.frameSize, frame[1] * this.frameSize, this.frameSize, this.frameSize,
+                x, y, size, size
+            );
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Draw procedural edge and inner corner strips on top of the base texture.
+     * Used when the atlas has no frame for a variant.
+     */
+    drawEdges(ctx, typeName, mask, x, y, size) {
+        const rule = this.rules.get(typeName);
+        if (!rule || !rule.edge || mask === 255) return;
+
+        const edge = Math.max(1, Math.round(size * rule.edge.size));
+        ctx.fillStyle = rule.edge.color;
+
+        // Open edges
+        if (!(mask & Autotiler.N)) ctx.fillRect(x, y, size, edge);
+        if (!(mask & Autotiler.S)) ctx.fillRect(x, y + size - edge, size, edge);
+        if (!(mask & Autotiler.W)) ctx.fillRect(x, y, edge, size);
+        if (!(mask & Autotiler.E)) ctx.fillRect(x + size - edge, y, edge, size);
+
+        // Inner corners - both edges connect but the diagonal does not
+        const N = Autotiler.N, E = Autotiler.E, S = Autotiler.S, W = Autotiler.W;
+        if ((mask & N) && (mask & E) && !(mask & Autotiler.NE)) ctx.fillRect(x + size - edge, y, edge, edge);
+        if ((mask & S) && (mask & E) && !(mask & Autotiler.SE)) ctx.fillRect(x + size - edge, y + size - edge, edge, edge);
+        if ((mask & S) && (mask & W) && !(mask & Autotiler.SW)) ctx.fillRect(x, y + size - edge, edge, edge);
+        if ((mask & N) && (mask & W) && !(mask & Autotiler.NW)) ctx.fillRect(x, y, edge, edge);
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Chunk Renderer - Runes of Tir na nÓg
+ * Caches the static tile layers of each chunk in an offscreen canvas so a frame
+ * costs one drawImage per visible chunk instead of one per tile. A chunk canvas
+ * is only redrawn after its tiles change (or textures finish loading).
+ */
+
+import { WorldChunk } from './WorldChunk.js';
+
+export class ChunkRenderer {
+    constructor(world, maxCachedChunks = 64) {
+        this.world = world;
+        this.maxCachedChunks = maxCachedChunks; // Bounds canvas memory (~1MB per 16px-tile chunk)
+        this.cache = new Map(); // Chunk key -> { canvas, lastAccess }
+        this.backgroundCanvas = null; // Shared canvas for chunks entirely outside the world
+    }
+
+    /**
+     * Drop the cached canvas for one chunk (tile coordinates)
+     */
+    invalidateTile(tileX, tileY) {
+        const chunkSize = this.world.chunkSize;
+        this.cache.delete(WorldChunk.key(Math.floor(tileX / chunkSize), Math.floor(tileY / chunkSize)));
+    }
+
+    invalidateAll() {
+        this.cache.clear();
+        this.backgroundCanvas = null;
+    }
+
+    createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.world.chunkSize * this.world.tileSize;
+        canvas.height = this.world.chunkSize * this.world.tileSize;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false; // Pixelated rendering for retro look
+        return { canvas, ctx };
+    }
+
+    isChunkInWorld(chunkX, chunkY) {
+        const chunkPixels = this.world.chunkSize * this.world.tileSize;
+        return chunkX >= 0 && chunkY >= 0 &&
+               chunkX * chunkPixels < this.world.width &&
+               chunkY * chunkPixels < this.world.height;
+    }
+
+    /**
+     * Get the cached canvas for a chunk, drawing it first if needed
+     */
+    getChunkCanvas(chunkX, chunkY) {
+        if (!this.isChunkInWorld(chunkX, chunkY)) {
+            if (!this.backgroundCanvas) {
+                this.backgroundCanvas = this.drawBackground();
+            }
+            return this.backgroundCanvas;
+        }
+
+        const key = WorldChunk.key(chunkX, chunkY);
+        let entry = this.cache.get(key);
+        if (!entry) {
+            entry = { canvas: this.drawChunk(chunkX, chunkY), lastAccess: Date.now() };
+            this.cache.set(key, entry);
+            this.evict();
+        }
+
+        entry.lastAccess = Date.now();
+        return entry.canvas;
+    }
+
+    drawChunk(chunkX, chunkY) {
+        const { canvas, ctx } = this.createCanvas();
+        const chunkSize = this.world.chunkSize;
+        const tileSize = this.world.tileSize;
+
+        for (let localY = 0; localY < chunkSize; localY++) {
+            for (let localX = 0; localX < chunkSize; localX++) {
+                this.world.drawTileAt(
+                    ctx,
+                    chunkX * chunkSize + localX,
+                    chunkY * chunkSize + localY,
+                    localX * tileSize,
+                    localY * tileSize
+                );
+            }
+        }
+
+        return canvas;
+    }
+
+    drawBackground() {
+        const { canvas, ctx } = this.createCanvas();
+        const chunkSize = this.world.chunkSize;
+        const tileSize = this.world.tileSize;
+
+        for (let localY = 0; localY < chunkSize; localY++) {
+            for (let localX = 0; localX < chunkSize; localX++) {
+                this.world.drawBackgroundTile(ctx, localX * tileSize, localY * tileSize);
+            }
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Remove least recently drawn canvases over the cap
+     */
+    evict() {
+        const overCap = this.cache.size - this.maxCachedChunks;
+        if (overCap <= 0) return;
+
+        Array.from(this.cache.entries())
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess)
+            .slice(0, overCap)
+            .forEach(([key]) => this.cache.delete(key));
+    }
+
+    /**
+     * Draw every chunk overlapping a tile range
+     */
+    render(ctx, startX, startY, endX, endY) {
+        const chunkSize = this.world.chunkSize;
+        const chunkPixels = chunkSize * this.world.tileSize;
+
+        const startChunkX = Math.floor(startX / chunkSize);
+        const startChunkY = Math.floor(startY / chunkSize);
+        const endChunkX = Math.floor((endX - 1) / chunkSize);
+        const endChunkY = Math.floor((endY - 1) / chunkSize);
+
+        for (let chunkY = startChunkY; chunkY <= endChunkY; chunkY++) {
+            for (let chunkX = startChunkX; chunkX <= endChunkX; chunkX++) {
+                ctx.drawImage(this.getChunkCanvas(chunkX, chunkY), chunkX * chunkPixels, chunkY * chunkPixels);
+            }
+        }
+    }
+}
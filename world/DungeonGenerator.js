@@ -0,0 +1,284 @@
+/**
+ * Dungeon Generator - Runes of Tir na nÓg
+ * Builds cave interiors with cellular-automata caverns. A dungeon is derived
+ * entirely from its seed string (world seed + cave coordinates), so entering
+ * the same cave always produces the same layout, spawns and exit.
+ *
+ * Output is custom world data (mapData, spawnPoints, spawners, objects), loaded
+ * by World like any editor-authored map.
+ */
+
+import { TileRegistry } from './TileRegistry.js';
+
+export class DungeonGenerator {
+    static WIDTH = 64; // In tiles
+    static HEIGHT = 48;
+    static ENTRANCE_SPAWN = 'Cave Entrance';
+    static LAIR_RESPAWN_DELAY = 90000; // ms
+
+    constructor(seed, width = DungeonGenerator.WIDTH, height = DungeonGenerator.HEIGHT) {
+        this.seed = seed;
+        this.width = width;
+        this.height = height;
+
+        // String seed -> 32-bit state (same hash as World.initSeededRandom)
+        let hash = 0;
+        for (let i = 0; i < seed.length; i++) {
+            hash = ((hash << 5) - hash) + seed.charCodeAt(i);
+            hash = hash & hash;
+        }
+        this.state = hash >>> 0;
+
+        this.fillChance = 0.45; // Initial wall density
+        this.smoothingPasses = 5;
+        this.minFloorShare = 0.3; // Reject caverns smaller than this share of the map
+        this.maxAttempts = 10;
+    }
+
+    /**
+     * Seeded random number (0 to 1) - mulberry32
+     */
+    random() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generate the cavern grid (1 = floor, 0 = wall), its entrance and hostile spawns
+     */
+    generate() {
+        let floor = null;
+        let floorCount = 0;
+
+        // Attempts draw from the same seeded sequence, so retries stay deterministic
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            floor = this.fill();
+            for (let pass = 0; pass < this.smoothingPasses; pass++) {
+                floor = this.smooth(floor);
+            }
+            floorCount = this.keepLargestRegion(floor);
+            if (floorCount >= this.width * this.height * this.minFloorShare) break;
+        }
+
+        const entrance = this.findEntrance(floor);
+        const distances = this.distancesFrom(floor, entrance);
+
+        return {
+            floor: floor,
+            floorCount: floorCount,
+            entrance: entrance,
+            spawns: this.pickSpawns(floor, distances, floorCount)
+        };
+    }
+
+    fill() {
+        const floor = new Uint8Array(this.width * this.height);
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                floor[y * this.width + x] = this.random() < this.fillChance ? 0 : 1;
+            }
+        }
+        return floor;
+    }
+
+    /**
+     * One cellular-automata pass (4-5 rule): 5+ wall neighbours make a wall,
+     * 3 or fewer make floor, exactly 4 keeps the cell as it is
+     */
+    smooth(floor) {
+        const next = new Uint8Array(floor.length);
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                let walls = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if ((dx || dy) && !floor[(y + dy) * this.width + x + dx]) walls++;
+                    }
+                }
+                const index = y * this.width + x;
+                next[index] = walls > 4 ? 0 : walls < 4 ? 1 : floor[index];
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Wall off every floor region except the largest - returns its size
+     */
+    keepLargestRegion(floor) {
+        const region = new Int32Array(floor.length).fill(-1);
+        const sizes = [];
+
+        for (let start = 0; start < floor.length; start++) {
+            if (!floor[start] || region[start] !== -1) continue;
+
+            const id = sizes.length;
+            const stack = [start];
+            region[start] = id;
+            let size = 0;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                size++;
+                for (const next of this.neighbours(index)) {
+                    if (floor[next] && region[next] === -1) {
+                        region[next] = id;
+                        stack.push(next);
+                    }
+                }
+            }
+            sizes.push(size);
+        }
+
+        if (sizes.length === 0) return 0;
+
+        const largest = sizes.indexOf(Math.max(...sizes));
+        for (let index = 0; index < floor.length; index++) {
+            if (region[index] !== largest) floor[index] = 0;
+        }
+        return sizes[largest];
+    }
+
+    // 4-connected neighbour indices (the wall border keeps these in range)
+    neighbours(index) {
+        return [index - 1, index + 1, index - this.width, index + this.width];
+    }
+
+    /**
+     * Leftmost floor tile, nearest the vertical centre - where the exit ladder goes
+     */
+    findEntrance(floor) {
+        const midY = this.height / 2;
+        for (let x = 1; x < this.width - 1; x++) {
+            let best = null;
+            for (let y = 1; y < this.height - 1; y++) {
+                if (floor[y * this.width + x] && (!best || Math.abs(y - midY) < Math.abs(best.y - midY))) {
+                    best = { x, y };
+                }
+            }
+            if (best) return best;
+        }
+        return { x: Math.floor(this.width / 2), y: Math.floor(midY) };
+    }
+
+    /**
+     * Walking distance in tiles from a tile to every floor tile (-1 = unreachable)
+     */
+    distancesFrom(floor, start) {
+        const distances = new Int32Array(floor.length).fill(-1);
+        const startIndex = start.y * this.width + start.x;
+        distances[startIndex] = 0;
+
+        const queue = [startIndex];
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            for (const next of this.neighbours(index)) {
+                if (floor[next] && distances[next] === -1) {
+                    distances[next] = distances[index] + 1;
+                    queue.push(next);
+                }
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Hostile spawns spread through the cavern, away from the entrance
+     */
+    pickSpawns(floor, distances, floorCount) {
+        const minEntranceDistance = 12;
+        const minSpacing = 6;
+        const edgeMargin = 4; // World keeps NPCs ~50px from the map edge
+        const count = Math.max(3, Math.min(12, Math.floor(floorCount / 250)));
+
+        const candidates = [];
+        for (let index = 0; index < floor.length; index++) {
+            const x = index % this.width;
+            const y = Math.floor(index / this.width);
+            if (distances[index] >= minEntranceDistance &&
+                x >= edgeMargin && y >= edgeMargin && x < this.width - edgeMargin && y < this.height - edgeMargin) {
+                candidates.push({ x, y });
+            }
+        }
+
+        const spawns = [];
+        for (let tries = 0; spawns.length < count && tries < count * 20 && candidates.length > 0; tries++) {
+            const candidate = candidates[Math.floor(this.random() * candidates.length)];
+            const crowded = spawns.some(spawn =>
+                Math.abs(spawn.x - candidate.x) + Math.abs(spawn.y - candidate.y) < minSpacing
+            );
+            if (!crowded) spawns.push(candidate);
+        }
+        return spawns;
+    }
+
+    /**
+     * Build custom world data for World.loadFromCustomData.
+     * The exit portal sends the player back to returnMap (at returnPosition, in pixels).
+     */
+    toWorldData(returnMap, returnPosition = null, tileSize = 16) {
+        const { floor, entrance, spawns } = this.generate();
+        const floorId = TileRegistry.resolve('cave').id;
+        const wallId = TileRegistry.resolve('wall').id;
+
+        const mapData = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            for (let x = 0; x < this.width; x++) {
+                row.push(floor[y * this.width + x] ? floorId : wallId);
+            }
+            mapData.push(row);
+        }
+
+        // Player arrives beside the exit ladder rather than on top of it
+        const arrival = [[1, 0], [0, 1], [0, -1], [-1, 0]]
+            .map(([dx, dy]) => ({ x: entrance.x + dx, y: entrance.y + dy }))
+            .find(tile => floor[tile.y * this.width + tile.x]) || entrance;
+
+        const spawnPoints = [
+            { id: 1, x: arrival.x, y: arrival.y, type: 'player', name: DungeonGenerator.ENTRANCE_SPAWN }
+        ];
+        spawns.forEach((spawn, index) => {
+            spawnPoints.push({ id: index + 2, x: spawn.x, y: spawn.y, type: 'enemy', name: `Lair ${index + 1}` });
+        });
+
+        return {
+            metadata: { name: 'Cave' },
+            width: this.width,
+            height: this.height,
+            tileSize: tileSize,
+            mapData: mapData,
+            spawnPoints: { spawnPoints: spawnPoints },
+            // Each lair restocks a while after its rat is killed, out of the player's sight
+            spawners: spawns.map((spawn, index) => ({
+                id: `lair_${index + 1}`,
+                definition: 'cave_rat',
+                x: spawn.x - 1,
+                y: spawn.y - 1,
+                width: 3,
+                height: 3,
+                units: 'tiles',
+                maxAlive: 1,
+                respawnDelay: DungeonGenerator.LAIR_RESPAWN_DELAY,
+                conditions: { playerOutOfRange: 160 }
+            })),
+            objects: [{
+                id: 'cave_exit',
+                type: 'portal',
+                name: 'Cave Exit',
+                x: entrance.x * tileSize,
+                y: entrance.y * tileSize,
+                units: 'pixels',
+                width: 1,
+                height: 1,
+                color: '#d9c58b',
+                properties: {
+                    targetMap: returnMap,
+                    targetPosition: returnPosition
+                }
+            }]
+        };
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Ground Item - Runes of Tir na nÓg
+ * An item lying in the world, usually loot dropped by a defeated NPC. The
+ * player picks it up with the interact key; left alone it despawns after its
+ * lifetime runs out.
+ */
+
+import { WorldEntity } from './WorldEntity.js';
+import { ItemDatabase } from '../items/ItemDatabase.js';
+
+export class GroundItem extends WorldEntity {
+    static SIZE = 12; // Pixels
+    static BLINK_TIME = 10000; // Blink for the last 10s before despawning
+
+    /**
+     * @param {Object} item - Inventory item ({ id, quantity })
+     * @param {number} x - Position in pixels
+     * @param {number} y - Position in pixels
+     * @param {number} lifetime - ms until it despawns
+     * @param {number} tileSize - World tile size
+     */
+    constructor(item, x, y, lifetime, tileSize) {
+        const definition = ItemDatabase.get(item.id);
+        super({ type: 'item', name: definition ? definition.name : item.id, x: x, y: y, color: '#c9a227' }, tileSize);
+        this.width = GroundItem.SIZE;
+        this.height = GroundItem.SIZE;
+
+        this.item = item;
+        this.icon = definition ? definition.icon : '📦';
+        this.remaining = lifetime;
+    }
+
+    /**
+     * Count down the lifetime - returns false once expired
+     */
+    update(deltaTime) {
+        this.remaining -= deltaTime;
+        return this.remaining > 0;
+    }
+
+    render(ctx) {
+        if (this.remaining < GroundItem.BLINK_TIME && Math.floor(this.remaining / 250) % 2 === 0) {
+            return;
+        }
+
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        // Small sack with the item's icon on it
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.width / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#5c4a12';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.font = `${this.width - 2}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.icon, centerX, centerY + 1);
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Seeded Noise - Runes of Tir na nÓg
+ * Deterministic 2D gradient noise with fractal (fBm) layering.
+ * The same seed always produces the same field, independent of sampling order.
+ */
+
+// 8 evenly spaced unit gradients
+const GRADIENTS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+    [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+];
+
+export class Noise2D {
+    constructor(seed = 0) {
+        this.seed = seed | 0;
+    }
+
+    /**
+     * Integer hash of a lattice point
+     */
+    hash(ix, iy) {
+        let h = (this.seed ^ Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1)) | 0;
+        h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Quintic fade curve for smooth interpolation
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    /**
+     * Single octave of gradient noise, roughly in the range -1 to 1
+     */
+    noise(x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const dot = (ix, iy, dx, dy) => {
+            const g = GRADIENTS[this.hash(ix, iy) & 7];
+            return g[0] * dx + g[1] * dy;
+        };
+
+        const n00 = dot(x0, y0, fx, fy);
+        const n10 = dot(x0 + 1, y0, fx - 1, fy);
+        const n01 = dot(x0, y0 + 1, fx, fy - 1);
+        const n11 = dot(x0 + 1, y0 + 1, fx - 1, fy - 1);
+
+        const u = this.fade(fx);
+        const v = this.fade(fy);
+        const nx0 = n00 + (n10 - n00) * u;
+        const nx1 = n01 + (n11 - n01) * u;
+
+        // Scale so the output uses most of the -1..1 range
+        return (nx0 + (nx1 - nx0) * v) * Math.SQRT2;
+    }
+
+    /**
+     * Fractal Brownian motion - several octaves of noise summed together
+     */
+    fbm(x, y, octaves = 4, lacunarity = 2, gain = 0.5) {
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+        let normalizer = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            total += this.noise(x * frequency, y * frequency) * amplitude;
+            normalizer += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return total / normalizer;
+    }
+}
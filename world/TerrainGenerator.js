@@ -0,0 +1,140 @@
+/**
+ * Terrain Generator - Runes of Tir na nÓg
+ * Builds coherent terrain from seeded elevation, moisture, river and cave noise.
+ * Produces contiguous lakes, rivers, cliffs, cave systems and grassland biomes
+ * while using the world config's tilePercentages as target proportions.
+ */
+
+import { Noise2D } from './Noise.js';
+
+// Grassland biome colours (used when textures are unavailable)
+const BIOME_COLORS = {
+    meadow: '#4a7c59',
+    forest: '#3b6b3f',
+    marsh: '#3f6b5a',
+    highland: '#6b7c4a'
+};
+
+const TILE_COLORS = {
+    water: '#4169E1', // Royal blue for water
+    wall: '#8b5a2b',
+    cave: '#603000' // Dark brown for cave
+};
+
+export class TerrainGenerator {
+    constructor(seed, tilePercentages, tilesX, tilesY) {
+        this.seed = seed | 0;
+        this.tilesX = tilesX;
+        this.tilesY = tilesY;
+        this.targets = {
+            water: (tilePercentages.water || 0) / 100,
+            wall: (tilePercentages.wall || 0) / 100,
+            cave: (tilePercentages.cave || 0) / 100
+        };
+
+        // Independent noise fields derived from the one world seed
+        this.elevationNoise = new Noise2D(this.seed ^ 0x51ed270b);
+        this.moistureNoise = new Noise2D(this.seed ^ 0x2545f491);
+        this.riverNoise = new Noise2D(this.seed ^ 0x9e3779b9);
+        this.caveNoise = new Noise2D(this.seed ^ 0x7f4a7c15);
+
+        // Feature scales in tiles
+        this.elevationScale = 48;
+        this.moistureScale = 96;
+        this.riverScale = 160;
+        this.caveScale = 20;
+
+        this.thresholds = this.calibrate();
+    }
+
+    /**
+     * Sample every noise field at a tile coordinate
+     */
+    sample(tileX, tileY) {
+        const elevation = this.elevationNoise.fbm(tileX / this.elevationScale, tileY / this.elevationScale, 5);
+        const moisture = this.moistureNoise.fbm(tileX / this.moistureScale, tileY / this.moistureScale, 3);
+        const river = Math.abs(this.riverNoise.fbm(tileX / this.riverScale, tileY / this.riverScale, 3));
+        const cave = this.caveNoise.fbm(tileX / this.caveScale, tileY / this.caveScale, 3);
+
+        return {
+            elevation,
+            moisture,
+            // Lakes fill the lowest ground, rivers follow the zero-lines of the river field
+            water: Math.max(-elevation, (1 - river * 8) * 0.5),
+            // Cave systems cluster in the hills below the cliffs
+            cave: cave + elevation * 0.5
+        };
+    }
+
+    /**
+     * Derive score thresholds so each tile type covers roughly its target share.
+     * Uses a fixed, seed-derived sample grid so calibration is deterministic.
+     */
+    calibrate() {
+        const gridSize = 64;
+        const samples = [];
+
+        for (let gy = 0; gy < gridSize; gy++) {
+            for (let gx = 0; gx < gridSize; gx++) {
+                const jitterX = (this.elevationNoise.hash(gx, gy) & 0xffff) / 0x10000;
+                const jitterY = (this.moistureNoise.hash(gx, gy) & 0xffff) / 0x10000;
+                const tileX = Math.floor((gx + jitterX) / gridSize * this.tilesX);
+                const tileY = Math.floor((gy + jitterY) / gridSize * this.tilesY);
+                samples.push(this.sample(tileX, tileY));
+            }
+        }
+
+        const total = samples.length;
+
+        // Claim water first, then the highest remaining ground for cliffs, then caves
+        const water = this.topThreshold(samples.map(s => s.water), this.targets.water * total);
+        const dry = samples.filter(s => s.water < water);
+
+        const wall = this.topThreshold(dry.map(s => s.elevation), this.targets.wall * total);
+        const lowland = dry.filter(s => s.elevation < wall);
+
+        const cave = this.topThreshold(lowland.map(s => s.cave), this.targets.cave * total);
+
+        return { water, wall, cave };
+    }
+
+    /**
+     * Smallest value that keeps `count` of the highest values at or above it
+     */
+    topThreshold(values, count) {
+        const keep = Math.round(count);
+        if (keep <= 0) return Infinity;
+        if (keep >= values.length) return -Infinity;
+
+        values.sort((a, b) => b - a);
+        return values[keep - 1];
+    }
+
+    /**
+     * Classify a tile - returns its type, biome and fallback colour
+     */
+    classify(tileX, tileY) {
+        const s = this.sample(tileX, tileY);
+        const t = this.thresholds;
+
+        if (s.water >= t.water) {
+            return { type: 'water', biome: -s.elevation >= t.water ? 'lake' : 'river', color: TILE_COLORS.water };
+        }
+        if (s.elevation >= t.wall) {
+            return { type: 'wall', biome: 'cliff', color: TILE_COLORS.wall };
+        }
+        if (s.cave >= t.cave) {
+            return { type: 'cave', biome: 'cavern', color: TILE_COLORS.cave };
+        }
+
+        const biome = this.getGrassBiome(s);
+        return { type: 'grass', biome, color: BIOME_COLORS[biome] };
+    }
+
+    getGrassBiome(s) {
+        if (s.moisture > 0.25 && s.elevation < 0) return 'marsh';
+        if (s.moisture > 0.1) return 'forest';
+        if (s.elevation > 0.3) return 'highland';
+        return 'meadow';
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Tile Grid - Runes of Tir na nÓg
+ * Dense 2D tile storage: a typed array of TileRegistry ids (0 = empty) plus a
+ * side table for per-tile variant data. Lookups are O(1) index arithmetic and
+ * never depend on how many cells a map actually filled.
+ */
+
+import { TileRegistry } from './TileRegistry.js';
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+// Tile object fields that are stored in the typed arrays rather than the side table
+const GRID_FIELDS = new Set(['x', 'y', 'type', 'textureVariant']);
+
+export class TileGrid {
+    // Shared side table of distinct variant data (biome, colour overrides, ...).
+    // Tiles reference entries by index, so thousands of "meadow" tiles share one object.
+    static variantTable = [null];
+    static variantIndex = new Map();
+    static unknownTypes = new Set(); // Unknown tile types already warned about
+
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.ids = new Uint16Array(width * height); // TileRegistry ids
+        this.variants = new Uint16Array(width * height); // Index into the side table, 0 = none
+        this.textureVariants = new Uint8Array(width * height); // 0-255 texture variation seed
+        this.autotileMasks = new Uint16Array(width * height); // Cached autotile mask + 1, 0 = needs recompute
+        this.count = 0;
+    }
+
+    /**
+     * Intern variant data in the shared side table - returns its index
+     */
+    static internVariant(data) {
+        const keys = Object.keys(data);
+        if (keys.length === 0) return 0;
+
+        const key = JSON.stringify(keys.sort().map(k => [k, data[k]]));
+        let index = this.variantIndex.get(key);
+        if (index === undefined) {
+            // Typed array indices are 16-bit; drop extra data rather than overflow
+            if (this.variantTable.length >= 0xffff) {
+                console.warn('⚠️ TileGrid: Variant table full, variant data dropped');
+                return 0;
+            }
+            index = this.variantTable.length;
+            this.variantTable.push(Object.freeze({ ...data }));
+            this.variantIndex.set(key, index);
+        }
+        return index;
+    }
+
+    isInBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    /**
+     * TileRegistry id at a cell, 0 if empty or out of bounds
+     */
+    getId(x, y) {
+        if (!this.isInBounds(x, y)) return 0;
+        return this.ids[y * this.width + x];
+    }
+
+    /**
+     * TileRegistry definition at a cell, null if empty - no allocation
+     */
+    getType(x, y) {
+        const id = this.getId(x, y);
+        return id ? TileRegistry.getById(id) : null;
+    }
+
+    /**
+     * Store a tile object - null clears the cell
+     */
+    set(x, y, tile) {
+        if (!this.isInBounds(x, y)) return;
+        const index = y * this.width + x;
+
+        this.autotileMasks[index] = 0;
+
+        if (!tile) {
+            if (this.ids[index]) this.count--;
+            this.ids[index] = 0;
+            this.variants[index] = 0;
+            this.textureVariants[index] = 0;
+            return;
+        }
+
+        const tileType = TileRegistry.get(tile.type) || TileGrid.resolveUnknownType(tile.type);
+        if (!this.ids[index]) this.count++;
+        this.ids[index] = tileType.id;
+
+        const variant = {};
+        for (const key in tile) {
+            if (GRID_FIELDS.has(key) || tile[key] === undefined) continue;
+            // Registry colour is the default - only keep overrides
+            if (key === 'color' && tile.color === tileType.color) continue;
+            variant[key] = tile[key];
+        }
+        this.variants[index] = TileGrid.internVariant(variant);
+
+        const textureVariant = Number.isFinite(tile.textureVariant) ? tile.textureVariant : 0;
+        this.textureVariants[index] = Math.max(0, Math.min(255, Math.floor(textureVariant * 256)));
+    }
+
+    /**
+     * Tile type stored for a type the registry doesn't know - TileRegistry.FALLBACK_TYPE,
+     * with a warning the first time each unknown type is seen
+     */
+    static resolveUnknownType(type) {
+        if (!TileGrid.unknownTypes.has(type)) {
+            TileGrid.unknownTypes.add(type);
+            const name = SecurityUtils.sanitizeText(String(type)).substring(0, 50);
+            console.warn(`⚠️ TileGrid: Unknown tile type '${name}' - stored as '${TileRegistry.FALLBACK_TYPE}'`);
+        }
+        return TileRegistry.resolve(TileRegistry.FALLBACK_TYPE);
+    }
+
+    /**
+     * Cached autotile mask for a cell, or -1 if it needs recomputing
+     */
+    getAutotileMask(x, y) {
+        if (!this.isInBounds(x, y)) return -1;
+        return this.autotileMasks[y * this.width + x] - 1;
+    }
+
+    setAutotileMask(x, y, mask) {
+        if (!this.isInBounds(x, y)) return;
+        this.autotileMasks[y * this.width + x] = mask + 1;
+    }
+
+    invalidateAutotile(x, y) {
+        if (!this.isInBounds(x, y)) return;
+        this.autotileMasks[y * this.width + x] = 0;
+    }
+
+    /**
+     * Build a tile object for a cell, or null if empty
+     */
+    get(x, y, pixelX, pixelY) {
+        if (!this.isInBounds(x, y)) return null;
+        const index = y * this.width + x;
+        const id = this.ids[index];
+        if (!id) return null;
+
+        const tileType = TileRegistry.getById(id);
+        return {
+            x: pixelX,
+            y: pixelY,
+            type: tileType.name,
+            color: tileType.color,
+            textureVariant: this.textureVariants[index] / 256,
+            ...TileGrid.variantTable[this.variants[index]]
+        };
+    }
+
+    /**
+     * Iterate every non-empty cell
+     */
+    forEach(callback) {
+        if (this.count === 0) return;
+        for (let index = 0; index < this.ids.length; index++) {
+            if (this.ids[index]) {
+                callback(index % this.width, Math.floor(index / this.width));
+            }
+        }
+    }
+}
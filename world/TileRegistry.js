@@ -0,0 +1,183 @@
+/**
+ * Tile Registry - Runes of Tir na nÓg
+ * Central definitions for every tile type. World, Player, AudioManager and
+ * SecurityUtils read tile behaviour from here, so adding a new tile type is a
+ * data change rather than edits across the codebase.
+ *
+ * Definition fields:
+ * - id: numeric value used by mapData in custom worlds
+ * - name: string type stored on tiles ('grass', 'water', ...)
+ * - texture: image path, or null to render with the solid colour
+ * - color: fallback colour when the texture is missing
+ * - walkable: false blocks movement for players and NPCs
+ * - speedModifier: multiplier applied to movement speed on this tile
+ * - footstepSound: sound played when walking on the tile, or null for silence
+ * - damagePerSecond: damage dealt to a player standing on the tile
+ * - liquid: true for water-like tiles
+ * - entrance: 'dungeon' to generate a dungeon interior when the player walks onto the tile
+ */
+
+const DEFAULT_TILE_TYPES = [
+    {
+        id: 1,
+        name: 'grass',
+        texture: 'assets/Ground_Texture_1.png',
+        color: '#4CAF50',
+        walkable: true,
+        speedModifier: 1,
+        footstepSound: null,
+        damagePerSecond: 0,
+        liquid: false
+    },
+    {
+        id: 2,
+        name: 'water',
+        texture: 'assets/Water_Texture.png',
+        color: '#2196F3',
+        walkable: true,
+        speedModifier: 1,
+        footstepSound: 'water',
+        damagePerSecond: 0,
+        liquid: true
+    },
+    {
+        id: 3,
+        name: 'trail',
+        texture: 'assets/trail_1.png',
+        color: '#8B4513',
+        walkable: true,
+        speedModifier: 1,
+        footstepSound: null,
+        damagePerSecond: 0,
+        liquid: false
+    },
+    {
+        id: 4,
+        name: 'cave',
+        texture: 'assets/Cave_Texture_1.png',
+        color: '#607D8B',
+        walkable: true,
+        speedModifier: 1,
+        footstepSound: null,
+        damagePerSecond: 0,
+        liquid: false,
+        entrance: 'dungeon'
+    },
+    {
+        id: 5,
+        name: 'mana',
+        texture: null,
+        color: '#9C27B0',
+        walkable: true,
+        speedModifier: 1,
+        footstepSound: null,
+        damagePerSecond: 0,
+        liquid: false
+    },
+    {
+        id: 6,
+        name: 'wall',
+        texture: null,
+        color: '#8b5a2b',
+        walkable: false,
+        speedModifier: 1,
+        footstepSound: null,
+        damagePerSecond: 0,
+        liquid: false
+    }
+];
+
+export class TileRegistry {
+    static FALLBACK_TYPE = 'grass'; // Used for unknown tile ids and types
+
+    static byName = new Map();
+    static byId = new Map();
+
+    /**
+     * Register a tile type - returns false if the definition is invalid
+     */
+    static register(definition) {
+        if (!definition || typeof definition !== 'object') {
+            console.error('❌ TileRegistry: Tile definition must be an object');
+            return false;
+        }
+
+        const { id, name } = definition;
+        if (!Number.isInteger(id) || id <= 0) {
+            console.error(`❌ TileRegistry: Invalid tile id: ${id}`);
+            return false;
+        }
+        if (typeof name !== 'string' || !/^[a-z0-9_]+$/.test(name)) {
+            console.error(`❌ TileRegistry: Invalid tile name: ${name}`);
+            return false;
+        }
+
+        const existing = this.byId.get(id);
+        if (existing && existing.name !== name) {
+            console.error(`❌ TileRegistry: Tile id ${id} is already used by '${existing.name}'`);
+            return false;
+        }
+
+        const tileType = Object.freeze({
+            id,
+            name,
+            texture: typeof definition.texture === 'string' ? definition.texture : null,
+            color: typeof definition.color === 'string' ? definition.color : '#ff00ff',
+            walkable: definition.walkable !== false,
+            speedModifier: Number.isFinite(definition.speedModifier) && definition.speedModifier >= 0 ?
+                definition.speedModifier : 1,
+            footstepSound: typeof definition.footstepSound === 'string' ? definition.footstepSound : null,
+            damagePerSecond: Number.isFinite(definition.damagePerSecond) && definition.damagePerSecond >= 0 ?
+                definition.damagePerSecond : 0,
+            liquid: definition.liquid === true,
+            entrance: definition.entrance === 'dungeon' ? definition.entrance : null
+        });
+
+        this.byName.set(name, tileType);
+        this.byId.set(id, tileType);
+        return true;
+    }
+
+    /**
+     * Look up a tile type by name
+     */
+    static get(name) {
+        return this.byName.get(name) || null;
+    }
+
+    /**
+     * Look up a tile type by numeric mapData id
+     */
+    static getById(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Look up a tile type by name, falling back to the default type
+     */
+    static resolve(name) {
+        return this.byName.get(name) || this.byName.get(this.FALLBACK_TYPE);
+    }
+
+    static has(name) {
+        return this.byName.has(name);
+    }
+
+    static getNames() {
+        return Array.from(this.byName.keys());
+    }
+
+    static getAll() {
+        return Array.from(this.byName.values());
+    }
+
+    /**
+     * Unknown types stay walkable so unexpected data never traps the player
+     */
+    static isWalkable(name) {
+        const tileType = this.byName.get(name);
+        return tileType ? tileType.walkable : true;
+    }
+}
+
+DEFAULT_TILE_TYPES.forEach(definition => TileRegistry.register(definition));
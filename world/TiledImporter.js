@@ -0,0 +1,532 @@
+/**
+ * Tiled Importer - Runes of Tir na nÓg
+ * Converts maps made in the Tiled editor (.tmj/.json or .tmx) into the custom
+ * world format World.loadFromCustomData understands: tile layers become editor
+ * layers, object layers become spawn points, NPCs and world objects.
+ *
+ * Tile gids map to TileRegistry types through the tilesets:
+ * - a tile's `tileType` property, or its type/class if that names a tile type
+ * - the tileset's `tileType` property, or its name if that names a tile type
+ * Gids that map to nothing use the fallback type: the `fallbackType` option, else
+ * the map's `fallbackTileType` property, else DEFAULT_FALLBACK_TYPE - a blocking
+ * wall, so a missing mapping shows up instead of passing for grass.
+ */
+
+import { TileRegistry } from './TileRegistry.js';
+import { SecurityUtils } from '../utils/SecurityUtils.js';
+
+// Tiled stores flip/rotation flags in the top bits of each gid
+const GID_MASK = 0x0fffffff;
+
+// Custom property names that must never be copied onto plain objects
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export class TiledImporter {
+    static SPAWN_CLASSES = new Set(['spawn', 'spawnpoint', 'spawn_point']);
+    static NPC_CLASSES = new Set(['npc']);
+    static DEFAULT_FALLBACK_TYPE = 'wall'; // Unmapped gids when neither the caller nor the map names a type
+
+    /**
+     * True if data looks like a Tiled JSON map (or a parsed TMX map)
+     */
+    static isTiledMap(data) {
+        return !!data && typeof data === 'object' && data.type === 'map' &&
+               Array.isArray(data.layers) && Number.isFinite(data.tilewidth);
+    }
+
+    /**
+     * Fetch a .tmj/.json or .tmx map, resolve external tilesets and convert it.
+     * Resolves validated world data, or null.
+     */
+    static async load(mapPath, options = {}) {
+        try {
+            const response = await fetch(mapPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load Tiled map: ${response.statusText}`);
+            }
+
+            const map = /\.tmx$/i.test(mapPath) ?
+                this.parseTMX(await response.text()) :
+                await response.json();
+
+            if (!this.isTiledMap(map)) {
+                console.error(`❌ TiledImporter: ${mapPath} is not a Tiled map`);
+                return null;
+            }
+
+            await this.resolveTilesets(map, mapPath);
+            return this.toWorldData(map, options);
+        } catch (error) {
+            console.error('❌ TiledImporter: Error loading Tiled map:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Replace external tileset references (.tsj/.json/.tsx) with their contents.
+     * Only files under worlds/ or assets/ are fetched.
+     */
+    static async resolveTilesets(map, mapPath) {
+        if (!Array.isArray(map.tilesets)) return;
+
+        await Promise.all(map.tilesets.map(async (tileset, index) => {
+            if (!tileset || typeof tileset.source !== 'string') return;
+
+            const path = this.resolvePath(mapPath, tileset.source);
+            if (!path) {
+                console.error(`❌ TiledImporter: Refusing tileset outside worlds/ or assets/: ${tileset.source}`);
+                return;
+            }
+
+            try {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(response.statusText);
+                }
+
+                const external = /\.tsx$/i.test(path) ?
+                    this.parseTSX(await response.text()) :
+                    await response.json();
+                map.tilesets[index] = { ...external, firstgid: tileset.firstgid };
+            } catch (error) {
+                console.warn(`⚠️ TiledImporter: Could not load tileset ${path} - its tiles use the fallback type`, error);
+            }
+        }));
+    }
+
+    /**
+     * Resolve a tileset path relative to its map, or null if it leaves the game folders
+     */
+    static resolvePath(mapPath, source) {
+        const parts = mapPath.replace(/^\.\.\//, '').split('/').slice(0, -1);
+        for (const part of source.split('/')) {
+            if (part === '..') {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else if (part !== '.' && part !== '') {
+                parts.push(part);
+            }
+        }
+
+        const path = parts.join('/');
+        return /^(worlds|assets)\/[a-zA-Z0-9_\-/]+\.(tsj|json|tsx)$/.test(path) ? path : null;
+    }
+
+    /**
+     * Convert a Tiled map to custom world data and validate it.
+     * Returns null if the result fails SecurityUtils.validateCustomWorld.
+     */
+    static toWorldData(map, options = {}) {
+        if (map.orientation && map.orientation !== 'orthogonal') {
+            console.warn(`⚠️ TiledImporter: ${map.orientation} maps are drawn as orthogonal`);
+        }
+        if (map.infinite) {
+            console.error('❌ TiledImporter: Infinite Tiled maps are not supported - export a fixed-size map');
+            return null;
+        }
+        if (map.tileheight !== map.tilewidth) {
+            console.warn(`⚠️ TiledImporter: Non-square tiles (${map.tilewidth}x${map.tileheight}) use the tile width`);
+        }
+
+        const mapProperties = this.readProperties(map.properties);
+        const fallbackType = this.resolveFallbackType(options.fallbackType || mapProperties.fallbackTileType || this.DEFAULT_FALLBACK_TYPE);
+        const gidTypes = this.buildGidTable(map.tilesets);
+        const unknownGids = new Map(); // gid -> tile count
+
+        const tileSize = map.tilewidth;
+        const worldData = {
+            version: '2.0',
+            metadata: {
+                name: typeof mapProperties.name === 'string' ? mapProperties.name : 'Tiled map',
+                source: 'tiled'
+            },
+            width: map.width,
+            height: map.height,
+            tileSize: tileSize,
+            layers: [],
+            activeLayerId: null,
+            npcs: [],
+            objects: [],
+            spawnPoints: { spawnPoints: [], spawnCount: 0, spawnTypes: [] }
+        };
+
+        this.flattenLayers(map.layers).forEach(layer => {
+            if (layer.type === 'tilelayer') {
+                const data = this.convertTileLayer(layer, map, gidTypes, fallbackType, unknownGids);
+                if (!data) return;
+                worldData.layers.push({
+                    id: `tiled_${layer.id ?? worldData.layers.length}`,
+                    name: layer.name || `Layer ${worldData.layers.length + 1}`,
+                    data: data,
+                    visible: layer.visible,
+                    opacity: Math.round(layer.opacity * 100)
+                });
+            } else if (layer.type === 'objectgroup') {
+                this.convertObjectLayer(layer, tileSize, worldData);
+            }
+        });
+
+        if (unknownGids.size > 0) {
+            const total = Array.from(unknownGids.values()).reduce((sum, count) => sum + count, 0);
+            const gids = Array.from(unknownGids.keys()).slice(0, 10).join(', ');
+            console.warn(`⚠️ TiledImporter: ${total} tiles have gids with no tile type (${gids}) - using '${fallbackType.name}'`);
+        }
+
+        // Runtime tile edits go to the topmost layer
+        const topLayer = worldData.layers[worldData.layers.length - 1];
+        worldData.activeLayerId = topLayer ? topLayer.id : null;
+
+        const spawnPoints = worldData.spawnPoints.spawnPoints;
+        worldData.spawnPoints.spawnCount = spawnPoints.length;
+        worldData.spawnPoints.spawnTypes = Array.from(new Set(spawnPoints.map(spawn => spawn.type)));
+
+        if (!SecurityUtils.validateCustomWorld(worldData)) {
+            console.error('❌ TiledImporter: Imported map failed validation');
+            return null;
+        }
+
+        console.log(`🗺️ TiledImporter: Imported ${map.width}x${map.height} map with ${worldData.layers.length} layers, ` +
+            `${spawnPoints.length} spawn points, ${worldData.npcs.length} NPCs and ${worldData.objects.length} objects`);
+        return worldData;
+    }
+
+    static resolveFallbackType(name) {
+        const tileType = TileRegistry.get(name);
+        if (!tileType) {
+            console.warn(`⚠️ TiledImporter: Unknown fallback tile type '${name}' - using '${this.DEFAULT_FALLBACK_TYPE}'`);
+            return TileRegistry.get(this.DEFAULT_FALLBACK_TYPE);
+        }
+        return tileType;
+    }
+
+    /**
+     * Map every gid that has a tile type - returns a gid -> TileRegistry id Map
+     */
+    static buildGidTable(tilesets) {
+        const gidTypes = new Map();
+        if (!Array.isArray(tilesets)) return gidTypes;
+
+        tilesets.forEach(tileset => {
+            if (!tileset || !Number.isInteger(tileset.firstgid)) return;
+
+            const properties = this.readProperties(tileset.properties);
+            const tilesetType = TileRegistry.get(properties.tileType) || TileRegistry.get(tileset.name);
+
+            // A whole tileset can stand for one tile type
+            if (tilesetType && Number.isInteger(tileset.tilecount)) {
+                for (let localId = 0; localId < tileset.tilecount; localId++) {
+                    gidTypes.set(tileset.firstgid + localId, tilesetType.id);
+                }
+            }
+
+            // Per-tile types override the tileset type
+            (Array.isArray(tileset.tiles) ? tileset.tiles : []).forEach(tile => {
+                if (!tile || !Number.isInteger(tile.id)) return;
+                const tileProperties = this.readProperties(tile.properties);
+                const tileType = TileRegistry.get(tileProperties.tileType) ||
+                                 TileRegistry.get(tile.type) ||
+                                 TileRegistry.get(tile.class);
+                if (tileType) {
+                    gidTypes.set(tileset.firstgid + tile.id, tileType.id);
+                }
+            });
+        });
+
+        return gidTypes;
+    }
+
+    /**
+     * Flatten group layers, combining their visibility and opacity
+     */
+    static flattenLayers(layers, parentVisible = true, parentOpacity = 1) {
+        const result = [];
+        (Array.isArray(layers) ? layers : []).forEach(layer => {
+            if (!layer || typeof layer !== 'object') return;
+
+            const visible = parentVisible && layer.visible !== false;
+            const opacity = parentOpacity * (Number.isFinite(layer.opacity) ? layer.opacity : 1);
+
+            if (layer.type === 'group') {
+                result.push(...this.flattenLayers(layer.layers, visible, opacity));
+            } else {
+                result.push({ ...layer, visible, opacity });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Convert a tile layer to rows of TileRegistry ids (0 = empty)
+     */
+    static convertTileLayer(layer, map, gidTypes, fallbackType, unknownGids) {
+        const gids = this.decodeLayerData(layer);
+        if (!gids) {
+            console.warn(`⚠️ TiledImporter: Skipping layer "${layer.name}" - unsupported data encoding`);
+            return null;
+        }
+
+        // Layers can be offset inside the map
+        const layerWidth = layer.width || map.width;
+        const offsetX = layer.x || 0;
+        const offsetY = layer.y || 0;
+
+        const rows = [];
+        for (let y = 0; y < map.height; y++) {
+            rows.push(new Array(map.width).fill(0));
+        }
+
+        for (let index = 0; index < gids.length; index++) {
+            const gid = gids[index] & GID_MASK;
+            if (!gid) continue;
+
+            const x = offsetX + index % layerWidth;
+            const y = offsetY + Math.floor(index / layerWidth);
+            if (x < 0 || y < 0 || x >= map.width || y >= map.height) continue;
+
+            let tileId = gidTypes.get(gid);
+            if (tileId === undefined) {
+                unknownGids.set(gid, (unknownGids.get(gid) || 0) + 1);
+                tileId = fallbackType.id;
+            }
+            rows[y][x] = tileId;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Layer gids as numbers: plain arrays, CSV (TMX) or uncompressed base64
+     */
+    static decodeLayerData(layer) {
+        if (Array.isArray(layer.data)) {
+            return layer.data.map(gid => Number(gid) >>> 0);
+        }
+
+        if (typeof layer.data !== 'string') return null;
+
+        if (layer.encoding === 'csv') {
+            return layer.data.split(',').map(gid => parseInt(gid.trim(), 10) >>> 0);
+        }
+
+        // Compressed layers need zlib/gzip/zstd, which the browser can't inflate synchronously
+        if (layer.encoding === 'base64' && !layer.compression) {
+            const bytes = atob(layer.data.trim());
+            const gids = [];
+            for (let i = 0; i + 3 < bytes.length; i += 4) {
+                gids.push((bytes.charCodeAt(i) |
+                          (bytes.charCodeAt(i + 1) << 8) |
+                          (bytes.charCodeAt(i + 2) << 16) |
+                          (bytes.charCodeAt(i + 3) << 24)) >>> 0);
+            }
+            return gids;
+        }
+
+        return null;
+    }
+
+    /**
+     * Sort an object layer into spawn points (tiles), NPCs and world objects (pixels)
+     */
+    static convertObjectLayer(layer, tileSize, worldData) {
+        (Array.isArray(layer.objects) ? layer.objects : []).forEach(object => {
+            if (!object || !Number.isFinite(object.x) || !Number.isFinite(object.y)) return;
+
+            const objectClass = String(object.type || object.class || '').toLowerCase();
+            const properties = this.readProperties(object.properties);
+            const name = typeof object.name === 'string' && object.name ? object.name.slice(0, 50) : null;
+
+            // Tile objects are anchored at their bottom-left corner
+            const x = Math.max(0, object.x);
+            const y = Math.max(0, object.gid ? object.y - (object.height || tileSize) : object.y);
+
+            if (this.SPAWN_CLASSES.has(objectClass)) {
+                const spawnPoints = worldData.spawnPoints.spawnPoints;
+                const spawnType = ['player', 'enemy', 'npc', 'item'].includes(properties.spawnType) ?
+                    properties.spawnType : 'player';
+                spawnPoints.push({
+                    id: spawnPoints.length + 1,
+                    x: Math.floor(x / tileSize),
+                    y: Math.floor(y / tileSize),
+                    type: spawnType,
+                    name: name || `Spawn Point ${spawnPoints.length + 1}`
+                });
+            } else if (this.NPC_CLASSES.has(objectClass)) {
+                // Tiled can't store arrays - dialogue lines are separated by new lines
+                const dialogue = typeof properties.dialogue === 'string' ?
+                    properties.dialogue.split('\n').map(line => line.trim()).filter(Boolean) : undefined;
+                // Custom NPC images are fetched by path, so they can't come from map properties
+                const { customImage, isCustom, ...npcProperties } = properties;
+                worldData.npcs.push({
+                    ...npcProperties,
+                    id: `tiled_npc_${object.id ?? worldData.npcs.length + 1}`,
+                    // NPCs placed from a definition keep its name unless the object is named
+                    name: name || (npcProperties.definition ? undefined : 'Unknown NPC'),
+                    x: x,
+                    y: y,
+                    units: 'pixels',
+                    ...(dialogue ? { dialogue } : {})
+                });
+            } else if (!object.point) {
+                worldData.objects.push({
+                    id: `tiled_object_${object.id ?? worldData.objects.length + 1}`,
+                    type: (objectClass || 'object').slice(0, 100),
+                    name: name || objectClass || 'object',
+                    x: x,
+                    y: y,
+                    units: 'pixels',
+                    width: Math.min(64, Math.max(1, (object.width || tileSize) / tileSize)),
+                    height: Math.min(64, Math.max(1, (object.height || tileSize) / tileSize)),
+                    color: typeof properties.color === 'string' ? properties.color.slice(0, 100) : undefined,
+                    solid: properties.solid === true,
+                    properties: properties
+                });
+            }
+        });
+    }
+
+    /**
+     * Tiled custom properties ([{ name, type, value }] or a plain object) as a plain object
+     */
+    static readProperties(properties) {
+        const result = {};
+        const entries = Array.isArray(properties) ?
+            properties.map(property => [property && property.name, property && property.value]) :
+            Object.entries(properties && typeof properties === 'object' ? properties : {});
+
+        entries.forEach(([name, value]) => {
+            if (typeof name !== 'string' || UNSAFE_KEYS.has(name)) return;
+            if (['string', 'number', 'boolean'].includes(typeof value)) {
+                result[name] = value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Parse TMX (XML) into the same structure as Tiled JSON
+     */
+    static parseTMX(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        const mapElement = doc.querySelector('map');
+        if (!mapElement || doc.querySelector('parsererror')) {
+            console.error('❌ TiledImporter: Invalid TMX file');
+            return null;
+        }
+
+        return {
+            type: 'map',
+            orientation: mapElement.getAttribute('orientation'),
+            infinite: mapElement.getAttribute('infinite') === '1',
+            width: this.intAttribute(mapElement, 'width'),
+            height: this.intAttribute(mapElement, 'height'),
+            tilewidth: this.intAttribute(mapElement, 'tilewidth'),
+            tileheight: this.intAttribute(mapElement, 'tileheight'),
+            properties: this.parseXMLProperties(mapElement),
+            tilesets: Array.from(mapElement.children)
+                .filter(element => element.tagName === 'tileset')
+                .map(element => element.hasAttribute('source') ?
+                    { firstgid: this.intAttribute(element, 'firstgid'), source: element.getAttribute('source') } :
+                    { ...this.parseTilesetElement(element), firstgid: this.intAttribute(element, 'firstgid') }),
+            layers: this.parseXMLLayers(mapElement)
+        };
+    }
+
+    /**
+     * Parse an external TSX tileset
+     */
+    static parseTSX(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        const tilesetElement = doc.querySelector('tileset');
+        if (!tilesetElement || doc.querySelector('parsererror')) {
+            throw new Error('Invalid TSX file');
+        }
+        return this.parseTilesetElement(tilesetElement);
+    }
+
+    static parseTilesetElement(element) {
+        return {
+            name: element.getAttribute('name'),
+            tilecount: this.intAttribute(element, 'tilecount'),
+            properties: this.parseXMLProperties(element),
+            tiles: Array.from(element.children)
+                .filter(child => child.tagName === 'tile')
+                .map(tile => ({
+                    id: this.intAttribute(tile, 'id'),
+                    type: tile.getAttribute('type') || undefined,
+                    class: tile.getAttribute('class') || undefined,
+                    properties: this.parseXMLProperties(tile)
+                }))
+        };
+    }
+
+    static parseXMLLayers(parent) {
+        const layers = [];
+        Array.from(parent.children).forEach(element => {
+            const common = {
+                id: this.intAttribute(element, 'id'),
+                name: element.getAttribute('name') || '',
+                visible: element.getAttribute('visible') !== '0',
+                opacity: element.hasAttribute('opacity') ? parseFloat(element.getAttribute('opacity')) : 1
+            };
+
+            if (element.tagName === 'layer') {
+                const data = element.querySelector('data');
+                layers.push({
+                    ...common,
+                    type: 'tilelayer',
+                    width: this.intAttribute(element, 'width'),
+                    height: this.intAttribute(element, 'height'),
+                    encoding: data ? data.getAttribute('encoding') || 'xml' : null,
+                    compression: data ? data.getAttribute('compression') : null,
+                    data: !data ? null : data.getAttribute('encoding') ?
+                        data.textContent :
+                        Array.from(data.querySelectorAll('tile')).map(tile => this.intAttribute(tile, 'gid') || 0)
+                });
+            } else if (element.tagName === 'objectgroup') {
+                layers.push({
+                    ...common,
+                    type: 'objectgroup',
+                    objects: Array.from(element.querySelectorAll('object')).map(object => ({
+                        id: this.intAttribute(object, 'id'),
+                        name: object.getAttribute('name') || '',
+                        type: object.getAttribute('type') || object.getAttribute('class') || '',
+                        x: parseFloat(object.getAttribute('x')) || 0,
+                        y: parseFloat(object.getAttribute('y')) || 0,
+                        width: parseFloat(object.getAttribute('width')) || 0,
+                        height: parseFloat(object.getAttribute('height')) || 0,
+                        gid: this.intAttribute(object, 'gid'),
+                        point: !!object.querySelector('point'),
+                        properties: this.parseXMLProperties(object)
+                    }))
+                });
+            } else if (element.tagName === 'group') {
+                layers.push({ ...common, type: 'group', layers: this.parseXMLLayers(element) });
+            }
+        });
+        return layers;
+    }
+
+    /**
+     * Direct <properties> child as [{ name, type, value }]
+     */
+    static parseXMLProperties(element) {
+        const propertiesElement = Array.from(element.children).find(child => child.tagName === 'properties');
+        if (!propertiesElement) return [];
+
+        return Array.from(propertiesElement.children)
+            .filter(child => child.tagName === 'property')
+            .map(property => {
+                const type = property.getAttribute('type') || 'string';
+                const raw = property.hasAttribute('value') ? property.getAttribute('value') : property.textContent;
+                let value = raw;
+                if (type === 'int' || type === 'float') value = Number(raw);
+                if (type === 'bool') value = raw === 'true';
+                return { name: property.getAttribute('name'), type, value };
+            });
+    }
+
+    static intAttribute(element, name) {
+        const value = parseInt(element.getAttribute(name), 10);
+        return Number.isFinite(value) ? value : undefined;
+    }
+}
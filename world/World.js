@@ -1,6 +1,26 @@
 import { SecurityUtils } from '../utils/SecurityUtils.js';
+import { WorldChunk } from './WorldChunk.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { TileRegistry } from './TileRegistry.js';
+import { WorldLayer } from './WorldLayer.js';
+import { WorldEntity } from './WorldEntity.js';
+import { GroundItem } from './GroundItem.js';
+import { ChunkRenderer } from './ChunkRenderer.js';
+import { Autotiler } from './Autotiler.js';
+import { DungeonGenerator } from './DungeonGenerator.js';
+import { TiledImporter } from './TiledImporter.js';
 
 export class World {
+    static WORLD_SIZES = {
+        small: { width: 2500, height: 1500 },
+        medium: { width: 3500, height: 2250 },
+        large: { width: 5000, height: 3500 },
+        huge: { width: 16000, height: 12000 }
+    };
+
+    // Files a custom world folder may hold, in the order they are tried - Tiled maps can be used as they are
+    static WORLD_FILES = ['world.json', 'map.tmj', 'map.tmx'];
+
     constructor(config = null, customWorldData = null) {
         // ✅ SECURITY FIX (VULN-010): Validate config before using
         if (config && !this.validateConfig(config)) {
@@ -11,12 +31,39 @@ export class World {
         // Use config if provided and valid, otherwise use defaults
         this.config = config || this.getDefaultConfig();
 
-        this.tiles = [];
         this.tileSize = 16;
+
+        // Chunked tile storage - chunks are generated on demand and evicted when far away
+        this.chunkSize = WorldChunk.SIZE;
+        this.chunks = new Map();
+        this.tileOverrides = new Map(); // Chunk key -> Map of tile key -> tile changed after generation, survive eviction
+        this.isProcedural = !customWorldData;
+        this.chunkLoadRadius = 3; // Chunks kept loaded around the player
+        this.chunkUnloadRadius = 5; // Chunks beyond this distance are evicted
+        this.maxLoadedChunks = 256;
+
+        // Editor-authored worlds can have several tile layers and placed objects
+        this.layers = []; // Bottom to top render order
+        this.activeLayerId = null; // Layer that runtime tile edits go to
+        this.entities = [];
+        this.spawnerData = []; // NPC spawner areas (pixels), set up by Game
+        this.groundItems = []; // Dropped loot - transient, not saved
+        this.tileVersion = 0; // Bumped on every tile edit so cached NPC paths can be dropped
+
+        this.tileTextures = new Map(); // Tile type name -> Image, from the TileRegistry
         this.groundTexture = null;
         this.waterTexture = null;
-        this.caveTexture = null;
         this.showGrid = true; // Grid lines toggle - enabled by default
+        this.renderDistance = 32; // Tiles across, synced from video settings by Game
+        this.fogIntensity = 75; // Edge fog percentage
+        this.chunkRenderer = new ChunkRenderer(this);
+        
+        // Edge and corner transitions come from the tileset atlas descriptor
+        this.autotiler = new Autotiler();
+        this.autotiler.load(Autotiler.DEFAULT_DESCRIPTOR, () => this.chunkRenderer.invalidateAll())
+            .then(loaded => {
+                if (loaded) this.chunkRenderer.invalidateAll();
+            });
         
         // Check if loading from custom world data
         if (customWorldData) {
@@ -25,11 +72,7 @@ export class World {
         } else {
             console.log('🌍 World: Using default world generation');
             // Set dimensions based on world size
-            const sizes = {
-                small: { width: 2500, height: 1500 },
-                medium: { width: 3500, height: 2250 },
-                large: { width: 5000, height: 3500 }
-            };
+            const sizes = World.WORLD_SIZES;
             
             const worldSize = sizes[this.config.worldSize] || sizes.medium;
             this.width = worldSize.width;
@@ -51,7 +94,17 @@ export class World {
     }
 
     // Load world from custom JSON data (from world editor)
-    loadFromCustomData(data) {
+    // options are passed to TiledImporter for Tiled maps, e.g. { fallbackType: 'water' }
+    loadFromCustomData(data, options = {}) {
+        // Maps exported from Tiled are converted (and validated) first
+        if (TiledImporter.isTiledMap(data)) {
+            const imported = TiledImporter.toWorldData(data, options);
+            if (!imported) {
+                console.error('❌ World: Tiled map could not be imported, loading an empty world');
+            }
+            data = imported || { width: 10, height: 10, metadata: { name: 'Empty' } };
+        }
+        
         console.log('🌍 World: Loading custom world:', data.metadata?.name || 'Unknown');
         console.log('📏 World: Custom world dimensions:', data.width, 'x', data.height);
         
@@ -67,62 +120,47 @@ export class World {
         this.width = data.width * this.tileSize;
         this.height = data.height * this.tileSize;
         
-        // Handle both old format (tiles array) and new format (mapData 2D arrays)
-        if (data.tiles && Array.isArray(data.tiles)) {
+        // Custom worlds cannot be regenerated from a seed, so every chunk stays resident
+        this.chunks.clear();
+        this.chunkRenderer.invalidateAll();
+        this.tileOverrides.clear();
+        this.isProcedural = false;
+        this.layers = [];
+        this.activeLayerId = null;
+        
+        // Layered format takes precedence - mapData is the editor's flattened copy
+        if (Array.isArray(data.layers) && data.layers.length > 0) {
+            console.log('🧱 World: Loading tiles from layers:', data.layers.length);
+            this.loadLayersFromData(data.layers, data.activeLayerId);
+        } else if (data.tiles && Array.isArray(data.tiles)) {
             // Old format: individual tile objects
             console.log('🧱 World: Loading tiles from old format:', data.tiles.length);
-            this.tiles = data.tiles.map(tile => ({
-                x: tile.x * this.tileSize,
-                y: tile.y * this.tileSize,
-                type: tile.type,
-                color: tile.color,
-                textureVariant: Math.random() // Add some variety
-            }));
+            data.tiles.forEach(tile => {
+                this.placeTile(tile.x, tile.y, {
+                    x: tile.x * this.tileSize,
+                    y: tile.y * this.tileSize,
+                    type: tile.type,
+                    color: tile.color,
+                    textureVariant: Math.random() // Add some variety
+                });
+            });
         } else if (data.mapData && Array.isArray(data.mapData)) {
             // New format: 2D mapData arrays
             console.log('🧱 World: Loading tiles from new format (mapData)');
-            this.tiles = [];
             
             // Convert 2D mapData to individual tile objects
             for (let y = 0; y < data.mapData.length; y++) {
                 for (let x = 0; x < data.mapData[y].length; x++) {
                     const tileValue = data.mapData[y][x];
                     if (tileValue > 0) { // Only add non-empty tiles
-                        // Map tile values to types and colors
-                        let type = 'grass';
-                        let color = '#4CAF50';
-                        
-                        switch (tileValue) {
-                            case 1:
-                                type = 'grass';
-                                color = '#4CAF50';
-                                break;
-                            case 2:
-                                type = 'water';
-                                color = '#2196F3';
-                                break;
-                            case 3:
-                                type = 'trail';
-                                color = '#8B4513';
-                                break;
-                            case 4:
-                                type = 'cave';
-                                color = '#607D8B';
-                                break;
-                            case 5:
-                                type = 'mana';
-                                color = '#9C27B0';
-                                break;
-                            default:
-                                type = 'grass';
-                                color = '#4CAF50';
-                        }
+                        // Unknown tile ids fall back to the registry's default type
+                        const tileType = TileRegistry.getById(tileValue) || TileRegistry.resolve();
                         
-                        this.tiles.push({
+                        this.placeTile(x, y, {
                             x: x * this.tileSize,
                             y: y * this.tileSize,
-                            type: type,
-                            color: color,
+                            type: tileType.name,
+                            color: tileType.color,
                             textureVariant: Math.random()
                         });
                     }
@@ -130,21 +168,32 @@ export class World {
             }
         } else {
             console.warn('🌍 World: No tiles or mapData found, initializing empty world');
-            this.tiles = [];
         }
         
+        // Custom chunks are never evicted
+        this.chunks.forEach(chunk => {
+            chunk.isPersistent = true;
+        });
+        
         // Load NPCs from world data
         this.loadNPCsFromData(data);
         
         // Load spawn points from world data
         this.loadSpawnPointsFromData(data);
         
+        // Load placed objects from world data
+        this.loadObjectsFromData(data);
+        
+        // Load NPC spawners from world data
+        this.loadSpawnersFromData(data);
+        
         // Enhanced debug logging
         console.log(`🌍 World loaded: ${this.width}x${this.height} pixels`);
         console.log(`🧱 Tile size: ${this.tileSize}px`);
         console.log(`🗺️ Map dimensions: ${data.width}x${data.height} tiles`);
-        console.log(`🎨 Tiles loaded: ${this.tiles.length}`);
+        console.log(`🎨 Tiles loaded: ${this.getLoadedTileCount()} in ${this.chunks.size} chunks`);
         console.log(`📍 Spawn points: ${this.spawnPoints ? this.spawnPoints.length : 0}`);
+        console.log(`🗂️ Layers: ${this.layers.length}, objects: ${this.entities.length}`);
         console.log(`🐭 NPCs: ${this.npcData ? this.npcData.length : 0}`);
         
         // Log first spawn point for debugging
@@ -159,7 +208,7 @@ export class World {
             console.log(`🐭 First NPC: ${firstNPC.name} at pixel (${firstNPC.x}, ${firstNPC.y})`);
         }
         
-        console.log(`Custom world loaded: ${this.width}x${this.height} (${this.tiles.length} tiles)`);
+        console.log(`Custom world loaded: ${this.width}x${this.height} (${this.getLoadedTileCount()} tiles)`);
     }
 
     /**
@@ -178,7 +227,9 @@ export class World {
                 // Heuristic: if coordinates are small (< 100), likely tile coordinates
                 // If large (>= 100), likely pixel coordinates
                 // Special case: if coordinates are multiples of tileSize, they might be pixel coordinates
-                const isLikelyTileCoords = (npcData.x < 100 && npcData.y < 100) && 
+                // Generated maps state their units and skip the heuristic
+                const isLikelyTileCoords = npcData.units ? npcData.units === 'tiles' :
+                                         (npcData.x < 100 && npcData.y < 100) && 
                                          !(npcData.x % this.tileSize === 0 && npcData.y % this.tileSize === 0 && npcData.x >= this.tileSize);
                 
                 if (isLikelyTileCoords) {
@@ -246,6 +297,7 @@ export class World {
                     health: 100,
                     maxHealth: 100,
                     behavior: archetype?.behavior?.behavior || 'wander',
+                    ai: archetype?.behavior?.ai,
                     wanderRadius: archetype?.behavior?.wanderRadius || 50,
                     interactable: true,
                     color: '#8b4513',
@@ -310,6 +362,219 @@ export class World {
         }
     }
 
+    /**
+     * Load editor tile layers and build the gameplay tile grid from them
+     */
+    loadLayersFromData(layersData, activeLayerId = null) {
+        const tilesX = Math.floor(this.width / this.tileSize);
+        const tilesY = Math.floor(this.height / this.tileSize);
+        
+        this.layers = layersData.map(layerData => WorldLayer.fromData(layerData, tilesX, tilesY, this.tileSize));
+        
+        // Fall back to the top layer if the active layer is missing
+        const activeLayer = this.getLayer(activeLayerId);
+        this.activeLayerId = activeLayer ? activeLayer.id : this.layers[this.layers.length - 1].id;
+        
+        this.layers.forEach(layer => {
+            console.log(`🗂️ Layer: ${layer.name} (visible: ${layer.visible}, opacity: ${Math.round(layer.opacity * 100)}%)`);
+        });
+        
+        this.rebuildLayeredTiles();
+    }
+
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId) || null;
+    }
+
+    /**
+     * Topmost tile across visible layers - this is the tile used for collision and gameplay
+     */
+    getLayeredTile(tileX, tileY) {
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            const layer = this.layers[i];
+            if (!layer.visible) continue;
+            
+            const tile = layer.getTile(tileX, tileY);
+            if (tile) return tile;
+        }
+        return null;
+    }
+
+    /**
+     * Rebuild chunk storage from the layers after loading or a visibility change
+     */
+    rebuildLayeredTiles() {
+        const tilesX = Math.floor(this.width / this.tileSize);
+        const tilesY = Math.floor(this.height / this.tileSize);
+        
+        this.chunks.clear();
+        this.chunkRenderer.invalidateAll();
+        for (let y = 0; y < tilesY; y++) {
+            for (let x = 0; x < tilesX; x++) {
+                const tile = this.getLayeredTile(x, y);
+                if (tile) {
+                    this.placeTile(x, y, tile);
+                }
+            }
+        }
+        
+        this.chunks.forEach(chunk => {
+            chunk.isPersistent = true;
+        });
+    }
+
+    /**
+     * Show or hide a layer - hidden layers are neither drawn nor collide
+     */
+    setLayerVisibility(layerId, visible) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return false;
+        
+        layer.visible = visible;
+        this.rebuildLayeredTiles();
+        return true;
+    }
+
+    /**
+     * Load NPC spawners from world data - areas are stored in pixels
+     */
+    loadSpawnersFromData(data) {
+        this.spawnerData = [];
+        if (data.spawners === undefined) return;
+        
+        if (!SecurityUtils.validateSpawners(data.spawners)) {
+            console.warn('⚠️ World: Invalid spawners ignored');
+            return;
+        }
+        
+        // Spawner areas default to tiles, as placed in the editor
+        this.spawnerData = data.spawners.map(spawner => {
+            const scale = spawner.units === 'pixels' ? 1 : this.tileSize;
+            return {
+                ...spawner,
+                x: spawner.x * scale,
+                y: spawner.y * scale,
+                width: (spawner.width || 1) * scale,
+                height: (spawner.height || 1) * scale,
+                units: 'pixels'
+            };
+        });
+        
+        console.log(`🐣 Loaded ${this.spawnerData.length} NPC spawners`);
+    }
+
+    /**
+     * Load placed objects from world data as world entities
+     */
+    loadObjectsFromData(data) {
+        this.entities = [];
+        if (!Array.isArray(data.objects)) return;
+        
+        data.objects.forEach(objectData => {
+            if (!objectData || !Number.isFinite(objectData.x) || !Number.isFinite(objectData.y)) return;
+            
+            // Same tile/pixel coordinate heuristic as NPCs from the editor
+            const isLikelyTileCoords = objectData.units ? objectData.units === 'tiles' :
+                                     (objectData.x < 100 && objectData.y < 100) && 
+                                     !(objectData.x % this.tileSize === 0 && objectData.y % this.tileSize === 0 && objectData.x >= this.tileSize);
+            
+            this.entities.push(new WorldEntity({
+                ...objectData,
+                x: isLikelyTileCoords ? objectData.x * this.tileSize : objectData.x,
+                y: isLikelyTileCoords ? objectData.y * this.tileSize : objectData.y
+            }, this.tileSize));
+        });
+        
+        console.log(`🪨 Loaded ${this.entities.length} world objects`);
+    }
+
+    /**
+     * Draw world objects inside the visible tile range, respecting their layer
+     */
+    renderEntities(ctx, startX, startY, endX, endY) {
+        if (this.entities.length === 0) return;
+        
+        const left = startX * this.tileSize;
+        const top = startY * this.tileSize;
+        const width = (endX - startX) * this.tileSize;
+        const height = (endY - startY) * this.tileSize;
+        
+        this.entities.forEach(entity => {
+            if (!entity.intersects(left, top, width, height)) return;
+            
+            const layer = entity.layerId ? this.getLayer(entity.layerId) : null;
+            if (layer && (!layer.visible || layer.opacity <= 0)) return;
+            
+            ctx.save();
+            ctx.globalAlpha = layer ? layer.opacity : 1;
+            entity.render(ctx);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Draw dropped items inside the visible tile range
+     */
+    renderGroundItems(ctx, startX, startY, endX, endY) {
+        const left = startX * this.tileSize;
+        const top = startY * this.tileSize;
+        const width = (endX - startX) * this.tileSize;
+        const height = (endY - startY) * this.tileSize;
+        
+        this.groundItems.forEach(groundItem => {
+            if (groundItem.intersects(left, top, width, height)) {
+                groundItem.render(ctx);
+            }
+        });
+    }
+
+    /**
+     * Drop an item on the ground at a position in pixels
+     */
+    addGroundItem(item, x, y, lifetime) {
+        const groundItem = new GroundItem(item, x, y, lifetime, this.tileSize);
+        this.groundItems.push(groundItem);
+        return groundItem;
+    }
+
+    /**
+     * Remove a dropped item (picked up or expired)
+     */
+    removeGroundItem(groundItem) {
+        const index = this.groundItems.indexOf(groundItem);
+        if (index === -1) return false;
+        
+        this.groundItems.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Count down dropped items' lifetimes and despawn expired ones
+     */
+    updateGroundItems(deltaTime) {
+        this.groundItems = this.groundItems.filter(groundItem => groundItem.update(deltaTime));
+    }
+
+    /**
+     * Nearest dropped item within reach of a box in pixels, or null
+     */
+    getGroundItemAt(x, y, size, reach = this.tileSize) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        this.groundItems.forEach(groundItem => {
+            if (!groundItem.intersects(x - reach, y - reach, size + reach * 2, size + reach * 2)) return;
+            
+            const distance = Math.hypot(groundItem.x - x, groundItem.y - y);
+            if (distance < nearestDistance) {
+                nearest = groundItem;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    }
+
     /**
      * Get spawn points by type
      */
@@ -344,8 +609,115 @@ export class World {
         };
     }
 
+    /**
+     * Get a spawn point by its editor name - used as portal destinations
+     */
+    getSpawnPointByName(name) {
+        if (!name || !Array.isArray(this.spawnPoints)) return null;
+        
+        const spawnPoint = this.spawnPoints.find(spawn => spawn.name === name);
+        if (!spawnPoint) return null;
+        
+        return {
+            x: spawnPoint.x,
+            y: spawnPoint.y,
+            type: spawnPoint.type,
+            name: spawnPoint.name
+        };
+    }
+
+    /**
+     * Portal or door object touching a box in pixels, or null
+     */
+    getPortalAt(x, y, size, reach = this.tileSize / 2) {
+        return this.entities.find(entity =>
+            entity.isPortal() &&
+            entity.intersects(x - reach, y - reach, size + reach * 2, size + reach * 2)
+        ) || null;
+    }
+
+    /**
+     * Build the World for a map reference (see SecurityUtils.validateMapReference).
+     * Resolves null if the map cannot be loaded.
+     */
+    static async loadMap(mapRef) {
+        if (!SecurityUtils.validateMapReference(mapRef)) {
+            return null;
+        }
+        
+        if (mapRef.type === 'generated') {
+            return new World(mapRef.config);
+        }
+        
+        if (mapRef.type === 'dungeon') {
+            return World.createDungeon(mapRef);
+        }
+        
+        const worldData = await World.loadCustomWorld(mapRef.id);
+        return worldData ? new World(null, worldData) : null;
+    }
+
+    /**
+     * Load a custom world by folder name - the first of WORLD_FILES found in worlds/<id>/.
+     * options are passed to TiledImporter for Tiled maps, e.g. { fallbackType: 'water' }
+     */
+    static async loadCustomWorld(id, options = {}) {
+        for (const file of World.WORLD_FILES) {
+            const worldData = await World.loadFromFile(`worlds/${id}/${file}`, options);
+            if (worldData) return worldData;
+        }
+        return null;
+    }
+
+    /**
+     * Generate a dungeon interior from a validated dungeon map reference.
+     * Synchronous, so saves can rebuild the dungeon (and its NPCs) on load.
+     */
+    static createDungeon(mapRef) {
+        const generator = new DungeonGenerator(mapRef.seed);
+        return new World(null, generator.toWorldData(mapRef.returnMap, mapRef.returnPosition || null));
+    }
+
+    /**
+     * First tile (top-left-most) of the connected region of one tile type.
+     * Identifies a whole cave no matter which of its tiles the player stepped on.
+     */
+    getRegionAnchor(tileX, tileY, maxTiles = 4096) {
+        const tileType = this.getTileType(tileX, tileY);
+        const anchor = { x: tileX, y: tileY };
+        if (!tileType) return anchor;
+        
+        const visited = new Set([`${tileX},${tileY}`]);
+        const stack = [anchor];
+        while (stack.length > 0 && visited.size < maxTiles) {
+            const tile = stack.pop();
+            if (tile.y < anchor.y || (tile.y === anchor.y && tile.x < anchor.x)) {
+                anchor.x = tile.x;
+                anchor.y = tile.y;
+            }
+            
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const x = tile.x + dx;
+                const y = tile.y + dy;
+                const key = `${x},${y}`;
+                if (visited.has(key) || !this.isTileInBounds(x, y) || this.getTileType(x, y) !== tileType) continue;
+                visited.add(key);
+                stack.push({ x, y });
+            }
+        }
+        return anchor;
+    }
+
+    /**
+     * Map reference for a file under worlds/<id>/ - null for anything else
+     */
+    static customMapReference(worldPath) {
+        const match = /^(?:\.\.\/)?worlds\/([a-z0-9-_]{1,50})\//i.exec(worldPath);
+        return match ? { type: 'custom', id: match[1] } : null;
+    }
+
     // Static method to load world from JSON file - CACHE BUST
-    static async loadFromFile(worldPath) {
+    static async loadFromFile(worldPath, options = {}) {
         // ✅ SECURITY FIX (VULN-012): Validate path format to prevent path traversal
         console.log('🔍 DEBUG: Testing path:', worldPath);
         console.log('🔍 DEBUG: Path length:', worldPath.length);
@@ -360,6 +732,15 @@ export class World {
         //     return null;
         // }
         
+        // Tiled maps are converted and validated by the importer
+        if (/\.(tmj|tmx)$/i.test(worldPath)) {
+            const tiledData = await TiledImporter.load(worldPath, options);
+            if (tiledData) {
+                tiledData.mapRef = World.customMapReference(worldPath);
+            }
+            return tiledData;
+        }
+        
         try {
             console.log('🔍 DEBUG: Fetching world from:', worldPath);
             const response = await fetch(worldPath);
@@ -367,9 +748,16 @@ export class World {
             if (!response.ok) {
                 throw new Error(`Failed to load world: ${response.statusText}`);
             }
-            const data = await response.json();
+            let data = await response.json();
             console.log('🔍 DEBUG: World data loaded, validating...');
             
+            // A Tiled JSON export saved as world.json
+            if (TiledImporter.isTiledMap(data)) {
+                await TiledImporter.resolveTilesets(data, worldPath);
+                data = TiledImporter.toWorldData(data, options);
+                if (!data) return null;
+            }
+            
             // ✅ SECURITY FIX (VULN-012): Validate loaded world data
             if (!SecurityUtils.validateCustomWorld(data)) {
                 console.error('Invalid custom world data structure');
@@ -377,6 +765,8 @@ export class World {
             }
             
             console.log('🔍 DEBUG: World validation passed!');
+            // Remember which worlds/ folder this came from so saves and portals can find it again
+            data.mapRef = World.customMapReference(worldPath);
             return data;
         } catch (error) {
             console.error('Error loading custom world:', error);
@@ -395,6 +785,7 @@ export class World {
             }
         }
         this.seed = Math.abs(hash);
+        this.worldSeed = this.seed; // Fixed copy - seededRandom() advances this.seed
     }
 
     // Seeded random number generator (0 to 1)
@@ -404,94 +795,421 @@ export class World {
         return this.seed / 4294967296;
     }
 
-    loadTextures() {
-        // Load ground texture
-        this.groundTexture = new Image();
-        this.groundTexture.src = 'assets/Ground_Texture_1.png';
-        this.groundTexture.onload = () => {
-            console.log('Ground texture loaded successfully');
-        };
-        this.groundTexture.onerror = () => {
-            console.error('Failed to load ground texture');
-        };
+    // Order-independent random value (0 to 1) for a tile coordinate
+    // Chunks can be generated in any order and still produce the same map
+    tileRandom(tileX, tileY, salt = 0) {
+        let h = (this.worldSeed ^ Math.imul(tileX, 0x27d4eb2d) ^ Math.imul(tileY, 0x165667b1) ^ Math.imul(salt, 0x9e3779b9)) | 0;
+        h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
 
-        // Load water texture
-        this.waterTexture = new Image();
-        this.waterTexture.src = 'assets/Water_Texture.png';
-        this.waterTexture.onload = () => {
-            console.log('Water texture loaded successfully');
-        };
-        this.waterTexture.onerror = () => {
-            console.error('Failed to load water texture');
-        };
+    loadTextures() {
+        // Load one texture per registered tile type
+        this.tileTextures.clear();
+        TileRegistry.getAll().forEach(tileType => {
+            if (!tileType.texture) return;
 
-        // Load cave texture
-        this.caveTexture = new Image();
-        this.caveTexture.src = 'assets/Cave_Texture_1.png';
-        this.caveTexture.onload = () => {
-            console.log('Cave texture loaded successfully');
-        };
-        this.caveTexture.onerror = () => {
-            console.error('Failed to load cave texture');
-        };
+            const texture = new Image();
+            texture.src = tileType.texture;
+            texture.onload = () => {
+                console.log(`${tileType.name} texture loaded successfully`);
+                // Chunks cached before the texture arrived used the fallback color
+                this.chunkRenderer.invalidateAll();
+            };
+            texture.onerror = () => {
+                console.error(`Failed to load ${tileType.name} texture`);
+            };
+            this.tileTextures.set(tileType.name, texture);
+        });
 
-        // Load trail texture
-        this.trailTexture = new Image();
-        this.trailTexture.src = 'assets/trail_1.png';
-        this.trailTexture.onload = () => {
-            console.log('Trail texture loaded successfully');
-        };
-        this.trailTexture.onerror = () => {
-            console.error('Failed to load trail texture');
-        };
+        // Grass and water also fill empty tiles and the area beyond the world edge
+        this.groundTexture = this.tileTextures.get('grass') || null;
+        this.waterTexture = this.tileTextures.get('water') || null;
     }
 
+    /**
+     * Reset the generated world - chunks are rebuilt lazily from the seed
+     */
     generateWorld() {
-        const tilesX = this.width / this.tileSize;
-        const tilesY = this.height / this.tileSize;
-        
-        // Get percentages from config
-        const percentages = this.config.tilePercentages;
-        
-        // Convert percentages to cumulative thresholds (0-1 range)
-        const caveThreshold = percentages.cave / 100;
-        const wallThreshold = caveThreshold + (percentages.wall / 100);
-        const waterThreshold = wallThreshold + (percentages.water / 100);
-        const grassThreshold = 1.0; // Everything else is grass (should be 100% total)
-        
-        for (let x = 0; x < tilesX; x++) {
-            for (let y = 0; y < tilesY; y++) {
-                const random = this.seededRandom();
-                let tileType, tileColor;
+        this.chunks.clear();
+        this.chunkRenderer.invalidateAll();
+        this.tileOverrides.clear();
+        this.isProcedural = true;
+        
+        // Noise thresholds are calibrated once so tilePercentages act as target proportions
+        this.terrain = new TerrainGenerator(
+            this.worldSeed,
+            this.config.tilePercentages,
+            Math.floor(this.width / this.tileSize),
+            Math.floor(this.height / this.tileSize)
+        );
+    }
+
+    /**
+     * Generate a single chunk from the world seed
+     */
+    generateChunk(chunkX, chunkY) {
+        const chunk = new WorldChunk(chunkX, chunkY, this.chunkSize, this.tileSize);
+        const tilesX = Math.floor(this.width / this.tileSize);
+        const tilesY = Math.floor(this.height / this.tileSize);
+        
+        for (let localY = 0; localY < this.chunkSize; localY++) {
+            for (let localX = 0; localX < this.chunkSize; localX++) {
+                const x = chunkX * this.chunkSize + localX;
+                const y = chunkY * this.chunkSize + localY;
+                if (x >= tilesX || y >= tilesY) continue;
                 
-                // Use cumulative probability thresholds
-                if (random < caveThreshold) {
-                    // Cave tiles
-                    tileType = 'cave';
-                    tileColor = '#603000'; // Dark brown for cave
-                } else if (random < wallThreshold) {
-                    // Wall tiles
-                    tileType = 'wall';
-                    tileColor = '#8b5a2b';
-                } else if (random < waterThreshold) {
-                    // Water tiles
-                    tileType = 'water';
-                    tileColor = '#4169E1'; // Royal blue for water
-                } else {
-                    // Grass tiles (everything remaining)
-                    tileType = 'grass';
-                    tileColor = '#4a7c59';
-                }
+                // Coherent noise terrain - same seed always gives the same map
+                const terrain = this.terrain.classify(x, y);
                 
-                this.tiles.push({
+                chunk.setTile(localX, localY, {
                     x: x * this.tileSize,
                     y: y * this.tileSize,
-                    type: tileType,
-                    color: tileColor,
-                    textureVariant: this.seededRandom() // For future texture variations
+                    type: terrain.type,
+                    color: terrain.color,
+                    biome: terrain.biome,
+                    textureVariant: this.tileRandom(x, y, 1) // For future texture variations
                 });
             }
         }
+        
+        // Re-apply edits made before this chunk was last evicted
+        const edits = this.tileOverrides.get(WorldChunk.key(chunkX, chunkY));
+        if (edits) {
+            edits.forEach((tile, key) => {
+                const [x, y] = key.split(',').map(Number);
+                chunk.setTile(x - chunkX * this.chunkSize, y - chunkY * this.chunkSize, tile);
+            });
+        }
+        
+        return chunk;
+    }
+
+    /**
+     * Get a chunk by chunk coordinates, generating it if needed
+     */
+    getChunk(chunkX, chunkY, create = true) {
+        const key = WorldChunk.key(chunkX, chunkY);
+        let chunk = this.chunks.get(key);
+        
+        if (!chunk && create && this.isProcedural && this.isChunkInBounds(chunkX, chunkY)) {
+            chunk = this.generateChunk(chunkX, chunkY);
+            this.chunks.set(key, chunk);
+        }
+        
+        if (chunk) {
+            chunk.touch();
+        }
+        return chunk || null;
+    }
+
+    isChunkInBounds(chunkX, chunkY) {
+        const chunksX = Math.ceil(this.width / this.tileSize / this.chunkSize);
+        const chunksY = Math.ceil(this.height / this.tileSize / this.chunkSize);
+        return chunkX >= 0 && chunkY >= 0 && chunkX < chunksX && chunkY < chunksY;
+    }
+
+    /**
+     * Place a tile into chunk storage (tile coordinates)
+     */
+    placeTile(tileX, tileY, tile) {
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const key = WorldChunk.key(chunkX, chunkY);
+        
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            chunk = this.isProcedural ? this.getChunk(chunkX, chunkY) : new WorldChunk(chunkX, chunkY, this.chunkSize, this.tileSize);
+            if (!chunk) return;
+            this.chunks.set(key, chunk);
+        }
+        
+        chunk.setTile(tileX - chunkX * this.chunkSize, tileY - chunkY * this.chunkSize, tile);
+        this.invalidateNeighbourhood(tileX, tileY);
+    }
+
+    /**
+     * A tile change affects its own and its 8 neighbours' autotile variants and chunk canvases
+     */
+    invalidateNeighbourhood(tileX, tileY) {
+        this.tileVersion++;
+        
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = tileX + dx;
+                const y = tileY + dy;
+                const chunkX = Math.floor(x / this.chunkSize);
+                const chunkY = Math.floor(y / this.chunkSize);
+                
+                // Only loaded chunks hold cached variants
+                const chunk = this.chunks.get(WorldChunk.key(chunkX, chunkY));
+                if (chunk) {
+                    chunk.grid.invalidateAutotile(x - chunkX * this.chunkSize, y - chunkY * this.chunkSize);
+                }
+                this.chunkRenderer.invalidateTile(x, y);
+            }
+        }
+    }
+
+    /**
+     * Autotile mask for a tile, or -1 if its type has no transitions.
+     * Cached per tile and recomputed only after a neighbour changes.
+     */
+    getAutotileMask(tileX, tileY) {
+        const tileType = this.getTileType(tileX, tileY);
+        if (!tileType || !this.autotiler.hasRules(tileType.name)) return -1;
+        
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const grid = this.getChunk(chunkX, chunkY).grid;
+        const localX = tileX - chunkX * this.chunkSize;
+        const localY = tileY - chunkY * this.chunkSize;
+        
+        let mask = grid.getAutotileMask(localX, localY);
+        if (mask < 0) {
+            mask = this.autotiler.computeMask(tileType.name, tileX, tileY, (x, y) => {
+                if (!this.isTileInBounds(x, y)) return undefined;
+                const neighbour = this.getTileType(x, y);
+                return neighbour ? neighbour.name : null;
+            });
+            grid.setAutotileMask(localX, localY, mask);
+        }
+        return mask;
+    }
+
+    /**
+     * Change a tile at runtime - edits are remembered across chunk eviction and saves
+     */
+    setTile(tileX, tileY, tile) {
+        if (!this.isTileInBounds(tileX, tileY)) return false;
+        
+        const placed = {
+            x: tileX * this.tileSize,
+            y: tileY * this.tileSize,
+            ...tile
+        };
+        
+        // Layered worlds edit the active layer, then refresh the gameplay tile
+        const activeLayer = this.getLayer(this.activeLayerId);
+        if (activeLayer) {
+            activeLayer.setTile(tileX, tileY, placed);
+            this.placeTile(tileX, tileY, this.getLayeredTile(tileX, tileY));
+            return true;
+        }
+        
+        this.placeTile(tileX, tileY, placed);
+        
+        if (this.isProcedural) {
+            const chunkKey = WorldChunk.key(Math.floor(tileX / this.chunkSize), Math.floor(tileY / this.chunkSize));
+            if (!this.tileOverrides.has(chunkKey)) {
+                this.tileOverrides.set(chunkKey, new Map());
+            }
+            this.tileOverrides.get(chunkKey).set(`${tileX},${tileY}`, placed);
+        }
+        return true;
+    }
+
+    /**
+     * Whether an NPC can stand on a tile - walkable (or empty) terrain with no solid object on it
+     */
+    isTileWalkable(tileX, tileY) {
+        if (!this.isTileInBounds(tileX, tileY)) return false;
+        
+        const tileType = this.getTileType(tileX, tileY);
+        if (tileType && !tileType.walkable) return false;
+        
+        if (this.entities.length === 0) return true;
+        const left = tileX * this.tileSize;
+        const top = tileY * this.tileSize;
+        return !this.entities.some(entity => entity.solid && entity.intersects(left, top, this.tileSize, this.tileSize));
+    }
+
+    isTileInBounds(tileX, tileY) {
+        return tileX >= 0 && tileY >= 0 && 
+               tileX < Math.floor(this.width / this.tileSize) && 
+               tileY < Math.floor(this.height / this.tileSize);
+    }
+
+    /**
+     * Get tile by tile coordinates
+     */
+    getTile(tileX, tileY) {
+        if (!this.isTileInBounds(tileX, tileY)) {
+            return null;
+        }
+        
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const chunk = this.getChunk(chunkX, chunkY);
+        if (!chunk) {
+            return null;
+        }
+        
+        return chunk.getTile(tileX - chunkX * this.chunkSize, tileY - chunkY * this.chunkSize);
+    }
+
+    /**
+     * Get the TileRegistry definition by tile coordinates, null if empty.
+     * Reads the typed tile grid directly - use this for collision and other hot paths.
+     */
+    getTileType(tileX, tileY) {
+        if (!this.isTileInBounds(tileX, tileY)) {
+            return null;
+        }
+        
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const chunk = this.getChunk(chunkX, chunkY);
+        if (!chunk) {
+            return null;
+        }
+        
+        return chunk.getTileType(tileX - chunkX * this.chunkSize, tileY - chunkY * this.chunkSize);
+    }
+
+    /**
+     * Load chunks around a world position and evict chunks that are far away
+     */
+    update(centerX, centerY) {
+        const centerChunkX = Math.floor(centerX / this.tileSize / this.chunkSize);
+        const centerChunkY = Math.floor(centerY / this.tileSize / this.chunkSize);
+        
+        if (this.isProcedural) {
+            for (let dy = -this.chunkLoadRadius; dy <= this.chunkLoadRadius; dy++) {
+                for (let dx = -this.chunkLoadRadius; dx <= this.chunkLoadRadius; dx++) {
+                    this.getChunk(centerChunkX + dx, centerChunkY + dy);
+                }
+            }
+        }
+        
+        this.evictChunks(centerChunkX, centerChunkY);
+    }
+
+    /**
+     * Evict chunks outside the unload radius, then least recently used chunks over the cap
+     */
+    evictChunks(centerChunkX, centerChunkY) {
+        const evictable = [];
+        
+        this.chunks.forEach((chunk, key) => {
+            if (chunk.isPersistent) return;
+            
+            const distance = Math.max(Math.abs(chunk.chunkX - centerChunkX), Math.abs(chunk.chunkY - centerChunkY));
+            if (distance > this.chunkUnloadRadius) {
+                this.chunks.delete(key);
+            } else {
+                evictable.push(chunk);
+            }
+        });
+        
+        const overCap = this.chunks.size - this.maxLoadedChunks;
+        if (overCap > 0) {
+            evictable.sort((a, b) => a.lastAccess - b.lastAccess);
+            evictable.slice(0, overCap).forEach(chunk => {
+                this.chunks.delete(WorldChunk.key(chunk.chunkX, chunk.chunkY));
+            });
+        }
+    }
+
+    getLoadedTileCount() {
+        let count = 0;
+        this.chunks.forEach(chunk => chunk.forEachTile(() => count++));
+        return count;
+    }
+
+    /**
+     * Serialize tile state for saving
+     * Generated worlds only store edited tiles - everything else is rebuilt from the seed
+     */
+    serialize() {
+        const tiles = [];
+        
+        if (this.isProcedural) {
+            this.tileOverrides.forEach(edits => edits.forEach(tile => tiles.push(tile)));
+        } else {
+            this.chunks.forEach(chunk => chunk.forEachTile(tile => tiles.push(tile)));
+        }
+        
+        return {
+            tiles: tiles,
+            width: this.width,
+            height: this.height,
+            tileSize: this.tileSize,
+            isProcedural: this.isProcedural,
+            layers: this.layers.map(layer => layer.toData()),
+            activeLayerId: this.activeLayerId,
+            objects: this.entities.map(entity => entity.toData(this.tileSize)),
+            spawnPoints: this.spawnPoints || [],
+            spawners: this.spawnerData
+        };
+    }
+
+    /**
+     * Restore tile state from saved world data
+     */
+    restoreTiles(worldData) {
+        if (!worldData || !Array.isArray(worldData.tiles)) return;
+        
+        if (worldData.isProcedural === false) {
+            this.width = worldData.width;
+            this.height = worldData.height;
+            this.tileSize = worldData.tileSize || this.tileSize;
+            this.chunks.clear();
+            this.chunkRenderer.invalidateAll();
+            this.tileOverrides.clear();
+            this.isProcedural = false;
+            this.layers = [];
+            this.activeLayerId = null;
+            this.entities = [];
+            
+            // Saved spawn points are already in pixels - portals arrive at them by name
+            if (Array.isArray(worldData.spawnPoints)) {
+                this.spawnPoints = worldData.spawnPoints.filter(spawn =>
+                    spawn && Number.isFinite(spawn.x) && Number.isFinite(spawn.y) &&
+                    spawn.x >= 0 && spawn.y >= 0 && spawn.x < this.width && spawn.y < this.height
+                );
+            }
+            
+            // Saved spawners are already in pixels
+            if (Array.isArray(worldData.spawners) && SecurityUtils.validateSpawners(worldData.spawners)) {
+                this.spawnerData = worldData.spawners;
+            }
+            
+            // Saved objects are already in pixels and sizes in tiles
+            if (Array.isArray(worldData.objects) && SecurityUtils.validateWorldObjects(worldData.objects)) {
+                this.entities = worldData.objects.map(objectData => new WorldEntity(objectData, this.tileSize));
+            }
+            
+            // Layered worlds rebuild their tiles from the saved layers
+            const tilesX = Math.floor(this.width / this.tileSize);
+            const tilesY = Math.floor(this.height / this.tileSize);
+            if (Array.isArray(worldData.layers) && worldData.layers.length > 0 &&
+                SecurityUtils.validateWorldLayers(worldData.layers, tilesX, tilesY)) {
+                this.loadLayersFromData(worldData.layers, worldData.activeLayerId);
+                return;
+            }
+        }
+        
+        // Older saves stored every tile - only those that differ from the seeded terrain become edits
+        worldData.tiles.forEach(tile => {
+            if (!tile || !Number.isFinite(tile.x) || !Number.isFinite(tile.y)) return;
+            const tileX = Math.floor(tile.x / this.tileSize);
+            const tileY = Math.floor(tile.y / this.tileSize);
+            if (this.isProcedural) {
+                if (this.isTileInBounds(tileX, tileY) && this.terrain.classify(tileX, tileY).type === tile.type) return;
+                this.setTile(tileX, tileY, tile);
+            } else {
+                this.placeTile(tileX, tileY, tile);
+            }
+        });
+        
+        if (!this.isProcedural) {
+            this.chunks.forEach(chunk => {
+                chunk.isPersistent = true;
+            });
+        }
     }
 
     canMove(x, y, size) {
@@ -504,22 +1222,21 @@ export class World {
             for (let j = -1; j <= 1; j++) {
                 const checkX = tileX + i;
                 const checkY = tileY + j;
-                if (checkX >= 0 && checkY >= 0 && checkX < this.width / this.tileSize && checkY < this.height / this.tileSize) {
-                    const tileIndex = checkY * (this.width / this.tileSize) + checkX;
-                    if (tileIndex < this.tiles.length) {
-                        const tile = this.tiles[tileIndex];
-                        if (tile && tile.type === 'wall') {
-                            const tileLeft = checkX * this.tileSize;
-                            const tileTop = checkY * this.tileSize;
-                            if (x < tileLeft + this.tileSize && x + size > tileLeft && y < tileTop + this.tileSize && y + size > tileTop) {
-                                return false;
-                            }
-                        }
-                        // Water and cave tiles allow movement (no collision)
+                const tileType = this.getTileType(checkX, checkY);
+                if (tileType && !tileType.walkable) {
+                    const tileLeft = checkX * this.tileSize;
+                    const tileTop = checkY * this.tileSize;
+                    if (x < tileLeft + this.tileSize && x + size > tileLeft && y < tileTop + this.tileSize && y + size > tileTop) {
+                        return false;
                     }
                 }
             }
         }
+        
+        // Solid world objects block movement too
+        if (this.entities.some(entity => entity.solid && entity.intersects(x, y, size, size))) {
+            return false;
+        }
         return true;
     }
 
@@ -530,8 +1247,7 @@ export class World {
         const canvasWidth = ctx.canvas.width;
         const canvasHeight = ctx.canvas.height;
 
-        // Get render distance setting from localStorage (defaults to 32)
-        const renderDistanceTiles = parseInt(localStorage.getItem('renderDistance')) || 32;
+        const renderDistanceTiles = this.renderDistance;
         const useFixedRenderDistance = renderDistanceTiles < 128; // Use fixed if not set to max
 
         if (useFixedRenderDistance) {
@@ -580,13 +1296,11 @@ export class World {
         }
     }
 
+    /**
+     * Render tiles from cached chunk canvases, then fog and grid as single overlays
+     */
     renderTiles(ctx, camera, startX, startY, endX, endY, renderDistanceTiles = 32) {
-        // Clamp to world bounds for actual world tiles
-        const maxTilesX = Math.floor(this.width / this.tileSize);
-        const maxTilesY = Math.floor(this.height / this.tileSize);
-
-        // Get fog settings
-        const fogIntensity = parseInt(localStorage.getItem('fogIntensity')) || 75;
+        const fogIntensity = this.fogIntensity;
         
         // Calculate player position for fog center
         const canvasWidth = ctx.canvas.width;
@@ -594,161 +1308,173 @@ export class World {
         // Use actual player position if available, otherwise fall back to camera center
         const playerWorldX = (camera.playerX !== undefined) ? camera.playerX : camera.x + (canvasWidth / camera.zoom / 2);
         const playerWorldY = (camera.playerY !== undefined) ? camera.playerY : camera.y + (canvasHeight / camera.zoom / 2);
-        const playerTileX = Math.floor(playerWorldX / this.tileSize);
-        const playerTileY = Math.floor(playerWorldY / this.tileSize);
+        const fogCenterX = (Math.floor(playerWorldX / this.tileSize) + 0.5) * this.tileSize;
+        const fogCenterY = (Math.floor(playerWorldY / this.tileSize) + 0.5) * this.tileSize;
         
-        // Calculate fog fade distances
-        const maxDistance = renderDistanceTiles / 2;
+        // Calculate fog fade distances (in pixels)
+        const maxDistance = (renderDistanceTiles / 2) * this.tileSize;
         const fogStartDistance = maxDistance * 0.6; // Start fog at 60% of render distance
-        const fogHeavyDistance = maxDistance * 0.9; // Heavy fog at 90%
         const fogExtendDistance = maxDistance * 1.2; // Extend fog zone by 20% beyond render distance
+        
+        // Beyond the render distance everything is fully fogged, so nothing needs drawing there
+        const visibleRadius = fogIntensity > 0 ? maxDistance : fogExtendDistance;
+        
+        const areaLeft = startX * this.tileSize;
+        const areaTop = startY * this.tileSize;
+        const areaWidth = (endX - startX) * this.tileSize;
+        const areaHeight = (endY - startY) * this.tileSize;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(fogCenterX, fogCenterY, visibleRadius, 0, Math.PI * 2);
+        ctx.clip();
+        
+        this.chunkRenderer.render(ctx, startX, startY, endX, endY);
+        this.renderEntities(ctx, startX, startY, endX, endY);
+        this.renderGroundItems(ctx, startX, startY, endX, endY);
+        
+        // Fog overlay - one radial gradient instead of a fillRect per tile
+        if (fogIntensity > 0) {
+            const fog = ctx.createRadialGradient(fogCenterX, fogCenterY, fogStartDistance, fogCenterX, fogCenterY, maxDistance);
+            fog.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            fog.addColorStop(1, `rgba(0, 0, 0, ${fogIntensity / 100})`);
+            ctx.fillStyle = fog;
+            ctx.fillRect(areaLeft, areaTop, areaWidth, areaHeight);
+        }
+        
+        // Grid overlay - every line in one path and a single stroke
+        if (this.showGrid) {
+            ctx.beginPath();
+            for (let x = startX; x <= endX; x++) {
+                ctx.moveTo(x * this.tileSize, areaTop);
+                ctx.lineTo(x * this.tileSize, areaTop + areaHeight);
+            }
+            for (let y = startY; y <= endY; y++) {
+                ctx.moveTo(areaLeft, y * this.tileSize);
+                ctx.lineTo(areaLeft + areaWidth, y * this.tileSize);
+            }
+            ctx.strokeStyle = '#2a3a2a'; // Dark green grid lines
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
 
-        // Render tiles including those beyond world bounds for seamless coverage
-        for (let x = startX; x < endX; x++) {
-            for (let y = startY; y < endY; y++) {
-                const tileX = x * this.tileSize;
-                const tileY = y * this.tileSize;
-
-                // Calculate distance from player for fog effect
-                const distanceX = Math.abs(x - playerTileX);
-                const distanceY = Math.abs(y - playerTileY);
-                const distance = Math.sqrt(distanceX * distanceX + distanceY * distanceY);
-
-                // Check if we're in the pure fog zone (beyond render distance)
-                if (distance > maxDistance && distance <= fogExtendDistance && fogIntensity > 0) {
-                    // Pure fog zone - just render black gradient
-                    const fogProgress = (distance - maxDistance) / (fogExtendDistance - maxDistance);
-                    const fogOpacity = Math.min(fogProgress, 1.0) * (fogIntensity / 100);
-                    
-                    ctx.fillStyle = `rgba(0, 0, 0, ${fogOpacity})`;
-                    ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
-                    continue; // Skip tile rendering, just fog
-                }
+    /**
+     * Draw the tile at a tile coordinate to a pixel position - used to fill chunk canvases
+     */
+    drawTileAt(ctx, x, y, tileX, tileY) {
+        if (!this.isTileInBounds(x, y)) {
+            this.drawBackgroundTile(ctx, tileX, tileY);
+        } else if (this.layers.length > 0) {
+            this.renderLayeredTile(ctx, x, y, tileX, tileY);
+        } else {
+            const tile = this.getTile(x, y);
+            if (tile) {
+                this.drawTile(ctx, tile, tileX, tileY, this.getAutotileMask(x, y));
+            } else {
+                this.drawEmptyTile(ctx, tileX, tileY);
+            }
+        }
+    }
 
-                // Skip rendering if beyond fog extend distance
-                if (distance > fogExtendDistance) {
-                    continue;
-                }
+    isTextureReady(texture) {
+        return !!texture && texture.complete && texture.naturalWidth > 0;
+    }
 
-                // Check if tile is within world bounds
-                if (x >= 0 && y >= 0 && x < maxTilesX && y < maxTilesY) {
-                    const tile = this.tiles[y * maxTilesX + x];
-                    if (tile) {
-                        // Render tile with texture or color
-                        if (tile.type === 'grass' && this.groundTexture) {
-                            // Save context state
-                            ctx.save();
-                            
-                            // Enable pixelated rendering for retro look
-                            ctx.imageSmoothingEnabled = false;
-                            ctx.imageSmoothingQuality = 'low';
-                            
-                            // Render grass tile with texture
-                            ctx.drawImage(this.groundTexture, tileX, tileY, this.tileSize, this.tileSize);
-                            
-                            // Restore context state
-                            ctx.restore();
-                        } else if (tile.type === 'water' && this.waterTexture) {
-                            // Save context state
-                            ctx.save();
-                            
-                            // Enable pixelated rendering for retro look
-                            ctx.imageSmoothingEnabled = false;
-                            ctx.imageSmoothingQuality = 'low';
-                            
-                            // Render water tile with texture
-                            ctx.drawImage(this.waterTexture, tileX, tileY, this.tileSize, this.tileSize);
-                            
-                            // Restore context state
-                            ctx.restore();
-                        } else if (tile.type === 'cave' && this.caveTexture) {
-                            // Save context state
-                            ctx.save();
-                            
-                            // Enable pixelated rendering for retro look
-                            ctx.imageSmoothingEnabled = false;
-                            ctx.imageSmoothingQuality = 'low';
-                            
-                            // Render cave tile with texture
-                            ctx.drawImage(this.caveTexture, tileX, tileY, this.tileSize, this.tileSize);
-                            
-                            // Restore context state
-                            ctx.restore();
-                        } else if (tile.type === 'trail' && this.trailTexture) {
-                            // Save context state
-                            ctx.save();
-                            
-                            // Enable pixelated rendering for retro look
-                            ctx.imageSmoothingEnabled = false;
-                            ctx.imageSmoothingQuality = 'low';
-                            
-                            // Render trail tile with texture
-                            ctx.drawImage(this.trailTexture, tileX, tileY, this.tileSize, this.tileSize);
-                            
-                            // Restore context state
-                            ctx.restore();
-                        } else {
-                            // Render wall or fallback with solid color
-                            ctx.fillStyle = tile.color;
-                            ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
-                        }
-                    } else {
-                        // Fallback to textured grass if tile is null
-                        if (this.groundTexture) {
-                            ctx.save();
-                            ctx.imageSmoothingEnabled = false;
-                            ctx.imageSmoothingQuality = 'low';
-                            ctx.drawImage(this.groundTexture, tileX, tileY, this.tileSize, this.tileSize);
-                            ctx.restore();
-                        } else {
-                            ctx.fillStyle = '#4a7c59';
-                            ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
-                        }
-                    }
-                } else {
-                    // Render background tile for areas beyond world bounds (water)
-                    if (this.waterTexture) {
-                        ctx.save();
-                        ctx.imageSmoothingEnabled = false;
-                        ctx.imageSmoothingQuality = 'low';
-                        ctx.drawImage(this.waterTexture, tileX, tileY, this.tileSize, this.tileSize);
-                        ctx.restore();
-                    } else {
-                        ctx.fillStyle = '#1e90ff'; // Water color for seamless background
-                        ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
-                    }
-                }
+    /**
+     * Draw a single tile with its registry texture, or its color, plus any autotile transition
+     */
+    drawTile(ctx, tile, tileX, tileY, autotileMask = -1) {
+        // An atlas frame for the exact variant replaces the base texture
+        if (autotileMask >= 0 && this.autotiler.drawVariant(ctx, tile.type, autotileMask, tileX, tileY, this.tileSize)) {
+            return;
+        }
+        
+        const texture = this.tileTextures.get(tile.type);
+        if (this.isTextureReady(texture)) {
+            // Save context state
+            ctx.save();
+            
+            // Enable pixelated rendering for retro look
+            ctx.imageSmoothingEnabled = false;
+            ctx.imageSmoothingQuality = 'low';
+            
+            ctx.drawImage(texture, tileX, tileY, this.tileSize, this.tileSize);
+            
+            // Restore context state
+            ctx.restore();
+        } else {
+            // Render wall or fallback with solid color
+            ctx.fillStyle = tile.color || TileRegistry.resolve(tile.type).color;
+            ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+        }
+        
+        if (autotileMask >= 0) {
+            this.autotiler.drawEdges(ctx, tile.type, autotileMask, tileX, tileY, this.tileSize);
+        }
+    }
 
-                // Apply fog effect if intensity > 0 (distance already calculated above)
-                if (fogIntensity > 0 && distance > fogStartDistance) {
-                    // Calculate fog opacity based on distance
-                    const fogProgress = (distance - fogStartDistance) / (maxDistance - fogStartDistance);
-                    const fogOpacity = Math.min(fogProgress, 1.0) * (fogIntensity / 100);
-                    
-                    // Apply fog overlay
-                    ctx.fillStyle = `rgba(0, 0, 0, ${fogOpacity})`;
-                    ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
-                }
+    /**
+     * Fallback to textured grass where a world tile is empty
+     */
+    drawEmptyTile(ctx, tileX, tileY) {
+        if (this.isTextureReady(this.groundTexture)) {
+            ctx.save();
+            ctx.imageSmoothingEnabled = false;
+            ctx.imageSmoothingQuality = 'low';
+            ctx.drawImage(this.groundTexture, tileX, tileY, this.tileSize, this.tileSize);
+            ctx.restore();
+        } else {
+            ctx.fillStyle = '#4a7c59';
+            ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+        }
+    }
 
-                // Add grid lines for pattern (only on actual tiles, not pure fog zone)
-                if (distance <= maxDistance && this.showGrid) {
-                    ctx.strokeStyle = '#2a3a2a'; // Dark green grid lines
-                    ctx.lineWidth = 1;
-                    ctx.strokeRect(tileX, tileY, this.tileSize, this.tileSize);
-                }
-            }
+    /**
+     * Render background tile for areas beyond world bounds (water)
+     */
+    drawBackgroundTile(ctx, tileX, tileY) {
+        if (this.isTextureReady(this.waterTexture)) {
+            ctx.save();
+            ctx.imageSmoothingEnabled = false;
+            ctx.imageSmoothingQuality = 'low';
+            ctx.drawImage(this.waterTexture, tileX, tileY, this.tileSize, this.tileSize);
+            ctx.restore();
+        } else {
+            ctx.fillStyle = '#1e90ff'; // Water color for seamless background
+            ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
         }
     }
 
+    /**
+     * Draw every visible layer's tile at a position, bottom to top, with layer opacity
+     */
+    renderLayeredTile(ctx, x, y, tileX, tileY) {
+        let drawn = false;
+        
+        for (const layer of this.layers) {
+            if (!layer.visible || layer.opacity <= 0) continue;
+            
+            const tile = layer.getTile(x, y);
+            if (!tile) continue;
+            
+            ctx.globalAlpha = layer.opacity;
+            this.drawTile(ctx, tile, tileX, tileY, layer.getAutotileMask(x, y, this.autotiler));
+            drawn = true;
+        }
+        ctx.globalAlpha = 1;
+        
+        if (!drawn) {
+            this.drawEmptyTile(ctx, tileX, tileY);
+        }
+    }
 
     getTileAt(x, y) {
         const tileX = Math.floor(x / this.tileSize);
         const tileY = Math.floor(y / this.tileSize);
-        if (tileX >= 0 && tileY >= 0 && tileX < this.width / this.tileSize && tileY < this.height / this.tileSize) {
-            const tileIndex = tileY * (this.width / this.tileSize) + tileX;
-            return this.tiles[tileIndex];
-        }
-        return null;
+        return this.getTile(tileX, tileY);
     }
 
     toggleGrid() {
@@ -760,18 +1486,33 @@ export class World {
         this.showGrid = visible;
     }
 
+    /**
+     * Apply render distance and fog settings (validated like the stored settings)
+     */
+    setRenderSettings(renderDistance, fogIntensity) {
+        this.renderDistance = SecurityUtils.validateSetting('renderDistance', renderDistance);
+        this.fogIntensity = SecurityUtils.validateSetting('fogIntensity', fogIntensity);
+    }
+
     getDimensions() {
         return { width: this.width, height: this.height };
     }
 
     getTileTypeAt(x, y) {
-        const tile = this.getTileAt(x, y);
-        return tile ? tile.type : 'grass';
+        return this.getTileDefinitionAt(x, y).name;
+    }
+
+    /**
+     * Get the registry definition for the tile at a pixel position
+     * Empty cells in sparse custom maps count as the fallback type (grass)
+     */
+    getTileDefinitionAt(x, y) {
+        const tileType = this.getTileType(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+        return tileType || TileRegistry.resolve();
     }
 
     isPlayerOnWater(x, y) {
-        const tile = this.getTileAt(x, y);
-        return tile && tile.type === 'water';
+        return this.getTileDefinitionAt(x, y).liquid;
     }
 
     /**
@@ -803,7 +1544,7 @@ export class World {
             }
             
             // Validate world size
-            const validSizes = ['small', 'medium', 'large'];
+            const validSizes = Object.keys(World.WORLD_SIZES);
             if (!validSizes.includes(config.worldSize)) {
                 console.error(`Invalid world size: ${config.worldSize}`);
                 return false;
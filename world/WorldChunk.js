@@ -0,0 +1,64 @@
+/**
+ * World Chunk - Runes of Tir na nÓg
+ * A fixed-size square block of tiles. Chunks are generated lazily from the
+ * world seed as the player approaches and can be evicted again when far away.
+ */
+
+import { TileGrid } from './TileGrid.js';
+
+export class WorldChunk {
+    static SIZE = 32; // Tiles per chunk side
+
+    constructor(chunkX, chunkY, size = WorldChunk.SIZE, tileSize = 16) {
+        this.chunkX = chunkX;
+        this.chunkY = chunkY;
+        this.size = size;
+        this.tileSize = tileSize; // Pixel size, used to rebuild tile objects
+        this.grid = new TileGrid(size, size);
+
+        // Persistent chunks (custom worlds) cannot be regenerated from a seed,
+        // so they are never evicted
+        this.isPersistent = false;
+        this.lastAccess = 0;
+    }
+
+    /**
+     * Build the Map key for a chunk coordinate
+     */
+    static key(chunkX, chunkY) {
+        return `${chunkX},${chunkY}`;
+    }
+
+    getTile(localX, localY) {
+        return this.grid.get(
+            localX,
+            localY,
+            (this.chunkX * this.size + localX) * this.tileSize,
+            (this.chunkY * this.size + localY) * this.tileSize
+        );
+    }
+
+    /**
+     * TileRegistry definition at a local coordinate - no allocation, for hot paths
+     */
+    getTileType(localX, localY) {
+        return this.grid.getType(localX, localY);
+    }
+
+    setTile(localX, localY, tile) {
+        this.grid.set(localX, localY, tile);
+    }
+
+    /**
+     * Iterate every non-empty tile in the chunk
+     */
+    forEachTile(callback) {
+        this.grid.forEach((localX, localY) => {
+            callback(this.getTile(localX, localY), localX, localY);
+        });
+    }
+
+    touch(now = Date.now()) {
+        this.lastAccess = now;
+    }
+}
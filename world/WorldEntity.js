@@ -0,0 +1,110 @@
+/**
+ * World Entity - Runes of Tir na nÓg
+ * A static object placed in the world editor (trees, rocks, signs, buildings).
+ * Entities are drawn above the tile layers and can optionally block movement.
+ * Portals and doors are entities whose properties name another map to travel to.
+ */
+
+export class WorldEntity {
+    static PORTAL_TYPES = new Set(['portal', 'door']);
+
+    /**
+     * @param {Object} data - Object entry from world.json, position already in pixels
+     * @param {number} tileSize - Tile size used to convert width/height from tiles
+     */
+    constructor(data, tileSize) {
+        this.id = data.id || `object_${Math.random().toString(36).slice(2, 10)}`;
+        this.type = data.type || 'object';
+        this.name = data.name || this.type;
+        this.x = data.x;
+        this.y = data.y;
+
+        // Sizes are authored in tiles, like NPC sizes
+        this.width = (Number.isFinite(data.width) && data.width > 0 ? data.width : 1) * tileSize;
+        this.height = (Number.isFinite(data.height) && data.height > 0 ? data.height : 1) * tileSize;
+
+        this.color = data.color || '#8b8b8b';
+        this.image = data.image || data.spriteData || null;
+        this.imageElement = null; // Cached image element, created on first render
+        this.layerId = data.layerId || null;
+        this.solid = data.solid === true;
+        this.properties = data.properties && typeof data.properties === 'object' ? { ...data.properties } : {};
+    }
+
+    /**
+     * Axis-aligned overlap test against a box in pixels
+     */
+    intersects(x, y, width, height) {
+        return x < this.x + this.width && x + width > this.x &&
+               y < this.y + this.height && y + height > this.y;
+    }
+
+    isPortal() {
+        return WorldEntity.PORTAL_TYPES.has(this.type);
+    }
+
+    /**
+     * Where a portal leads: { map, spawn } or null. `targetMap` is either a
+     * custom world folder name or a full map reference object; `spawn` is the
+     * `targetSpawn` name, or a `targetPosition` in pixels.
+     */
+    getPortalTarget() {
+        if (!this.isPortal()) return null;
+
+        const targetMap = this.properties.targetMap;
+        const map = typeof targetMap === 'string' ? { type: 'custom', id: targetMap } : targetMap;
+        if (!map || typeof map !== 'object') return null;
+
+        const position = this.properties.targetPosition;
+        let spawn = typeof this.properties.targetSpawn === 'string' ? this.properties.targetSpawn : null;
+        if (!spawn && position && Number.isFinite(position.x) && Number.isFinite(position.y)) {
+            spawn = { x: position.x, y: position.y };
+        }
+
+        return { map: map, spawn: spawn };
+    }
+
+    render(ctx) {
+        if (this.image) {
+            if (!this.imageElement) {
+                this.imageElement = new Image();
+                this.imageElement.onerror = () => {
+                    console.error(`Failed to load image for world object: ${this.name}`);
+                };
+                this.imageElement.src = this.image;
+            }
+
+            if (this.imageElement.complete && this.imageElement.naturalWidth > 0) {
+                ctx.save();
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(this.imageElement, this.x, this.y, this.width, this.height);
+                ctx.restore();
+                return;
+            }
+        }
+
+        // Fallback while the image loads, or for objects without one
+        ctx.fillStyle = this.color;
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+
+    /**
+     * Serialize back to the world.json object format (position in pixels, size in tiles)
+     */
+    toData(tileSize) {
+        return {
+            id: this.id,
+            type: this.type,
+            name: this.name,
+            x: this.x,
+            y: this.y,
+            width: this.width / tileSize,
+            height: this.height / tileSize,
+            color: this.color,
+            image: this.image,
+            layerId: this.layerId,
+            solid: this.solid,
+            properties: this.properties
+        };
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * World Layer - Runes of Tir na nÓg
+ * One tile layer from an editor-authored world. Layers are drawn bottom to top
+ * with their own visibility and opacity, matching how the world editor shows them.
+ */
+
+import { TileRegistry } from './TileRegistry.js';
+import { TileGrid } from './TileGrid.js';
+
+export class WorldLayer {
+    constructor(id, name, width, height, options = {}, tileSize = 16) {
+        this.id = id;
+        this.name = name;
+        this.width = width; // In tiles
+        this.height = height;
+        this.visible = options.visible !== false;
+
+        // The editor stores opacity as a percentage (0-100)
+        const opacity = Number.isFinite(options.opacity) ? options.opacity : 100;
+        this.opacity = Math.max(0, Math.min(100, opacity)) / 100;
+
+        this.tileSize = tileSize;
+        this.grid = new TileGrid(width, height);
+    }
+
+    /**
+     * Build a layer from world.json layer data (2D array of tile ids, 0 = empty)
+     */
+    static fromData(layerData, width, height, tileSize) {
+        const layer = new WorldLayer(
+            layerData.id,
+            layerData.name || layerData.id,
+            width,
+            height,
+            { visible: layerData.visible, opacity: layerData.opacity },
+            tileSize
+        );
+
+        const rows = Array.isArray(layerData.data) ? layerData.data : [];
+        for (let y = 0; y < Math.min(rows.length, height); y++) {
+            const row = rows[y];
+            if (!Array.isArray(row)) continue;
+
+            for (let x = 0; x < Math.min(row.length, width); x++) {
+                const tileValue = row[x];
+                if (!(tileValue > 0)) continue;
+
+                // Unknown tile ids fall back to the registry's default type
+                const tileType = TileRegistry.getById(tileValue) || TileRegistry.resolve();
+                layer.setTile(x, y, {
+                    x: x * tileSize,
+                    y: y * tileSize,
+                    type: tileType.name,
+                    color: tileType.color,
+                    textureVariant: Math.random()
+                });
+            }
+        }
+
+        return layer;
+    }
+
+    isInBounds(tileX, tileY) {
+        return this.grid.isInBounds(tileX, tileY);
+    }
+
+    getTile(tileX, tileY) {
+        return this.grid.get(tileX, tileY, tileX * this.tileSize, tileY * this.tileSize);
+    }
+
+    /**
+     * TileRegistry definition at a coordinate - no allocation, for hot paths
+     */
+    getTileType(tileX, tileY) {
+        return this.grid.getType(tileX, tileY);
+    }
+
+    setTile(tileX, tileY, tile) {
+        this.grid.set(tileX, tileY, tile);
+
+        // Neighbours' autotile variants depend on this tile
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                this.grid.invalidateAutotile(tileX + dx, tileY + dy);
+            }
+        }
+    }
+
+    /**
+     * Autotile mask for a tile in this layer, cached until a neighbour changes
+     */
+    getAutotileMask(tileX, tileY, autotiler) {
+        const tileType = this.grid.getType(tileX, tileY);
+        if (!tileType || !autotiler.hasRules(tileType.name)) return -1;
+
+        let mask = this.grid.getAutotileMask(tileX, tileY);
+        if (mask < 0) {
+            mask = autotiler.computeMask(tileType.name, tileX, tileY, (x, y) => {
+                if (!this.isInBounds(x, y)) return undefined;
+                const neighbour = this.grid.getType(x, y);
+                return neighbour ? neighbour.name : null;
+            });
+            this.grid.setAutotileMask(tileX, tileY, mask);
+        }
+        return mask;
+    }
+
+    /**
+     * Serialize back to the world.json layer format
+     */
+    toData() {
+        const data = [];
+        for (let y = 0; y < this.height; y++) {
+            data.push(Array.from(this.grid.ids.subarray(y * this.width, (y + 1) * this.width)));
+        }
+
+        return {
+            id: this.id,
+            name: this.name,
+            data: data,
+            visible: this.visible,
+            opacity: Math.round(this.opacity * 100)
+        };
+    }
+}